@@ -0,0 +1,184 @@
+import { Principal } from '@dfinity/principal';
+
+const SUBACCOUNT_LENGTH = 32;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const CRC32_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * CRC32 checksum as used by account identifiers and ICRC-1 textual accounts
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function bytesToHex(bytes) {
+  return Array.from(bytes)
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Verify the CRC32 checksum of an account identifier
+ * Its first 4 bytes are the big-endian CRC32 of the other 28, so most typos are caught.
+ * @param {string} hex - Account identifier (64 hex characters)
+ * @returns {string} Account identifier in lowercase hex
+ */
+export function verifyAccountIdentifier(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error('Account identifier must be 64 hex characters');
+  }
+  const bytes = hexToBytes(hex);
+  const expected = crc32(bytes.subarray(4)).toString(16).padStart(8, '0');
+  const actual = bytesToHex(bytes.subarray(0, 4));
+  if (actual !== expected) {
+    throw new Error(`Checksum mismatch: the account identifier starts with ${actual} but its checksum is ${expected}; check it for typos`);
+  }
+  return hex.toLowerCase();
+}
+
+function isDefaultSubaccount(subaccount) {
+  return !subaccount || subaccount.every(byte => byte === 0);
+}
+
+/**
+ * Parse a subaccount given as an index or as 32-byte hex
+ * A "0x" prefix always means hex; shorter hex is left-padded with zeros, so "0x10" is subaccount 16.
+ * @param {number|bigint|string|Uint8Array|null} value - Decimal index (e.g. 1), 64 hex characters or 0x-prefixed hex
+ * @returns {Uint8Array|null} 32-byte subaccount, or null when no subaccount was given
+ */
+export function parseSubaccount(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (value instanceof Uint8Array) {
+    if (value.length !== SUBACCOUNT_LENGTH) {
+      throw new Error(`Subaccount must be ${SUBACCOUNT_LENGTH} bytes`);
+    }
+    return value;
+  }
+
+  const text = String(value).trim();
+
+  if (/^0x/i.test(text)) {
+    const hex = text.slice(2);
+    if (!/^[0-9a-fA-F]{1,64}$/.test(hex)) {
+      throw new Error('Subaccount must be a non-negative index or 64 hex characters (32 bytes)');
+    }
+    return hexToBytes(hex.padStart(64, '0'));
+  }
+
+  if (/^\d+$/.test(text) && text.length < 64) {
+    let index = BigInt(text);
+    if (index >= 2n ** 256n) {
+      throw new Error('Subaccount index is too large');
+    }
+    const bytes = new Uint8Array(SUBACCOUNT_LENGTH);
+    for (let i = SUBACCOUNT_LENGTH - 1; i >= 0 && index > 0n; i--) {
+      bytes[i] = Number(index & 0xffn);
+      index >>= 8n;
+    }
+    return bytes;
+  }
+
+  if (text.length === 64 && /^[0-9a-fA-F]+$/.test(text)) {
+    return hexToBytes(text);
+  }
+
+  throw new Error('Subaccount must be a non-negative index or 64 hex characters (32 bytes)');
+}
+
+/**
+ * Encode an ICRC-1 account in its textual form: `<principal>-<checksum>.<subaccount hex>`
+ * Accounts with the default subaccount are encoded as the plain principal text.
+ * @param {Object} account - ICRC-1 account ({ owner, subaccount })
+ * @returns {string} Textual account
+ */
+export function encodeIcrcAccount({ owner, subaccount }) {
+  if (isDefaultSubaccount(subaccount)) {
+    return owner.toText();
+  }
+
+  const ownerBytes = owner.toUint8Array();
+  const data = new Uint8Array(ownerBytes.length + SUBACCOUNT_LENGTH);
+  data.set(ownerBytes);
+  data.set(subaccount, ownerBytes.length);
+
+  const crc = crc32(data);
+  const checksum = base32Encode(new Uint8Array([crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff]));
+  const subaccountHex = bytesToHex(subaccount).replace(/^0+/, '');
+
+  return `${owner.toText()}-${checksum}.${subaccountHex}`;
+}
+
+/**
+ * Decode an ICRC-1 textual account and validate its checksum
+ * @param {string} text - Textual account (`<principal>-<checksum>.<subaccount hex>` or a plain principal)
+ * @returns {Object} ICRC-1 account ({ owner, subaccount })
+ */
+export function decodeIcrcAccount(text) {
+  const value = text.trim();
+  const dot = value.lastIndexOf('.');
+
+  if (dot === -1) {
+    return { owner: Principal.fromText(value), subaccount: null };
+  }
+
+  const prefix = value.slice(0, dot);
+  const subaccountHex = value.slice(dot + 1);
+  const dash = prefix.lastIndexOf('-');
+  if (dash === -1) {
+    throw new Error('Invalid ICRC-1 account: missing checksum');
+  }
+
+  const owner = Principal.fromText(prefix.slice(0, dash));
+  const checksum = prefix.slice(dash + 1);
+
+  if (!/^[0-9a-f]{1,64}$/.test(subaccountHex) || subaccountHex.startsWith('0')) {
+    throw new Error('Invalid ICRC-1 account: subaccount must be lowercase hex without leading zeros');
+  }
+
+  const subaccount = hexToBytes(subaccountHex.padStart(64, '0'));
+  const account = { owner, subaccount };
+  const expected = encodeIcrcAccount(account);
+  if (expected !== value) {
+    throw new Error(`Invalid ICRC-1 account checksum "${checksum}"`);
+  }
+
+  return account;
+}
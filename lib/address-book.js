@@ -0,0 +1,151 @@
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { writeJsonAtomic } from './json-file.js';
+
+const CONTACT_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Default address book file: $ICP_ADDRESS_BOOK or ~/.icp-transaction-generator/address-book.json
+ * @returns {string} File path
+ */
+export function defaultAddressBookPath() {
+  return process.env.ICP_ADDRESS_BOOK || join(homedir(), '.icp-transaction-generator', 'address-book.json');
+}
+
+/**
+ * Check whether a value is a valid contact name (a letter, then letters, digits, "-" and "_")
+ * @param {string} value - Candidate name
+ * @returns {boolean} True for a valid contact name
+ */
+export function isContactName(value) {
+  return typeof value === 'string' && CONTACT_NAME.test(value);
+}
+
+/**
+ * Labeled receiver addresses, and the destinations that were paid from this machine
+ *
+ * Contacts are stored as { name, address, accountIdentifier, type, note, createdAt }, where
+ * address is the Principal, ICRC-1 account or AccountIdentifier text. Payees are recorded
+ * per network by account identifier. Without a path the address book is kept in memory.
+ */
+export class AddressBook {
+  /**
+   * @param {string|null} path - JSON file (default: none, kept in memory)
+   */
+  constructor(path = null) {
+    this.path = path;
+    this.data = { version: 1, contacts: {}, payees: {} };
+  }
+
+  read() {
+    if (this.path && existsSync(this.path)) {
+      try {
+        const data = JSON.parse(readFileSync(this.path, 'utf8'));
+        this.data = { version: 1, contacts: data.contacts ?? {}, payees: data.payees ?? {} };
+      } catch (error) {
+        throw new Error(`Cannot read address book ${this.path}: ${error.message}`);
+      }
+    }
+    return this.data;
+  }
+
+  write(data) {
+    this.data = data;
+    if (!this.path) {
+      return;
+    }
+    writeJsonAtomic(this.path, data);
+  }
+
+  /**
+   * @param {string} name - Contact name
+   * @returns {boolean} True when the contact exists
+   */
+  has(name) {
+    return isContactName(name) && Object.hasOwn(this.read().contacts, name);
+  }
+
+  /**
+   * @param {string} name - Contact name
+   * @returns {Object} Contact
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Contact "${name}" not found in the address book`);
+    }
+    return this.data.contacts[name];
+  }
+
+  /**
+   * @returns {Array<Object>} Contacts sorted by name
+   */
+  list() {
+    return Object.values(this.read().contacts).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Store a contact
+   * @param {string} name - Contact name
+   * @param {Object} contact - { address, accountIdentifier, type, note }
+   * @param {Object} options - Optional overwrite flag (default: false)
+   * @returns {Object} Stored contact
+   */
+  add(name, { address, accountIdentifier, type, note = null }, options = {}) {
+    if (!isContactName(name)) {
+      throw new Error('Contact name must be 1-64 letters, digits, "-" or "_", starting with a letter');
+    }
+    const data = this.read();
+    if (!options.overwrite && Object.hasOwn(data.contacts, name)) {
+      throw new Error(`Contact "${name}" already exists`);
+    }
+    const contact = { name, address, accountIdentifier, type, note, createdAt: new Date().toISOString() };
+    this.write({ ...data, contacts: { ...data.contacts, [name]: contact } });
+    return contact;
+  }
+
+  /**
+   * Delete a contact
+   * @param {string} name - Contact name
+   * @returns {Object} Removed contact
+   */
+  remove(name) {
+    const contact = this.get(name);
+    const { [name]: _, ...contacts } = this.data.contacts;
+    this.write({ ...this.data, contacts });
+    return contact;
+  }
+
+  /**
+   * Names of the contacts with an account identifier
+   * @param {string} accountIdentifier - Account identifier hex
+   * @returns {Array<string>} Contact names
+   */
+  namesOf(accountIdentifier) {
+    const hex = accountIdentifier.toLowerCase();
+    return this.list().filter(contact => contact.accountIdentifier === hex).map(contact => contact.name);
+  }
+
+  /**
+   * @param {string} network - Network name
+   * @param {string} accountIdentifier - Account identifier hex
+   * @returns {Object|null} { firstPaidAt, lastPaidAt, transfers } of an account paid before, or null
+   */
+  payee(network, accountIdentifier) {
+    return this.read().payees[network]?.[accountIdentifier.toLowerCase()] ?? null;
+  }
+
+  /**
+   * Record a transfer to an account
+   * @param {string} network - Network name
+   * @param {string} accountIdentifier - Account identifier hex
+   */
+  recordPayment(network, accountIdentifier) {
+    const data = this.read();
+    const hex = accountIdentifier.toLowerCase();
+    const now = new Date().toISOString();
+    const previous = data.payees[network]?.[hex];
+    const payee = { firstPaidAt: previous?.firstPaidAt ?? now, lastPaidAt: now, transfers: (previous?.transfers ?? 0) + 1 };
+    this.write({ ...data, payees: { ...data.payees, [network]: { ...data.payees[network], [hex]: payee } } });
+  }
+}
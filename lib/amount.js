@@ -0,0 +1,76 @@
+export const ICP_DECIMALS = 8;
+export const E8S_PER_ICP = 100_000_000n;
+
+/**
+ * Convert a decimal token amount to the ledger's base units without floating point
+ * @param {bigint|number|string} amount - Amount in whole tokens (e.g. "0.5"), or a bigint in base units
+ * @param {number} decimals - Number of decimals of the token
+ * @returns {bigint} Amount in base units
+ */
+export function parseTokenAmount(amount, decimals) {
+  if (typeof amount === 'bigint') {
+    if (amount <= 0n) {
+      throw new Error('Amount must be a positive number');
+    }
+    return amount;
+  }
+
+  const text = String(amount).trim();
+  if (typeof amount === 'number' && /e/i.test(text)) {
+    throw new Error('Amount is too large or too small for a number; pass it as a decimal string');
+  }
+
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[1] === '' && !match[2])) {
+    throw new Error('Amount must be a positive number');
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`Amount has more than ${decimals} decimal places`);
+  }
+
+  const value = BigInt(whole || '0') * 10n ** BigInt(decimals) +
+    BigInt(fraction.padEnd(decimals, '0') || '0');
+  if (value <= 0n) {
+    throw new Error('Amount must be a positive number');
+  }
+  return value;
+}
+
+/**
+ * Format base units as a decimal token amount
+ * @param {bigint} value - Amount in base units
+ * @param {number} decimals - Number of decimals of the token
+ * @returns {string} Decimal amount
+ */
+export function formatTokenAmount(value, decimals) {
+  const base = 10n ** BigInt(decimals);
+  const whole = value / base;
+  const fraction = (value % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Parse an ICP amount to e8s
+ * Accepts a decimal ICP amount ("1.5"), raw e8s as a bigint (150_000_000n)
+ * or raw e8s as a string with an "e8s" suffix ("150000000e8s").
+ * @param {bigint|number|string} amount - Amount
+ * @returns {bigint} Amount in e8s
+ */
+export function parseIcpAmount(amount) {
+  const raw = typeof amount === 'string' ? /^(\d+)\s*e8s$/i.exec(amount.trim()) : null;
+  if (raw) {
+    return parseTokenAmount(BigInt(raw[1]), ICP_DECIMALS);
+  }
+  return parseTokenAmount(amount, ICP_DECIMALS);
+}
+
+/**
+ * Format e8s as a decimal ICP amount
+ * @param {bigint|string} e8s - Amount in e8s
+ * @returns {string} Amount in ICP (e.g. "1.5")
+ */
+export function formatIcp(e8s) {
+  return formatTokenAmount(BigInt(e8s), ICP_DECIMALS);
+}
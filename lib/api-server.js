@@ -0,0 +1,439 @@
+import { createServer } from 'http';
+import { existsSync, readFileSync } from 'fs';
+import crypto from 'crypto';
+import { ICP_MAX_MEMO } from './icp-ledger.js';
+import { formatIcp } from './amount.js';
+import { bytesToHex, parseSubaccount } from './account.js';
+import { DEFAULT_CURVE } from './identity.js';
+import { writeJsonAtomic } from './json-file.js';
+
+// Request bodies are small JSON objects; anything larger is refused
+const MAX_BODY_BYTES = 64 * 1024;
+const IDEMPOTENCY_KEY = /^[\x21-\x7e]{1,255}$/;
+const TRANSFER_FIELDS = ['wallet', 'to', 'amount', 'memo', 'fromSubaccount', 'toSubaccount', 'dryRun', 'confirmed'];
+
+/**
+ * Error answered with an HTTP status and a machine-readable code
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} details - Optional extra fields for the response
+ * @returns {Error} Error with `status`, `code` and `details`
+ */
+function apiError(status, code, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Map a library error to its HTTP status and code
+ * Errors from sendTransaction() keep the fields needed to act on them (variant, blockIndex,
+ * memo and createdAt).
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {Object} { status, body }
+ */
+function errorResponse(error) {
+  let status = error.status;
+  let code = error.code;
+  const details = { ...error.details };
+  if (!status) {
+    if (error.policy) {
+      [status, code] = [422, 'policy_violation'];
+      details.rule = error.policy;
+    } else if (error.preflight) {
+      [status, code] = [422, 'preflight_failed'];
+    } else if (error.variant) {
+      [status, code] = [422, 'transfer_rejected'];
+      details.variant = error.variant;
+    } else if (error.verification) {
+      [status, code] = [502, 'verification_failed'];
+      details.blockIndex = error.blockIndex;
+    } else {
+      [status, code] = [502, 'ledger_unavailable'];
+      if (error.createdAt) {
+        Object.assign(details, { memo: error.memo, createdAt: error.createdAt });
+      }
+    }
+  }
+  return { status, body: { error: { code, message: error.message, ...details } } };
+}
+
+/**
+ * Idempotency records of transfer requests, optionally persisted to a JSON file
+ *
+ * A record is written before a transfer is submitted, with the memo and created_at_time
+ * the transfer will use. A request whose outcome is unknown stays 'pending': repeating it
+ * resends the same transfer, which the ledger deduplicates within its 24 hour window.
+ */
+class IdempotencyStore {
+  constructor(path) {
+    this.path = path ?? null;
+    this.records = {};
+    if (this.path && existsSync(this.path)) {
+      try {
+        this.records = JSON.parse(readFileSync(this.path, 'utf8')).records ?? {};
+      } catch (error) {
+        throw new Error(`Cannot read idempotency file ${this.path}: ${error.message}`);
+      }
+    }
+  }
+
+  get(key) {
+    return this.records[key] ?? null;
+  }
+
+  set(key, record) {
+    this.records[key] = { ...record, updatedAt: new Date().toISOString() };
+    this.persist();
+  }
+
+  delete(key) {
+    delete this.records[key];
+    this.persist();
+  }
+
+  persist() {
+    if (!this.path) {
+      return;
+    }
+    writeJsonAtomic(this.path, { records: this.records });
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readJsonBody(request) {
+  if (!/^application\/json\b/i.test(request.headers['content-type'] ?? '')) {
+    throw apiError(415, 'unsupported_media_type', 'Content-Type must be application/json');
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw apiError(413, 'body_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw apiError(400, 'invalid_json', `Invalid JSON body: ${error.message}`);
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw apiError(400, 'invalid_request', 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Run a validation, answering its errors with 400
+ * @param {string} field - Field being validated
+ * @param {Function} fn - Validation function
+ * @returns {*} Return value of fn
+ */
+function validateField(field, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw apiError(400, 'invalid_request', `Invalid ${field}: ${error.message}`, { field });
+  }
+}
+
+/**
+ * Parse the URL of a request, answering a malformed one with 400
+ * @param {http.IncomingMessage} request - Request
+ * @returns {URL} Request URL
+ */
+function requestUrl(request) {
+  try {
+    return new URL(request.url, 'http://localhost');
+  } catch {
+    throw apiError(400, 'invalid_request', `Invalid request URL: ${request.url}`);
+  }
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Create an HTTP server exposing the generator as a JSON API
+ *
+ * Every endpoint except GET /v1/health requires `Authorization: Bearer <api key>`.
+ * Keys stay on the server: transfers name a keystore wallet, and generated keys are
+ * saved as wallets whose private key is never returned.
+ *   GET  /v1/health
+ *   GET  /v1/addresses/:address[?subaccount=]
+ *   GET  /v1/balance?account=[&subaccount=]
+ *   POST /v1/keys        { wallet, curve? }
+ *   POST /v1/transfers   { wallet, to, amount, memo?, fromSubaccount?, toSubaccount?, dryRun?, confirmed? }
+ * Transfers require an Idempotency-Key header (except dry runs).
+ * @param {ICPTransactionGenerator} generator - Initialized generator
+ * @param {Object} options - apiKeys (required), optional wallets (names transfers may use; default: all),
+ *   walletPassphrase (encrypts wallets created with POST /v1/keys; without it key generation is
+ *   disabled), idempotencyFile (persists idempotency records across restarts) and logger
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createApiServer(generator, options = {}) {
+  const apiKeys = (options.apiKeys ?? []).filter(Boolean);
+  if (apiKeys.length === 0) {
+    throw new Error('At least one API key is required');
+  }
+  const keyDigests = apiKeys.map(key => crypto.createHash('sha256').update(key).digest());
+  const wallets = options.wallets ? new Set(options.wallets) : null;
+  const logger = options.logger ?? generator.logger;
+  const idempotency = new IdempotencyStore(options.idempotencyFile);
+  const inFlight = new Set();
+
+  /**
+   * Identify the client of a request by its API key
+   * @param {http.IncomingMessage} request - Request
+   * @returns {string} Client id (the first hex characters of the key hash)
+   */
+  function authenticate(request) {
+    const [scheme, token] = (request.headers.authorization ?? '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw apiError(401, 'unauthorized', 'Missing API key: send Authorization: Bearer <key>');
+    }
+    // Compare hashes in constant time so response timing does not leak the keys
+    const digest = crypto.createHash('sha256').update(token).digest();
+    if (!keyDigests.some(keyDigest => crypto.timingSafeEqual(keyDigest, digest))) {
+      throw apiError(401, 'unauthorized', 'Invalid API key');
+    }
+    return digest.toString('hex').slice(0, 16);
+  }
+
+  /**
+   * Check that a transfer may use a wallet and that its key is available
+   * @param {string} name - Wallet name
+   */
+  function checkWallet(name) {
+    if (typeof name !== 'string' || !generator.keystore.has(name)) {
+      throw apiError(400, 'unknown_wallet', `Unknown wallet "${name}"`, { field: 'wallet' });
+    }
+    if (wallets && !wallets.has(name)) {
+      throw apiError(403, 'wallet_not_allowed', `Wallet "${name}" is not enabled for this server`);
+    }
+    if (!generator.unlockedWallets.has(name) && !generator.passphraseProvider) {
+      throw apiError(403, 'wallet_locked', `Wallet "${name}" is locked`);
+    }
+  }
+
+  /**
+   * Validate a transfer request and normalize it
+   * @param {Object} body - Request body
+   * @returns {Object} { wallet, to, amount, memo, fromSubaccount, toSubaccount, dryRun, confirmed }
+   */
+  function validateTransfer(body) {
+    const unknown = Object.keys(body).filter(field => !TRANSFER_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw apiError(400, 'invalid_request', `Unknown fields: ${unknown.join(', ')}`);
+    }
+    checkWallet(body.wallet);
+    validateField('to', () => generator.parseReceiverAddress(body.to, body.toSubaccount ?? null));
+    if (typeof body.amount !== 'string' && typeof body.amount !== 'number') {
+      throw apiError(400, 'invalid_request', 'Invalid amount: expected a string such as "1.5"', { field: 'amount' });
+    }
+    const amountE8s = validateField('amount', () => generator.icpToE8s(body.amount));
+    if (amountE8s <= 0n) {
+      throw apiError(400, 'invalid_request', 'Invalid amount: must be greater than zero', { field: 'amount' });
+    }
+    const memo = body.memo === undefined || body.memo === null ? null : String(body.memo);
+    if (memo !== null && !(/^\d+$/.test(memo) && BigInt(memo) <= ICP_MAX_MEMO)) {
+      throw apiError(400, 'invalid_request', 'Invalid memo: expected an integer between 0 and 2^64-1', { field: 'memo' });
+    }
+    validateField('fromSubaccount', () => parseSubaccount(body.fromSubaccount ?? null));
+    for (const field of ['dryRun', 'confirmed']) {
+      if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+        throw apiError(400, 'invalid_request', `Invalid ${field}: expected a boolean`, { field });
+      }
+    }
+    return {
+      wallet: body.wallet,
+      to: body.to,
+      amount: String(body.amount),
+      memo,
+      fromSubaccount: body.fromSubaccount ?? null,
+      toSubaccount: body.toSubaccount ?? null,
+      dryRun: body.dryRun === true,
+      confirmed: body.confirmed === true
+    };
+  }
+
+  async function sendTransfer(transfer, { memo, createdAt }, earlierAttempt = null) {
+    return await generator.sendTransaction(transfer.wallet, transfer.to, transfer.amount, memo, {
+      fromSubaccount: transfer.fromSubaccount,
+      toSubaccount: transfer.toSubaccount,
+      createdAt,
+      earlierAttempt,
+      dryRun: transfer.dryRun,
+      confirmed: transfer.confirmed
+    });
+  }
+
+  async function postTransfer(request, client) {
+    const transfer = validateTransfer(await readJsonBody(request));
+    if (transfer.dryRun) {
+      return { status: 200, body: await sendTransfer(transfer, { memo: transfer.memo }) };
+    }
+
+    const idempotencyKey = request.headers['idempotency-key'];
+    if (!idempotencyKey || !IDEMPOTENCY_KEY.test(idempotencyKey)) {
+      throw apiError(400, 'idempotency_key_required', 'Transfers require an Idempotency-Key header (1-255 printable characters)');
+    }
+    // Keys are scoped per API key, so two clients cannot collide
+    const key = `${client}:${idempotencyKey}`;
+    const fingerprint = sha256(JSON.stringify(transfer));
+
+    let record = idempotency.get(key);
+    if (record && record.fingerprint !== fingerprint) {
+      throw apiError(422, 'idempotency_key_reused', 'Idempotency-Key was already used for a different request');
+    }
+    if (record?.status === 'done') {
+      return { status: record.response.status, body: record.response.body, replayed: true };
+    }
+    if (inFlight.has(key)) {
+      throw apiError(409, 'request_in_progress', 'A request with this Idempotency-Key is in progress');
+    }
+    if (record && !generator.withinDedupWindow(BigInt(record.createdAt))) {
+      // The ledger no longer deduplicates the transfer, so resending it could pay twice
+      throw apiError(409, 'outcome_unknown', 'An earlier request with this Idempotency-Key may have been paid and is past the ledger dedup window; check the ledger before paying again', {
+        memo: record.memo,
+        createdAt: record.createdAt
+      });
+    }
+    // A pending record may already be paid: it is resent without the balance check, and the
+    // ledger answers TxDuplicate if the first attempt went through
+    const resend = Boolean(record);
+    if (!record) {
+      record = {
+        fingerprint,
+        status: 'pending',
+        memo: transfer.memo ?? String(Date.now()),
+        createdAt: (BigInt(Date.now()) * 1_000_000n).toString()
+      };
+      idempotency.set(key, record);
+    }
+
+    inFlight.add(key);
+    try {
+      const result = await sendTransfer(transfer, record, resend ? record : null);
+      const response = { status: 200, body: result };
+      idempotency.set(key, { ...record, status: 'done', response });
+      return response;
+    } catch (error) {
+      // A first attempt that was refused before submission or rejected by the ledger moved no funds
+      // and frees the key; a resend may have been paid by an earlier attempt, so it keeps the record
+      if (!resend && (error.preflight || (error.variant && error.variant !== 'TxDuplicate'))) {
+        idempotency.delete(key);
+      }
+      throw error;
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  async function postKeys(request) {
+    const body = await readJsonBody(request);
+    if (!options.walletPassphrase) {
+      throw apiError(403, 'key_generation_disabled', 'Key generation is disabled: the server has no wallet passphrase');
+    }
+    const curve = body.curve ?? DEFAULT_CURVE;
+    if (typeof body.wallet !== 'string') {
+      throw apiError(400, 'invalid_request', 'Invalid wallet: expected a wallet name', { field: 'wallet' });
+    }
+    validateField('wallet', () => generator.keystore.path(body.wallet));
+    if (generator.keystore.has(body.wallet)) {
+      throw apiError(409, 'wallet_exists', `Wallet "${body.wallet}" already exists`);
+    }
+    const wallet = validateField('curve', () => generator.createWallet(body.wallet, options.walletPassphrase, curve));
+    generator.unlockWallet(body.wallet, options.walletPassphrase);
+    wallets?.add(body.wallet);
+    return { status: 201, body: { ...wallet, network: generator.network } };
+  }
+
+  function getAddress(address, url) {
+    const parsed = validateField('address', () => generator.parseReceiverAddress(address, url.searchParams.get('subaccount')));
+    return {
+      status: 200,
+      body: {
+        type: parsed.type,
+        principal: parsed.principal ? parsed.principal.toString() : null,
+        subaccount: parsed.subaccount ? bytesToHex(parsed.subaccount) : null,
+        accountIdentifier: parsed.accountIdentifier.toHex(),
+        text: parsed.text
+      }
+    };
+  }
+
+  async function getBalance(url) {
+    const account = url.searchParams.get('account');
+    if (!account) {
+      throw apiError(400, 'invalid_request', 'The account query parameter is required', { field: 'account' });
+    }
+    const accountIdentifier = validateField('account', () => generator.resolveAccountIdentifier(account, url.searchParams.get('subaccount')));
+    const balanceE8s = await generator.getBalance(accountIdentifier);
+    return {
+      status: 200,
+      body: { account, accountIdentifier, balance: formatIcp(balanceE8s), balanceE8s: balanceE8s.toString(), network: generator.network }
+    };
+  }
+
+  async function route(request) {
+    const url = requestUrl(request);
+    const { pathname } = url;
+    if (pathname === '/v1/health') {
+      return { status: 200, body: { status: 'ok', network: generator.network } };
+    }
+
+    const client = authenticate(request);
+    const routes = {
+      'GET /v1/balance': () => getBalance(url),
+      'POST /v1/keys': () => postKeys(request),
+      'POST /v1/transfers': () => postTransfer(request, client)
+    };
+    const handler = routes[`${request.method} ${pathname}`];
+    if (handler) {
+      return await handler();
+    }
+    if (request.method === 'GET' && pathname.startsWith('/v1/addresses/')) {
+      return getAddress(validateField('address', () => decodeURIComponent(pathname.slice('/v1/addresses/'.length))), url);
+    }
+    if (Object.keys(routes).some(route => route.endsWith(` ${pathname}`))) {
+      throw apiError(405, 'method_not_allowed', `${request.method} is not allowed on ${pathname}`);
+    }
+    throw apiError(404, 'not_found', `No endpoint ${request.method} ${pathname}`);
+  }
+
+  return createServer(async (request, response) => {
+    const started = Date.now();
+    const path = request.url.split('?')[0];
+    let result;
+    try {
+      result = await route(request);
+    } catch (error) {
+      result = errorResponse(error);
+      if (result.status >= 500) {
+        logger.error('API request failed', { method: request.method, path, error: error.message });
+      }
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (result.replayed) {
+      headers['Idempotent-Replayed'] = 'true';
+    }
+    response.writeHead(result.status, headers);
+    response.end(`${JSON.stringify(result.body)}\n`);
+    logger.info('API request', { method: request.method, path, status: result.status, ms: Date.now() - started });
+  });
+}
@@ -0,0 +1,272 @@
+import { existsSync, readFileSync } from 'fs';
+import crypto from 'crypto';
+import { ICP_DEDUP_WINDOW_MS } from './icp-ledger.js';
+import { writeJsonAtomic } from './json-file.js';
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse batch rows from CSV (header: receiver,amount[,memo][,subaccount]) or a JSON array
+ * @param {string} content - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} Rows with receiver, amount, memo and subaccount
+ */
+export function parseBatchRows(content, format) {
+  let records;
+
+  if (format === 'json') {
+    records = JSON.parse(content);
+    if (!Array.isArray(records)) {
+      throw new Error('JSON batch file must contain an array of { receiver, amount, memo } objects');
+    }
+  } else {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+    if (lines.length === 0) {
+      throw new Error('CSV batch file is empty');
+    }
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    if (!header.includes('receiver') || !header.includes('amount')) {
+      throw new Error('CSV batch file needs a header row with at least "receiver" and "amount" columns');
+    }
+    records = lines.slice(1).map(line => {
+      const values = splitCsvLine(line);
+      return Object.fromEntries(header.map((name, i) => [name, values[i] ?? '']));
+    });
+  }
+
+  return records.map((record, index) => ({
+    row: index + 1,
+    receiver: String(record.receiver ?? '').trim(),
+    amount: String(record.amount ?? '').trim(),
+    memo: record.memo === undefined || record.memo === null || record.memo === '' ? null : String(record.memo).trim(),
+    subaccount: record.subaccount === undefined || record.subaccount === '' ? null : record.subaccount
+  }));
+}
+
+/**
+ * Read batch rows from a .csv or .json file
+ * @param {string} path - File path
+ * @returns {Array<Object>} Rows
+ */
+export function loadBatchFile(path) {
+  const content = readFileSync(path, 'utf8');
+  return parseBatchRows(content, path.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+}
+
+/**
+ * Load the state of a previous run, or start a new one
+ * @param {string} path - State file path
+ * @param {string} batchId - Hash of the batch rows
+ * @returns {Object} State object
+ */
+function loadState(path, batchId) {
+  if (!path || !existsSync(path)) {
+    return { batchId, createdAt: new Date().toISOString(), rows: {} };
+  }
+
+  const state = JSON.parse(readFileSync(path, 'utf8'));
+  if (state.batchId !== batchId) {
+    throw new Error(`State file ${path} belongs to a different batch; use another --state path`);
+  }
+  return state;
+}
+
+/**
+ * Send a batch of ICP transfers with resumable progress
+ * Rows are validated and the total (amounts plus fees) is checked against the
+ * sender balance before anything is sent. Each row's status is written to the
+ * state file before and after submission: rows that were already sent are skipped
+ * on the next run. Each row keeps its memo and created_at_time across runs, so a row
+ * whose outcome is unknown (crash or network error after submission) is resent
+ * within the ledger's dedup window and reported as sent if the first attempt went
+ * through. Past the window such rows are reported as "uncertain" and never resent.
+ * @param {ICPTransactionGenerator} generator - Initialized generator
+ * @param {string} privateKeyHex - Sender's private key in hex
+ * @param {Array<Object>} rows - Rows from parseBatchRows()
+ * @param {Object} options - stateFile, concurrency (default 1), fromSubaccount, confirmed (for amounts
+ *   the spending policy requires a confirmation for) and onProgress(rowResult)
+ * @returns {Promise<Object>} Summary report
+ */
+export async function runBatch(generator, privateKeyHex, rows, options = {}) {
+  const concurrency = Math.max(1, Number(options.concurrency ?? 1));
+  if (!Number.isInteger(concurrency)) {
+    throw new Error('Concurrency must be a positive integer');
+  }
+  if (rows.length === 0) {
+    throw new Error('Batch contains no rows');
+  }
+
+  // Validate every row before sending anything
+  const problems = [];
+  const prepared = rows.map(row => {
+    try {
+      const receiver = generator.parseReceiverAddress(row.receiver, row.subaccount);
+      const amountE8s = generator.icpToE8s(row.amount);
+      generator.policy?.checkDestination(receiver);
+      generator.policy?.checkAmount(amountE8s, options.confirmed);
+      if (row.memo !== null && !/^\d+$/.test(row.memo)) {
+        throw new Error('Memo must be a non-negative integer');
+      }
+      return { ...row, amountE8s };
+    } catch (error) {
+      problems.push(`row ${row.row}: ${error.message}`);
+      return null;
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(`Batch validation failed:\n  ${problems.join('\n  ')}`);
+  }
+
+  const batchId = crypto.createHash('sha256')
+    .update(JSON.stringify(rows.map(({ row, receiver, amount, memo, subaccount }) => [row, receiver, amount, memo, subaccount])))
+    .digest('hex');
+  const state = loadState(options.stateFile, batchId);
+  const persist = () => options.stateFile && writeJsonAtomic(options.stateFile, state);
+
+  // Rows interrupted during submission may or may not have been paid. Resending them with the
+  // same memo and created_at_time is only safe while the ledger still deduplicates them.
+  for (const entry of Object.values(state.rows)) {
+    if ((entry.status !== 'submitting' && entry.status !== 'uncertain') || entry.expired) {
+      continue;
+    }
+    if (entry.createdAt && generator.withinDedupWindow(BigInt(entry.createdAt))) {
+      entry.status = 'retry';
+    } else {
+      entry.status = 'uncertain';
+      entry.expired = true;
+      entry.error = `${entry.error ?? 'Run was interrupted during submission'}; past the ${ICP_DEDUP_WINDOW_MS / 3_600_000}h dedup window, verify on the ledger before paying again`;
+    }
+  }
+  persist();
+
+  const pending = prepared.filter(row => {
+    const status = state.rows[row.row]?.status;
+    return status !== 'sent' && status !== 'uncertain';
+  });
+
+  // Verify the balance covers all remaining amounts plus fees up front
+  const identity = generator.createIdentityFromPrivateKey(privateKeyHex);
+  const senderAccount = generator.getAccountIdentifier(identity, options.fromSubaccount);
+  if (pending.length > 0) {
+    // Resent rows may already be paid; the ledger deduplicates them, so they need no funds up front
+    const unsent = pending.filter(row => state.rows[row.row]?.status !== 'retry');
+    const fee = await generator.getTransferFee();
+    const required = unsent.reduce((sum, row) => sum + row.amountE8s + fee, 0n);
+    const balance = await generator.getBalance(senderAccount);
+    if (balance < required) {
+      throw new Error(`Insufficient balance for batch. Required: ${required} e8s, Available: ${balance} e8s`);
+    }
+    // Refuse a batch the daily limit cannot cover instead of stopping halfway; resent rows already count
+    generator.policy?.checkDailyLimit(senderAccount, unsent.reduce((sum, row) => sum + row.amountE8s, 0n));
+  }
+
+  const queue = [...pending];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const row = queue.shift();
+      const previous = state.rows[row.row]?.status === 'retry' ? state.rows[row.row] : null;
+      // Offset by the row number so identical rows are never deduplicated into one transfer
+      const createdAt = previous?.createdAt ?? (BigInt(Date.now()) * 1_000_000n + BigInt(row.row)).toString();
+      const memo = previous?.memo ?? row.memo ?? String(Date.now());
+      state.rows[row.row] = {
+        status: 'submitting',
+        receiver: row.receiver,
+        amount: row.amount,
+        memo,
+        createdAt,
+        startedAt: new Date().toISOString()
+      };
+      persist();
+
+      try {
+        const result = await generator.sendTransaction(privateKeyHex, row.receiver, row.amount, memo, {
+          fromSubaccount: options.fromSubaccount,
+          toSubaccount: row.subaccount,
+          createdAt,
+          confirmed: options.confirmed,
+          earlierAttempt: previous
+        });
+        state.rows[row.row] = {
+          ...state.rows[row.row],
+          status: 'sent',
+          blockIndex: result.blockIndex,
+          duplicate: result.duplicate,
+          finishedAt: new Date().toISOString()
+        };
+      } catch (error) {
+        // Ledger rejections mean nothing was paid, except a too-old transfer whose original may have landed.
+        // A refused preflight sent nothing either, but on a resend the original may already be paid.
+        const rejected = (error.message.startsWith('Transfer failed:') && error.variant !== 'TxTooOld') ||
+          (error.preflight && !previous);
+        state.rows[row.row] = {
+          ...state.rows[row.row],
+          status: rejected ? 'failed' : 'uncertain',
+          // A failed verification comes with the block the ledger recorded the transfer in
+          ...(error.blockIndex ? { blockIndex: error.blockIndex } : {}),
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        };
+      }
+      persist();
+      options.onProgress?.({ row: row.row, ...state.rows[row.row] });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  const results = prepared.map(row => ({
+    row: row.row,
+    receiver: row.receiver,
+    amount: row.amount,
+    status: state.rows[row.row]?.status ?? 'pending',
+    blockIndex: state.rows[row.row]?.blockIndex ?? null,
+    error: state.rows[row.row]?.error ?? null
+  }));
+  const count = status => results.filter(result => result.status === status).length;
+  const sentE8s = prepared
+    .filter(row => state.rows[row.row]?.status === 'sent')
+    .reduce((sum, row) => sum + row.amountE8s, 0n);
+
+  return {
+    batchId,
+    senderAccount,
+    stateFile: options.stateFile ?? null,
+    total: results.length,
+    sent: count('sent'),
+    failed: count('failed'),
+    uncertain: count('uncertain'),
+    sentE8s: sentE8s.toString(),
+    results
+  };
+}
@@ -0,0 +1,160 @@
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { Actor } from '@dfinity/agent';
+import { IDL } from '@dfinity/candid';
+import { Principal } from '@dfinity/principal';
+import { writeJsonAtomic } from './json-file.js';
+
+export const CMC_CANISTER_ID = 'rkp4c-7iaaa-aaaaa-aaaca-cai';
+
+// Memo the CMC expects on top-up transfers: "TPUP" as a little-endian u64
+export const TOP_UP_MEMO = 0x50555054n;
+
+const NotifyTopUpArg = IDL.Record({ block_index: IDL.Nat64, canister_id: IDL.Principal });
+
+const NotifyError = IDL.Variant({
+  Refunded: IDL.Record({ reason: IDL.Text, block_index: IDL.Opt(IDL.Nat64) }),
+  InvalidTransaction: IDL.Text,
+  TransactionTooOld: IDL.Nat64,
+  Processing: IDL.Null,
+  Other: IDL.Record({ error_code: IDL.Nat64, error_message: IDL.Text })
+});
+
+const NotifyTopUpResult = IDL.Variant({ Ok: IDL.Nat, Err: NotifyError });
+
+export const cmcIdlFactory = () => IDL.Service({
+  notify_top_up: IDL.Func([NotifyTopUpArg], [NotifyTopUpResult], [])
+});
+
+/**
+ * CMC subaccount that tops up a canister: the length of the canister id, then its bytes
+ * @param {Principal|string} canisterId - Canister to top up
+ * @returns {Uint8Array} 32-byte subaccount
+ */
+export function topUpSubaccount(canisterId) {
+  const principal = typeof canisterId === 'string' ? Principal.fromText(canisterId) : canisterId;
+  const bytes = principal.toUint8Array();
+  const subaccount = new Uint8Array(32);
+  subaccount[0] = bytes.length;
+  subaccount.set(bytes, 1);
+  return subaccount;
+}
+
+/**
+ * Build a human readable error from a CMC NotifyError variant
+ * @param {Object} error - Candid NotifyError variant
+ * @returns {Error} Error with `notify` (the variant) and, for a refund, `refundBlockIndex`
+ */
+export function cmcNotifyError(error) {
+  const [variant] = Object.keys(error);
+  const details = error[variant];
+  let errorMessage = 'Top-up notification failed: ';
+
+  if ('Refunded' in error) {
+    const [refundBlock] = details.block_index;
+    errorMessage += `refunded (${details.reason})${refundBlock !== undefined ? `, refund in block ${refundBlock}` : ''}`;
+  } else if ('InvalidTransaction' in error) {
+    errorMessage += `invalid transaction (${details})`;
+  } else if ('TransactionTooOld' in error) {
+    errorMessage += `transaction too old; the CMC only accepts blocks from ${details} on`;
+  } else if ('Processing' in error) {
+    errorMessage += 'the CMC is still processing the block';
+  } else {
+    errorMessage += `${details.error_message} (code ${details.error_code})`;
+  }
+
+  const result = new Error(errorMessage);
+  result.notify = variant;
+  if ('Refunded' in error && details.block_index.length > 0) {
+    result.refundBlockIndex = details.block_index[0].toString();
+  }
+  return result;
+}
+
+/**
+ * Client for the Cycles Minting Canister
+ */
+export class CyclesMintingCanister {
+  constructor(actor) {
+    this.actor = actor;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {HttpAgent} options.agent - Agent used for calls
+   * @param {Principal|string} options.canisterId - CMC canister id (default: CMC_CANISTER_ID)
+   * @returns {CyclesMintingCanister} CMC client
+   */
+  static create({ agent, canisterId = CMC_CANISTER_ID }) {
+    const principal = typeof canisterId === 'string' ? Principal.fromText(canisterId) : canisterId;
+    return new CyclesMintingCanister(Actor.createActor(cmcIdlFactory, { agent, canisterId: principal }));
+  }
+
+  /**
+   * Ask the CMC to mint cycles for a top-up transfer; notifying the same block again returns the same result
+   * @param {Object} args - { blockIndex, canisterId }
+   * @returns {Promise<bigint>} Cycles added to the canister
+   */
+  async notifyTopUp({ blockIndex, canisterId }) {
+    const result = await this.actor.notify_top_up({
+      block_index: BigInt(blockIndex),
+      canister_id: typeof canisterId === 'string' ? Principal.fromText(canisterId) : canisterId
+    });
+    if ('Err' in result) {
+      throw cmcNotifyError(result.Err);
+    }
+    return result.Ok;
+  }
+}
+
+/**
+ * Default file of unfinished top-ups: ~/.icp-transaction-generator/top-ups.json
+ * @returns {string} File path
+ */
+export function defaultTopUpStateFile() {
+  return join(homedir(), '.icp-transaction-generator', 'top-ups.json');
+}
+
+/**
+ * Top-ups that were started but not notified yet, by canister id
+ * Each record keeps the amount, memo and created_at_time of the transfer, and its block index
+ * once the ledger recorded it. Without a path the records are kept in memory.
+ */
+export class TopUpState {
+  /**
+   * @param {string|null} path - JSON file (default: none, kept in memory)
+   */
+  constructor(path = null) {
+    this.path = path;
+    this.records = {};
+    if (this.path && existsSync(this.path)) {
+      try {
+        this.records = JSON.parse(readFileSync(this.path, 'utf8')).topUps ?? {};
+      } catch (error) {
+        throw new Error(`Cannot read top-up state ${this.path}: ${error.message}`);
+      }
+    }
+  }
+
+  get(canisterId) {
+    return this.records[canisterId] ?? null;
+  }
+
+  set(canisterId, record) {
+    this.records[canisterId] = { ...record, updatedAt: new Date().toISOString() };
+    this.persist();
+  }
+
+  delete(canisterId) {
+    delete this.records[canisterId];
+    this.persist();
+  }
+
+  persist() {
+    if (!this.path) {
+      return;
+    }
+    writeJsonAtomic(this.path, { version: 1, topUps: this.records });
+  }
+}
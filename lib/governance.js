@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import { Actor } from '@dfinity/agent';
+import { IDL } from '@dfinity/candid';
+import { Principal } from '@dfinity/principal';
+
+export const GOVERNANCE_CANISTER_ID = 'rrkah-fqaaa-aaaaa-aaaaq-cai';
+
+// Governance refuses to claim neurons with less than 1 ICP
+export const NEURON_MINIMUM_STAKE_E8S = 100_000_000n;
+
+// The longest dissolve delay: 8 years of 365.25 days
+export const MAX_DISSOLVE_DELAY_SECONDS = 252_460_800;
+
+// NeuronState values of NeuronInfo
+const NEURON_STATES = { 1: 'locked', 2: 'dissolving', 3: 'dissolved', 4: 'spawning' };
+
+const NeuronId = IDL.Record({ id: IDL.Nat64 });
+
+const GovernanceError = IDL.Record({ error_message: IDL.Text, error_type: IDL.Int32 });
+
+const ClaimOrRefresh = IDL.Record({
+  by: IDL.Opt(IDL.Variant({
+    NeuronIdOrSubaccount: IDL.Record({}),
+    MemoAndController: IDL.Record({ controller: IDL.Opt(IDL.Principal), memo: IDL.Nat64 })
+  }))
+});
+
+const Operation = IDL.Variant({
+  IncreaseDissolveDelay: IDL.Record({ additional_dissolve_delay_seconds: IDL.Nat32 }),
+  StartDissolving: IDL.Record({}),
+  StopDissolving: IDL.Record({})
+});
+
+const ManageNeuron = IDL.Record({
+  id: IDL.Opt(NeuronId),
+  command: IDL.Opt(IDL.Variant({
+    ClaimOrRefresh: ClaimOrRefresh,
+    Configure: IDL.Record({ operation: IDL.Opt(Operation) })
+  })),
+  neuron_id_or_subaccount: IDL.Opt(IDL.Variant({ Subaccount: IDL.Vec(IDL.Nat8), NeuronId: NeuronId }))
+});
+
+// Only the replies to the commands above are decoded
+const ManageNeuronResponse = IDL.Record({
+  command: IDL.Opt(IDL.Variant({
+    Error: GovernanceError,
+    ClaimOrRefresh: IDL.Record({ refreshed_neuron_id: IDL.Opt(NeuronId) }),
+    Configure: IDL.Record({})
+  }))
+});
+
+const ListNeurons = IDL.Record({
+  neuron_ids: IDL.Vec(IDL.Nat64),
+  include_neurons_readable_by_caller: IDL.Bool
+});
+
+const NeuronInfo = IDL.Record({
+  dissolve_delay_seconds: IDL.Nat64,
+  state: IDL.Int32,
+  voting_power: IDL.Nat64,
+  age_seconds: IDL.Nat64,
+  stake_e8s: IDL.Nat64
+});
+
+const Neuron = IDL.Record({
+  id: IDL.Opt(NeuronId),
+  account: IDL.Vec(IDL.Nat8),
+  controller: IDL.Opt(IDL.Principal),
+  cached_neuron_stake_e8s: IDL.Nat64,
+  maturity_e8s_equivalent: IDL.Nat64,
+  created_timestamp_seconds: IDL.Nat64,
+  dissolve_state: IDL.Opt(IDL.Variant({
+    DissolveDelaySeconds: IDL.Nat64,
+    WhenDissolvedTimestampSeconds: IDL.Nat64
+  }))
+});
+
+const ListNeuronsResponse = IDL.Record({
+  neuron_infos: IDL.Vec(IDL.Tuple(IDL.Nat64, NeuronInfo)),
+  full_neurons: IDL.Vec(Neuron)
+});
+
+export const governanceIdlFactory = () => IDL.Service({
+  manage_neuron: IDL.Func([ManageNeuron], [ManageNeuronResponse], []),
+  list_neurons: IDL.Func([ListNeurons], [ListNeuronsResponse], ['query'])
+});
+
+/**
+ * Random nonce for staking a new neuron
+ * @returns {bigint} Random u64
+ */
+export function randomNeuronNonce() {
+  return crypto.randomBytes(8).readBigUInt64BE();
+}
+
+/**
+ * Governance subaccount that a new neuron is staked to:
+ * sha256(0x0c, "neuron-stake", controller principal, nonce as big-endian u64)
+ * @param {Principal|string} controller - Neuron controller
+ * @param {bigint} nonce - Nonce, also the memo of the staking transfer
+ * @returns {Uint8Array} 32-byte subaccount
+ */
+export function neuronStakeSubaccount(controller, nonce) {
+  const principal = typeof controller === 'string' ? Principal.fromText(controller) : controller;
+  const nonceBytes = Buffer.alloc(8);
+  nonceBytes.writeBigUInt64BE(BigInt(nonce));
+  return new Uint8Array(crypto.createHash('sha256')
+    .update(Buffer.from([0x0c]))
+    .update('neuron-stake')
+    .update(principal.toUint8Array())
+    .update(nonceBytes)
+    .digest());
+}
+
+/**
+ * Build an error from a governance GovernanceError
+ * @param {Object} error - Candid GovernanceError
+ * @returns {Error} Error with `governanceErrorType`
+ */
+export function governanceError(error) {
+  const result = new Error(`Governance error: ${error.error_message} (type ${error.error_type})`);
+  result.governanceErrorType = Number(error.error_type);
+  return result;
+}
+
+/**
+ * NNS governance backend that talks to the governance canister over HTTP
+ *
+ * Calls are made as the identity passed to each method, which governance treats as the
+ * controller (or hotkey) of the neurons. Any object with the same methods can be passed as
+ * the `governanceBackend` option of ICPTransactionGenerator:
+ *   claimNeuron(identity, { controller, memo }) -> neuron id
+ *   refreshNeuron(identity, neuronId) -> neuron id
+ *   configureNeuron(identity, neuronId, operation) -> nothing, where operation is
+ *     { IncreaseDissolveDelay: { additional_dissolve_delay_seconds } }, { StartDissolving: {} } or { StopDissolving: {} }
+ *   listNeurons(identity) -> neurons (see toNeuron())
+ * Governance errors are thrown as errors from governanceError().
+ */
+export class GovernanceBackend {
+  constructor(canisterId, createAgent) {
+    this.canisterId = canisterId;
+    this.createAgent = createAgent;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Principal|string} options.canisterId - Governance canister id (default: GOVERNANCE_CANISTER_ID)
+   * @param {Function} options.createAgent - async (identity) => agent that signs calls with the identity
+   * @returns {GovernanceBackend} Backend
+   */
+  static create({ canisterId = GOVERNANCE_CANISTER_ID, createAgent }) {
+    const principal = typeof canisterId === 'string' ? Principal.fromText(canisterId) : canisterId;
+    return new GovernanceBackend(principal, createAgent);
+  }
+
+  async actor(identity) {
+    return Actor.createActor(governanceIdlFactory, { agent: await this.createAgent(identity), canisterId: this.canisterId });
+  }
+
+  async manageNeuron(identity, request) {
+    const { command: [reply] } = await (await this.actor(identity)).manage_neuron({
+      id: [],
+      command: [],
+      neuron_id_or_subaccount: [],
+      ...request
+    });
+    if (!reply) {
+      throw new Error('Governance returned no reply to manage_neuron');
+    }
+    if ('Error' in reply) {
+      throw governanceError(reply.Error);
+    }
+    return reply;
+  }
+
+  async claimNeuron(identity, { controller, memo }) {
+    const reply = await this.manageNeuron(identity, {
+      command: [{ ClaimOrRefresh: { by: [{ MemoAndController: { controller: [controller], memo: BigInt(memo) } }] } }]
+    });
+    return this.refreshedNeuronId(reply);
+  }
+
+  async refreshNeuron(identity, neuronId) {
+    const reply = await this.manageNeuron(identity, {
+      id: [{ id: BigInt(neuronId) }],
+      command: [{ ClaimOrRefresh: { by: [{ NeuronIdOrSubaccount: {} }] } }]
+    });
+    return this.refreshedNeuronId(reply);
+  }
+
+  refreshedNeuronId(reply) {
+    const [neuronId] = reply.ClaimOrRefresh?.refreshed_neuron_id ?? [];
+    if (!neuronId) {
+      throw new Error('Governance did not return the neuron id');
+    }
+    return neuronId.id;
+  }
+
+  async configureNeuron(identity, neuronId, operation) {
+    await this.manageNeuron(identity, {
+      id: [{ id: BigInt(neuronId) }],
+      command: [{ Configure: { operation: [operation] } }]
+    });
+  }
+
+  async listNeurons(identity) {
+    const response = await (await this.actor(identity)).list_neurons({
+      neuron_ids: [],
+      include_neurons_readable_by_caller: true
+    });
+    const infos = new Map(response.neuron_infos.map(([id, info]) => [id, info]));
+    return response.full_neurons
+      .filter(neuron => neuron.id.length > 0)
+      .map(neuron => toNeuron(neuron, infos.get(neuron.id[0].id)));
+  }
+}
+
+/**
+ * Normalize a governance Neuron and its NeuronInfo
+ * @param {Object} neuron - Candid Neuron
+ * @param {Object} info - Candid NeuronInfo (optional)
+ * @returns {Object} { id, subaccount, controller, stakeE8s, maturityE8s, state, dissolveDelaySeconds,
+ *   whenDissolvedTimestampSeconds, votingPower, ageSeconds, createdTimestampSeconds }
+ */
+function toNeuron(neuron, info) {
+  const [dissolveState] = neuron.dissolve_state;
+  return {
+    id: neuron.id[0].id,
+    subaccount: new Uint8Array(neuron.account),
+    controller: neuron.controller[0] ?? null,
+    stakeE8s: neuron.cached_neuron_stake_e8s,
+    maturityE8s: neuron.maturity_e8s_equivalent,
+    state: info ? NEURON_STATES[info.state] ?? 'unspecified' : null,
+    dissolveDelaySeconds: info ? info.dissolve_delay_seconds : (dissolveState?.DissolveDelaySeconds ?? 0n),
+    whenDissolvedTimestampSeconds: dissolveState?.WhenDissolvedTimestampSeconds ?? null,
+    votingPower: info?.voting_power ?? null,
+    ageSeconds: info?.age_seconds ?? null,
+    createdTimestampSeconds: neuron.created_timestamp_seconds
+  };
+}
@@ -0,0 +1,211 @@
+import { Actor } from '@dfinity/agent';
+import { Principal } from '@dfinity/principal';
+import { bytesToHex } from './account.js';
+import { formatIcp } from './amount.js';
+import { icpLedgerIdlFactory, icpArchiveIdlFactory } from './icp-ledger.js';
+
+// The ledger and archives return at most a few thousand blocks per call
+const BLOCKS_PER_QUERY = 1000n;
+
+export const HISTORY_CSV_COLUMNS = [
+  'blockIndex',
+  'timestamp',
+  'type',
+  'direction',
+  'from',
+  'to',
+  'counterparty',
+  'amount',
+  'amountE8s',
+  'fee',
+  'feeE8s',
+  'memo',
+  'icrc1Memo',
+  'createdAt'
+];
+
+/**
+ * Reads raw blocks from the ICP ledger with query_blocks, following archive canisters for old ranges
+ */
+export class IcpBlockReader {
+  constructor(actor, agent) {
+    this.actor = actor;
+    this.agent = agent;
+    this.archives = new Map();
+  }
+
+  /**
+   * @param {Object} options
+   * @param {HttpAgent} options.agent - Agent used for calls
+   * @param {Principal|string} options.canisterId - ICP ledger canister id
+   * @returns {IcpBlockReader} Block reader
+   */
+  static create({ agent, canisterId }) {
+    const principal = typeof canisterId === 'string' ? Principal.fromText(canisterId) : canisterId;
+    return new IcpBlockReader(Actor.createActor(icpLedgerIdlFactory, { agent, canisterId: principal }), agent);
+  }
+
+  /**
+   * @returns {Promise<bigint>} Number of blocks in the chain
+   */
+  async chainLength() {
+    const response = await this.actor.query_blocks({ start: 0n, length: 0n });
+    return response.chain_length;
+  }
+
+  /**
+   * Read the blocks with index start <= index < end, in order
+   * @param {bigint} start - First block index
+   * @param {bigint} end - Block index after the last block
+   * @returns {Promise<Array<Object>>} { index, block } with the Candid block record
+   */
+  async readBlocks(start, end) {
+    const blocks = [];
+    let next = start;
+
+    while (next < end) {
+      const length = end - next < BLOCKS_PER_QUERY ? end - next : BLOCKS_PER_QUERY;
+      const response = await this.actor.query_blocks({ start: next, length });
+      const page = [];
+
+      for (const range of response.archived_blocks) {
+        page.push(...await this.readArchive(range.callback, range.start, range.length));
+      }
+      response.blocks.forEach((block, i) => {
+        page.push({ index: response.first_block_index + BigInt(i), block });
+      });
+
+      // The reply may cover only a prefix of the range; continue after the last block returned
+      const last = page.reduce((max, { index }) => index > max ? index : max, next - 1n);
+      if (last < next) {
+        break;
+      }
+      blocks.push(...page.filter(({ index }) => index >= next && index < end));
+      next = last + 1n;
+    }
+
+    return blocks.sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : 0));
+  }
+
+  /**
+   * Read the raw encoded bytes of one block
+   * @param {bigint} index - Block index
+   * @returns {Promise<Uint8Array|null>} Encoded block, or null when the block does not exist yet
+   */
+  async readEncodedBlock(index) {
+    const response = await this.actor.query_encoded_blocks({ start: index, length: 1n });
+    if (response.blocks.length > 0 && response.first_block_index === index) {
+      return new Uint8Array(response.blocks[0]);
+    }
+
+    const [range] = response.archived_blocks;
+    if (!range) {
+      return null;
+    }
+    const [canisterId, method] = range.callback;
+    const archive = this.archiveActor(canisterId, method, true);
+    const result = await archive[method]({ start: index, length: 1n });
+    if ('Err' in result) {
+      const [variant] = Object.keys(result.Err);
+      throw new Error(`Archive ${canisterId.toText()} rejected block ${index}: ${variant}`);
+    }
+    return result.Ok.length > 0 ? new Uint8Array(result.Ok[0]) : null;
+  }
+
+  archiveActor(canisterId, method, encoded = false) {
+    const key = `${canisterId.toText()}.${method}`;
+    if (!this.archives.has(key)) {
+      this.archives.set(key, Actor.createActor(icpArchiveIdlFactory(method, encoded), { agent: this.agent, canisterId }));
+    }
+    return this.archives.get(key);
+  }
+
+  async readArchive([canisterId, method], start, length) {
+    const archive = this.archiveActor(canisterId, method);
+
+    const blocks = [];
+    let next = start;
+    while (next < start + length) {
+      const result = await archive[method]({ start: next, length: start + length - next });
+      if ('Err' in result) {
+        const [variant] = Object.keys(result.Err);
+        throw new Error(`Archive ${canisterId.toText()} rejected blocks ${next}-${start + length - 1n}: ${variant}`);
+      }
+      if (result.Ok.blocks.length === 0) {
+        break;
+      }
+      result.Ok.blocks.forEach((block, i) => blocks.push({ index: next + BigInt(i), block }));
+      next += BigInt(result.Ok.blocks.length);
+    }
+    return blocks;
+  }
+}
+
+/**
+ * Convert a ledger block into a history entry for an account
+ * @param {bigint} index - Block index
+ * @param {Object} block - Candid block record
+ * @param {string} accountIdentifier - Account identifier hex the history is for
+ * @returns {Object|null} History entry, or null when the block does not involve the account
+ */
+export function toHistoryEntry(index, block, accountIdentifier) {
+  const [operation] = block.transaction.operation;
+  if (!operation) {
+    return null;
+  }
+
+  const [variant] = Object.keys(operation);
+  const details = operation[variant];
+  const from = details.from ? bytesToHex(details.from) : null;
+  const to = details.to ? bytesToHex(details.to) : variant === 'Approve' ? bytesToHex(details.spender) : null;
+  const account = accountIdentifier.toLowerCase();
+  if (from !== account && to !== account) {
+    return null;
+  }
+
+  let direction;
+  if (from === account && to === account) {
+    direction = 'self';
+  } else {
+    direction = from === account ? 'out' : 'in';
+  }
+
+  const amountE8s = variant === 'Approve' ? details.allowance.e8s : details.amount.e8s;
+  const feeE8s = details.fee?.e8s ?? 0n;
+  const [icrc1Memo] = block.transaction.icrc1_memo;
+
+  return {
+    blockIndex: index.toString(),
+    timestamp: new Date(Number(block.timestamp.timestamp_nanos / 1_000_000n)).toISOString(),
+    type: variant.toLowerCase(),
+    direction,
+    from,
+    to,
+    counterparty: direction === 'out' ? to : direction === 'in' ? from : account,
+    amount: formatIcp(amountE8s),
+    amountE8s: amountE8s.toString(),
+    fee: formatIcp(feeE8s),
+    feeE8s: feeE8s.toString(),
+    memo: block.transaction.memo.toString(),
+    icrc1Memo: icrc1Memo ? bytesToHex(icrc1Memo) : null,
+    createdAt: block.transaction.created_at_time.timestamp_nanos.toString()
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format history entries as CSV with a header line
+ * @param {Array<Object>} entries - Entries from toHistoryEntry()
+ * @returns {string} CSV text
+ */
+export function historyToCsv(entries) {
+  const lines = [HISTORY_CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    lines.push(HISTORY_CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,191 @@
+import { IDL } from '@dfinity/candid';
+import {
+  BadFeeError,
+  InsufficientFundsError,
+  TxCreatedInFutureError,
+  TxDuplicateError,
+  TxTooOldError
+} from '@dfinity/ledger-icp';
+
+export const ICP_LEDGER_CANISTER_ID = 'ryjl3-tyaaa-aaaaa-aaaba-cai';
+export const ICP_TRANSFER_FEE = 10_000n;
+export const ICP_MAX_MEMO = 2n ** 64n - 1n;
+
+// The ledger deduplicates transfers with the same created_at_time for 24 hours
+export const ICP_DEDUP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const Tokens = IDL.Record({ e8s: IDL.Nat64 });
+const TimeStamp = IDL.Record({ timestamp_nanos: IDL.Nat64 });
+
+export const TransferArgs = IDL.Record({
+  to: IDL.Vec(IDL.Nat8),
+  fee: Tokens,
+  memo: IDL.Nat64,
+  from_subaccount: IDL.Opt(IDL.Vec(IDL.Nat8)),
+  created_at_time: IDL.Opt(TimeStamp),
+  amount: Tokens
+});
+
+export const TransferError = IDL.Variant({
+  BadFee: IDL.Record({ expected_fee: Tokens }),
+  InsufficientFunds: IDL.Record({ balance: Tokens }),
+  TxTooOld: IDL.Record({ allowed_window_nanos: IDL.Nat64 }),
+  TxCreatedInFuture: IDL.Null,
+  TxDuplicate: IDL.Record({ duplicate_of: IDL.Nat64 })
+});
+
+export const TransferResult = IDL.Variant({ Ok: IDL.Nat64, Err: TransferError });
+
+const AccountIdentifierBytes = IDL.Vec(IDL.Nat8);
+
+const Operation = IDL.Variant({
+  Mint: IDL.Record({ to: AccountIdentifierBytes, amount: Tokens }),
+  Burn: IDL.Record({
+    from: AccountIdentifierBytes,
+    spender: IDL.Opt(AccountIdentifierBytes),
+    amount: Tokens
+  }),
+  Transfer: IDL.Record({
+    from: AccountIdentifierBytes,
+    to: AccountIdentifierBytes,
+    amount: Tokens,
+    fee: Tokens,
+    spender: IDL.Opt(IDL.Vec(IDL.Nat8))
+  }),
+  Approve: IDL.Record({
+    from: AccountIdentifierBytes,
+    spender: AccountIdentifierBytes,
+    allowance_e8s: IDL.Int,
+    allowance: Tokens,
+    fee: Tokens,
+    expires_at: IDL.Opt(TimeStamp),
+    expected_allowance: IDL.Opt(Tokens)
+  })
+});
+
+const Block = IDL.Record({
+  parent_hash: IDL.Opt(IDL.Vec(IDL.Nat8)),
+  transaction: IDL.Record({
+    memo: IDL.Nat64,
+    icrc1_memo: IDL.Opt(IDL.Vec(IDL.Nat8)),
+    operation: IDL.Opt(Operation),
+    created_at_time: TimeStamp
+  }),
+  timestamp: TimeStamp
+});
+
+export const GetBlocksArgs = IDL.Record({ start: IDL.Nat64, length: IDL.Nat64 });
+
+export const QueryArchiveResult = IDL.Variant({
+  Ok: IDL.Record({ blocks: IDL.Vec(Block) }),
+  Err: IDL.Variant({
+    BadFirstBlockIndex: IDL.Record({ requested_index: IDL.Nat64, first_valid_index: IDL.Nat64 }),
+    Other: IDL.Record({ error_code: IDL.Nat64, error_message: IDL.Text })
+  })
+});
+
+const QueryBlocksResponse = IDL.Record({
+  chain_length: IDL.Nat64,
+  certificate: IDL.Opt(IDL.Vec(IDL.Nat8)),
+  blocks: IDL.Vec(Block),
+  first_block_index: IDL.Nat64,
+  archived_blocks: IDL.Vec(IDL.Record({
+    start: IDL.Nat64,
+    length: IDL.Nat64,
+    callback: IDL.Func([GetBlocksArgs], [QueryArchiveResult], ['query'])
+  }))
+});
+
+export const QueryArchiveEncodedResult = IDL.Variant({
+  Ok: IDL.Vec(IDL.Vec(IDL.Nat8)),
+  Err: IDL.Variant({
+    BadFirstBlockIndex: IDL.Record({ requested_index: IDL.Nat64, first_valid_index: IDL.Nat64 }),
+    Other: IDL.Record({ error_code: IDL.Nat64, error_message: IDL.Text })
+  })
+});
+
+const QueryEncodedBlocksResponse = IDL.Record({
+  certificate: IDL.Opt(IDL.Vec(IDL.Nat8)),
+  blocks: IDL.Vec(IDL.Vec(IDL.Nat8)),
+  chain_length: IDL.Nat64,
+  first_block_index: IDL.Nat64,
+  archived_blocks: IDL.Vec(IDL.Record({
+    start: IDL.Nat64,
+    length: IDL.Nat64,
+    callback: IDL.Func([GetBlocksArgs], [QueryArchiveEncodedResult], ['query'])
+  }))
+});
+
+/**
+ * Candid interface of the legacy ICP ledger methods used by this tool
+ * @returns {IDL.ServiceClass} Service definition
+ */
+export const icpLedgerIdlFactory = () => IDL.Service({
+  transfer: IDL.Func([TransferArgs], [TransferResult], []),
+  query_blocks: IDL.Func([GetBlocksArgs], [QueryBlocksResponse], ['query']),
+  query_encoded_blocks: IDL.Func([GetBlocksArgs], [QueryEncodedBlocksResponse], ['query'])
+});
+
+/**
+ * Candid interface of an ICP archive canister, whose query method is named by the ledger
+ * @param {string} method - Method name from an ArchivedBlocksRange callback
+ * @param {boolean} encoded - True for the encoded blocks method (get_encoded_blocks)
+ * @returns {Function} IDL factory
+ */
+export const icpArchiveIdlFactory = (method, encoded = false) => () => IDL.Service({
+  [method]: IDL.Func([GetBlocksArgs], [encoded ? QueryArchiveEncodedResult : QueryArchiveResult], ['query'])
+});
+
+/**
+ * Build a human readable error from an ICP ledger TransferError variant
+ * @param {Object} error - Candid TransferError variant
+ * @returns {Error} Error with `variant` and `details` properties
+ */
+export function icpTransferError(error) {
+  const [variant] = Object.keys(error);
+  const details = error[variant];
+  let errorMessage = 'Transfer failed: ';
+
+  if ('BadFee' in error) {
+    errorMessage += `Bad fee. Expected: ${details.expected_fee.e8s ?? details.expected_fee}`;
+  } else if ('InsufficientFunds' in error) {
+    errorMessage += `Insufficient funds. Balance: ${details.balance.e8s ?? details.balance}`;
+  } else if ('TxTooOld' in error) {
+    errorMessage += 'Transaction too old';
+  } else if ('TxCreatedInFuture' in error) {
+    errorMessage += 'Transaction created in future';
+  } else if ('TxDuplicate' in error) {
+    errorMessage += `Duplicate transaction. Block: ${details.duplicate_of}`;
+  } else {
+    errorMessage += JSON.stringify(error, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+  }
+
+  const result = new Error(errorMessage);
+  result.variant = variant;
+  result.details = details;
+  return result;
+}
+
+/**
+ * Convert an error thrown by LedgerCanister.transfer into the matching TransferError variant
+ * @param {Error} error - Error thrown by @dfinity/ledger-icp
+ * @returns {Error|null} Error from icpTransferError(), or null when the ledger did not reject the transfer
+ */
+export function fromLedgerCanisterError(error) {
+  if (error instanceof TxDuplicateError) {
+    return icpTransferError({ TxDuplicate: { duplicate_of: error.duplicateOf } });
+  }
+  if (error instanceof InsufficientFundsError) {
+    return icpTransferError({ InsufficientFunds: { balance: { e8s: error.balance } } });
+  }
+  if (error instanceof BadFeeError) {
+    return icpTransferError({ BadFee: { expected_fee: { e8s: error.expectedFee } } });
+  }
+  if (error instanceof TxTooOldError) {
+    return icpTransferError({ TxTooOld: { allowed_window_nanos: error.allowed_window_secs } });
+  }
+  if (error instanceof TxCreatedInFutureError) {
+    return icpTransferError({ TxCreatedInFuture: null });
+  }
+  return null;
+}
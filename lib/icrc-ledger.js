@@ -0,0 +1,362 @@
+import { Actor } from '@dfinity/agent';
+import { IDL } from '@dfinity/candid';
+import { Principal } from '@dfinity/principal';
+
+/**
+ * Candid interface of the ICRC-1 / ICRC-2 ledger methods used by this tool
+ * @param {Object} param0 - Candid IDL namespace
+ * @returns {IDL.ServiceClass} Service definition
+ */
+export const icrcLedgerIdlFactory = ({ IDL }) => {
+  const Subaccount = IDL.Vec(IDL.Nat8);
+  const Account = IDL.Record({
+    owner: IDL.Principal,
+    subaccount: IDL.Opt(Subaccount)
+  });
+  const MetadataValue = IDL.Variant({
+    Nat: IDL.Nat,
+    Int: IDL.Int,
+    Text: IDL.Text,
+    Blob: IDL.Vec(IDL.Nat8)
+  });
+  const TransferArg = IDL.Record({
+    from_subaccount: IDL.Opt(Subaccount),
+    to: Account,
+    amount: IDL.Nat,
+    fee: IDL.Opt(IDL.Nat),
+    memo: IDL.Opt(IDL.Vec(IDL.Nat8)),
+    created_at_time: IDL.Opt(IDL.Nat64)
+  });
+  const TransferError = IDL.Variant({
+    BadFee: IDL.Record({ expected_fee: IDL.Nat }),
+    BadBurn: IDL.Record({ min_burn_amount: IDL.Nat }),
+    InsufficientFunds: IDL.Record({ balance: IDL.Nat }),
+    TooOld: IDL.Null,
+    CreatedInFuture: IDL.Record({ ledger_time: IDL.Nat64 }),
+    TemporarilyUnavailable: IDL.Null,
+    Duplicate: IDL.Record({ duplicate_of: IDL.Nat }),
+    GenericError: IDL.Record({ error_code: IDL.Nat, message: IDL.Text })
+  });
+  const ApproveArgs = IDL.Record({
+    from_subaccount: IDL.Opt(Subaccount),
+    spender: Account,
+    amount: IDL.Nat,
+    expected_allowance: IDL.Opt(IDL.Nat),
+    expires_at: IDL.Opt(IDL.Nat64),
+    fee: IDL.Opt(IDL.Nat),
+    memo: IDL.Opt(IDL.Vec(IDL.Nat8)),
+    created_at_time: IDL.Opt(IDL.Nat64)
+  });
+  const ApproveError = IDL.Variant({
+    BadFee: IDL.Record({ expected_fee: IDL.Nat }),
+    InsufficientFunds: IDL.Record({ balance: IDL.Nat }),
+    AllowanceChanged: IDL.Record({ current_allowance: IDL.Nat }),
+    Expired: IDL.Record({ ledger_time: IDL.Nat64 }),
+    TooOld: IDL.Null,
+    CreatedInFuture: IDL.Record({ ledger_time: IDL.Nat64 }),
+    Duplicate: IDL.Record({ duplicate_of: IDL.Nat }),
+    TemporarilyUnavailable: IDL.Null,
+    GenericError: IDL.Record({ error_code: IDL.Nat, message: IDL.Text })
+  });
+  const TransferFromArgs = IDL.Record({
+    spender_subaccount: IDL.Opt(Subaccount),
+    from: Account,
+    to: Account,
+    amount: IDL.Nat,
+    fee: IDL.Opt(IDL.Nat),
+    memo: IDL.Opt(IDL.Vec(IDL.Nat8)),
+    created_at_time: IDL.Opt(IDL.Nat64)
+  });
+  const TransferFromError = IDL.Variant({
+    BadFee: IDL.Record({ expected_fee: IDL.Nat }),
+    BadBurn: IDL.Record({ min_burn_amount: IDL.Nat }),
+    InsufficientFunds: IDL.Record({ balance: IDL.Nat }),
+    InsufficientAllowance: IDL.Record({ allowance: IDL.Nat }),
+    TooOld: IDL.Null,
+    CreatedInFuture: IDL.Record({ ledger_time: IDL.Nat64 }),
+    Duplicate: IDL.Record({ duplicate_of: IDL.Nat }),
+    TemporarilyUnavailable: IDL.Null,
+    GenericError: IDL.Record({ error_code: IDL.Nat, message: IDL.Text })
+  });
+  const AllowanceArgs = IDL.Record({ account: Account, spender: Account });
+  const Allowance = IDL.Record({
+    allowance: IDL.Nat,
+    expires_at: IDL.Opt(IDL.Nat64)
+  });
+
+  return IDL.Service({
+    icrc1_metadata: IDL.Func([], [IDL.Vec(IDL.Tuple(IDL.Text, MetadataValue))], ['query']),
+    icrc1_balance_of: IDL.Func([Account], [IDL.Nat], ['query']),
+    icrc1_transfer: IDL.Func(
+      [TransferArg],
+      [IDL.Variant({ Ok: IDL.Nat, Err: TransferError })],
+      []
+    ),
+    icrc2_approve: IDL.Func(
+      [ApproveArgs],
+      [IDL.Variant({ Ok: IDL.Nat, Err: ApproveError })],
+      []
+    ),
+    icrc2_transfer_from: IDL.Func(
+      [TransferFromArgs],
+      [IDL.Variant({ Ok: IDL.Nat, Err: TransferFromError })],
+      []
+    ),
+    icrc2_allowance: IDL.Func([AllowanceArgs], [Allowance], ['query'])
+  });
+};
+
+/**
+ * Build a human readable error from an ICRC-1 / ICRC-2 error variant
+ * @param {string} operation - Operation name used as message prefix (e.g. "Transfer")
+ * @param {Object} error - Candid error variant
+ * @returns {Error} Error with `variant` and `details` properties
+ */
+export function icrcError(operation, error) {
+  const [variant] = Object.keys(error);
+  const details = error[variant];
+  let message = `${operation} failed: `;
+
+  switch (variant) {
+    case 'BadFee':
+      message += `Bad fee. Expected: ${details.expected_fee}`;
+      break;
+    case 'BadBurn':
+      message += `Bad burn. Minimum burn amount: ${details.min_burn_amount}`;
+      break;
+    case 'InsufficientFunds':
+      message += `Insufficient funds. Balance: ${details.balance}`;
+      break;
+    case 'InsufficientAllowance':
+      message += `Insufficient allowance. Allowance: ${details.allowance}`;
+      break;
+    case 'AllowanceChanged':
+      message += `Allowance changed. Current allowance: ${details.current_allowance}`;
+      break;
+    case 'Expired':
+      message += `Approval expired. Ledger time: ${details.ledger_time}`;
+      break;
+    case 'TooOld':
+      message += 'Transaction too old';
+      break;
+    case 'CreatedInFuture':
+      message += `Transaction created in future. Ledger time: ${details.ledger_time}`;
+      break;
+    case 'Duplicate':
+      message += `Duplicate transaction. Block: ${details.duplicate_of}`;
+      break;
+    case 'TemporarilyUnavailable':
+      message += 'Ledger temporarily unavailable';
+      break;
+    case 'GenericError':
+      message += `${details.message} (code ${details.error_code})`;
+      break;
+    default:
+      message += JSON.stringify(error, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+  }
+
+  const result = new Error(message);
+  result.variant = variant;
+  result.details = details;
+  return result;
+}
+
+/**
+ * Encode a memo for ICRC-1 ledgers
+ * Numbers are encoded as 8-byte big-endian integers, "0x" strings as raw bytes
+ * and any other string as UTF-8 text.
+ * @param {string|number|bigint|null} memo - Memo value
+ * @returns {Uint8Array|undefined} Memo bytes, or undefined when no memo was given
+ */
+export function encodeIcrcMemo(memo) {
+  if (memo === null || memo === undefined || memo === '') {
+    return undefined;
+  }
+
+  let bytes;
+  const text = String(memo).trim();
+  if (typeof memo !== 'string' || /^\d+$/.test(text)) {
+    const value = BigInt(text);
+    if (value < 0n || value >= 2n ** 64n) {
+      throw new Error('Numeric memo must fit in 64 bits');
+    }
+    bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, value);
+  } else if (/^0x([0-9a-fA-F]{2})+$/.test(text)) {
+    bytes = new Uint8Array(text.slice(2).match(/.{2}/g).map(byte => parseInt(byte, 16)));
+  } else {
+    bytes = new TextEncoder().encode(text);
+  }
+
+  if (bytes.length > 32) {
+    throw new Error('ICRC-1 memo must be at most 32 bytes');
+  }
+  return bytes;
+}
+
+/**
+ * Client for any ICRC-1 / ICRC-2 ledger canister (ICP, ckBTC, ckETH, SNS tokens...)
+ */
+export class IcrcLedger {
+  constructor(actor, canisterId) {
+    this.actor = actor;
+    this.canisterId = canisterId;
+    this.tokenMetadata = null;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {HttpAgent} options.agent - Agent used for calls
+   * @param {Principal|string} options.canisterId - Ledger canister id
+   * @returns {IcrcLedger} Ledger client
+   */
+  static create({ agent, canisterId }) {
+    const principal = typeof canisterId === 'string' ? Principal.fromText(canisterId) : canisterId;
+    const actor = Actor.createActor(icrcLedgerIdlFactory, { agent, canisterId: principal });
+    return new IcrcLedger(actor, principal);
+  }
+
+  /**
+   * Read symbol, name, decimals and fee from the ledger metadata (cached)
+   * @returns {Promise<Object>} Token metadata
+   */
+  async metadata() {
+    if (this.tokenMetadata) {
+      return this.tokenMetadata;
+    }
+
+    const entries = await this.actor.icrc1_metadata();
+    const values = Object.fromEntries(
+      entries.map(([key, value]) => [key, Object.values(value)[0]])
+    );
+
+    if (values['icrc1:decimals'] === undefined || values['icrc1:fee'] === undefined) {
+      throw new Error(`Ledger ${this.canisterId.toText()} does not publish icrc1:decimals and icrc1:fee metadata`);
+    }
+
+    this.tokenMetadata = {
+      canisterId: this.canisterId.toText(),
+      symbol: values['icrc1:symbol'] ?? '',
+      name: values['icrc1:name'] ?? '',
+      decimals: Number(values['icrc1:decimals']),
+      fee: BigInt(values['icrc1:fee'])
+    };
+    return this.tokenMetadata;
+  }
+
+  /**
+   * @param {Object} account - ICRC-1 account ({ owner, subaccount })
+   * @returns {Promise<bigint>} Balance in base units
+   */
+  async balanceOf(account) {
+    return await this.actor.icrc1_balance_of(toCandidAccount(account));
+  }
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.to - Receiver account
+   * @param {bigint} params.amount - Amount in base units
+   * @param {bigint} [params.fee] - Fee in base units
+   * @param {Uint8Array} [params.memo] - Memo bytes
+   * @param {Uint8Array} [params.fromSubaccount] - Sender subaccount
+   * @param {bigint} [params.createdAt] - Creation time in nanoseconds
+   * @returns {Promise<bigint>} Block index
+   */
+  async transfer({ to, amount, fee, memo, fromSubaccount, createdAt }) {
+    const result = await this.actor.icrc1_transfer({
+      from_subaccount: toOpt(fromSubaccount),
+      to: toCandidAccount(to),
+      amount,
+      fee: toOpt(fee),
+      memo: toOpt(memo),
+      created_at_time: toOpt(createdAt)
+    });
+    if ('Err' in result) {
+      throw icrcError('Transfer', result.Err);
+    }
+    return result.Ok;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.spender - Spender account
+   * @param {bigint} params.amount - Allowance in base units
+   * @param {bigint} [params.expectedAllowance] - Current allowance expected by the caller
+   * @param {bigint} [params.expiresAt] - Expiry in nanoseconds
+   * @param {bigint} [params.fee] - Fee in base units
+   * @param {Uint8Array} [params.memo] - Memo bytes
+   * @param {Uint8Array} [params.fromSubaccount] - Owner subaccount
+   * @param {bigint} [params.createdAt] - Creation time in nanoseconds
+   * @returns {Promise<bigint>} Block index
+   */
+  async approve({ spender, amount, expectedAllowance, expiresAt, fee, memo, fromSubaccount, createdAt }) {
+    const result = await this.actor.icrc2_approve({
+      from_subaccount: toOpt(fromSubaccount),
+      spender: toCandidAccount(spender),
+      amount,
+      expected_allowance: toOpt(expectedAllowance),
+      expires_at: toOpt(expiresAt),
+      fee: toOpt(fee),
+      memo: toOpt(memo),
+      created_at_time: toOpt(createdAt)
+    });
+    if ('Err' in result) {
+      throw icrcError('Approve', result.Err);
+    }
+    return result.Ok;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.from - Account the tokens are taken from
+   * @param {Object} params.to - Receiver account
+   * @param {bigint} params.amount - Amount in base units
+   * @param {bigint} [params.fee] - Fee in base units
+   * @param {Uint8Array} [params.memo] - Memo bytes
+   * @param {Uint8Array} [params.spenderSubaccount] - Spender subaccount
+   * @param {bigint} [params.createdAt] - Creation time in nanoseconds
+   * @returns {Promise<bigint>} Block index
+   */
+  async transferFrom({ from, to, amount, fee, memo, spenderSubaccount, createdAt }) {
+    const result = await this.actor.icrc2_transfer_from({
+      spender_subaccount: toOpt(spenderSubaccount),
+      from: toCandidAccount(from),
+      to: toCandidAccount(to),
+      amount,
+      fee: toOpt(fee),
+      memo: toOpt(memo),
+      created_at_time: toOpt(createdAt)
+    });
+    if ('Err' in result) {
+      throw icrcError('Transfer from', result.Err);
+    }
+    return result.Ok;
+  }
+
+  /**
+   * @param {Object} account - Owner account
+   * @param {Object} spender - Spender account
+   * @returns {Promise<Object>} Allowance and optional expiry
+   */
+  async allowance(account, spender) {
+    const result = await this.actor.icrc2_allowance({
+      account: toCandidAccount(account),
+      spender: toCandidAccount(spender)
+    });
+    return {
+      allowance: result.allowance,
+      expiresAt: result.expires_at[0] ?? null
+    };
+  }
+}
+
+function toOpt(value) {
+  return value === undefined || value === null ? [] : [value];
+}
+
+function toCandidAccount({ owner, subaccount }) {
+  return {
+    owner,
+    subaccount: toOpt(subaccount)
+  };
+}
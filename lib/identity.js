@@ -0,0 +1,124 @@
+import { Ed25519KeyIdentity } from '@dfinity/identity';
+import { Secp256k1KeyIdentity } from '@dfinity/identity-secp256k1';
+import crypto from 'crypto';
+import { bytesToHex } from './account.js';
+
+export const CURVES = ['secp256k1', 'ed25519'];
+export const DEFAULT_CURVE = 'secp256k1';
+
+// ASN.1 prefix of the Ed25519 seed in PKCS#8: OID 1.3.101.112, then OCTET STRING { OCTET STRING (32) }
+const ED25519_SEED_PREFIX = '06032b657004220420';
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Check a curve name
+ * @param {string} curve - Curve name
+ * @returns {string} Lower-case curve name
+ */
+export function checkCurve(curve) {
+  const name = String(curve).toLowerCase();
+  if (!CURVES.includes(name)) {
+    throw new Error(`Unsupported curve "${curve}". Expected one of: ${CURVES.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Read the secret key from a PEM private key, as exported by `dfx identity export`
+ * Accepts secp256k1 keys in SEC1 ("EC PRIVATE KEY") or PKCS#8 ("PRIVATE KEY") form and
+ * Ed25519 keys in PKCS#8 form. An "EC PARAMETERS" block before the key is ignored.
+ * @param {string} pem - PEM text
+ * @returns {Object} { curve, secretKey } with the 32-byte secret key
+ */
+export function parsePemPrivateKey(pem) {
+  const block = /-----BEGIN (EC )?PRIVATE KEY-----[\s\S]+?-----END (EC )?PRIVATE KEY-----/.exec(pem);
+  if (!block) {
+    throw new Error('PEM file does not contain a private key ("PRIVATE KEY" or "EC PRIVATE KEY" block)');
+  }
+
+  let jwk;
+  try {
+    jwk = crypto.createPrivateKey(block[0]).export({ format: 'jwk' });
+  } catch (error) {
+    // Older dfx versions wrote Ed25519 keys that OpenSSL refuses; the seed is still at a fixed place
+    const der = Buffer.from(block[0].replace(/-----[^-]+-----|\s/g, ''), 'base64').toString('hex');
+    const offset = der.indexOf(ED25519_SEED_PREFIX);
+    if (offset === -1 || der.length < offset + ED25519_SEED_PREFIX.length + 64) {
+      throw new Error(`Cannot read PEM private key: ${error.message}`);
+    }
+    const start = offset + ED25519_SEED_PREFIX.length;
+    return { curve: 'ed25519', secretKey: hexToBytes(der.slice(start, start + 64)) };
+  }
+
+  if (jwk.crv === 'secp256k1') {
+    return { curve: 'secp256k1', secretKey: new Uint8Array(Buffer.from(jwk.d, 'base64url')) };
+  }
+  if (jwk.crv === 'Ed25519') {
+    return { curve: 'ed25519', secretKey: new Uint8Array(Buffer.from(jwk.d, 'base64url')) };
+  }
+  throw new Error(`Unsupported PEM key type ${jwk.crv ?? jwk.kty}. Expected secp256k1 or Ed25519`);
+}
+
+/**
+ * Parse a private key given as PEM, "<curve>:<hex>" or plain hex
+ * @param {string} input - Private key text
+ * @param {string} defaultCurve - Curve of plain hex keys (default: secp256k1)
+ * @returns {Object} { curve, secretKey } with the 32-byte secret key
+ */
+export function parsePrivateKey(input, defaultCurve = DEFAULT_CURVE) {
+  if (!input || typeof input !== 'string') {
+    throw new Error('Private key is required and must be a string');
+  }
+
+  const text = input.trim();
+  if (text.includes('-----BEGIN')) {
+    return parsePemPrivateKey(text);
+  }
+
+  const prefixed = /^([a-z0-9]+):(.*)$/i.exec(text);
+  const curve = checkCurve(prefixed ? prefixed[1] : defaultCurve);
+  const cleanHex = (prefixed ? prefixed[2] : text).replace(/^0x/, '');
+
+  if (cleanHex.length !== 64 || !/^[0-9a-fA-F]+$/.test(cleanHex)) {
+    throw new Error('Private key must be 64 hex characters (32 bytes)');
+  }
+  return { curve, secretKey: hexToBytes(cleanHex) };
+}
+
+/**
+ * Create a signing identity from a secret key
+ * @param {Object} key - { curve, secretKey } as returned by parsePrivateKey()
+ * @returns {Secp256k1KeyIdentity|Ed25519KeyIdentity} Identity
+ */
+export function identityFromSecretKey({ curve, secretKey }) {
+  return curve === 'ed25519'
+    ? Ed25519KeyIdentity.fromSecretKey(secretKey)
+    : Secp256k1KeyIdentity.fromSecretKey(secretKey);
+}
+
+/**
+ * Generate a new identity
+ * @param {string} curve - 'secp256k1' or 'ed25519'
+ * @returns {Object} { identity, secretKey }
+ */
+export function generateIdentity(curve = DEFAULT_CURVE) {
+  const identity = checkCurve(curve) === 'ed25519'
+    ? Ed25519KeyIdentity.generate()
+    : Secp256k1KeyIdentity.generate();
+  // Ed25519 key pairs hold the 32-byte seed followed by the public key
+  return { identity, secretKey: identity.getKeyPair().secretKey.slice(0, 32) };
+}
+
+/**
+ * Format a secret key as text accepted by parsePrivateKey()
+ * secp256k1 keys keep the plain "0x" hex form; other curves are prefixed with their name.
+ * @param {Object} key - { curve, secretKey }
+ * @returns {string} Private key text
+ */
+export function formatPrivateKey({ curve, secretKey }) {
+  const hex = bytesToHex(secretKey);
+  return curve === DEFAULT_CURVE ? `0x${hex}` : `${curve}:${hex}`;
+}
@@ -0,0 +1,22 @@
+import { mkdirSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+
+/**
+ * Write a value as JSON through a temporary file and a rename, so readers and
+ * crashes never see a half-written file. The temporary name is unique per write,
+ * so two writers of the same file never share one.
+ * @param {string} path - File path; missing directories are created
+ * @param {*} value - JSON-serialisable value
+ */
+export function writeJsonAtomic(path, value) {
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  const tmpPath = `${path}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    writeFileSync(tmpPath, `${JSON.stringify(value, null, 2)}\n`);
+    renameSync(tmpPath, path);
+  } catch (error) {
+    rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,204 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import crypto from 'crypto';
+import forge from 'node-forge';
+
+const WALLET_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost: about 128 MB of memory and a few hundred milliseconds per unlock
+const SCRYPT_PARAMS = { n: 2 ** 17, r: 8, p: 1, dklen: 32 };
+
+/**
+ * Default keystore directory: $ICP_KEYSTORE_DIR or ~/.icp-transaction-generator/keystore
+ * @returns {string} Directory path
+ */
+export function defaultKeystoreDir() {
+  return process.env.ICP_KEYSTORE_DIR || join(homedir(), '.icp-transaction-generator', 'keystore');
+}
+
+/**
+ * Check whether a value is a valid wallet name (letters, digits, "-" and "_")
+ * Names that look like a private key are rejected so the two can never be confused.
+ * @param {string} value - Candidate name
+ * @returns {boolean} True for a valid wallet name
+ */
+export function isWalletName(value) {
+  return typeof value === 'string' && WALLET_NAME.test(value) && !/^[0-9a-fA-F]{64}$/.test(value);
+}
+
+function deriveKey(passphrase, { n, r, p, dklen, salt }) {
+  return crypto.scryptSync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), dklen, {
+    N: n,
+    r,
+    p,
+    maxmem: 256 * n * r
+  });
+}
+
+// The wallet name and principal are authenticated with the key, so they cannot be swapped between files
+function additionalData(name, principal) {
+  return `icp-wallet:${name}:${principal}`;
+}
+
+/**
+ * Local store of secp256k1 and Ed25519 private keys, each encrypted with its own passphrase
+ * Wallets are JSON files named `<name>.json`. The principal and account identifier
+ * are stored in clear so wallets can be listed and queried without a passphrase;
+ * the private key is encrypted with AES-256-GCM under a scrypt-derived key.
+ */
+export class Keystore {
+  /**
+   * @param {string} dir - Keystore directory (default: defaultKeystoreDir())
+   */
+  constructor(dir = defaultKeystoreDir()) {
+    this.dir = dir;
+  }
+
+  /**
+   * @param {string} name - Wallet name
+   * @returns {string} Path of the wallet file
+   */
+  path(name) {
+    if (!isWalletName(name)) {
+      throw new Error('Wallet name must be 1-64 letters, digits, "-" or "_", starting with a letter or digit');
+    }
+    return join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * @param {string} name - Wallet name
+   * @returns {boolean} True when the wallet exists
+   */
+  has(name) {
+    return isWalletName(name) && existsSync(this.path(name));
+  }
+
+  /**
+   * Read the public metadata of a wallet
+   * @param {string} name - Wallet name
+   * @returns {Object} Wallet file contents ({ name, curve, principal, accountIdentifier, createdAt, crypto })
+   */
+  get(name) {
+    const path = this.path(name);
+    if (!existsSync(path)) {
+      throw new Error(`Wallet "${name}" not found in ${this.dir}`);
+    }
+    return JSON.parse(readFileSync(path, 'utf8'));
+  }
+
+  /**
+   * List all wallets
+   * @returns {Array<Object>} { name, curve, principal, accountIdentifier, derivationPath, createdAt } of each wallet
+   */
+  list() {
+    if (!existsSync(this.dir)) {
+      return [];
+    }
+    return readdirSync(this.dir)
+      .filter(file => file.endsWith('.json') && isWalletName(file.slice(0, -5)))
+      .sort()
+      .map(file => {
+        const { name, curve = 'secp256k1', principal, accountIdentifier, derivationPath, createdAt } = this.get(file.slice(0, -5));
+        return { name, curve, principal, accountIdentifier, derivationPath, createdAt };
+      });
+  }
+
+  /**
+   * Encrypt a private key and store it under a name
+   * @param {string} name - Wallet name
+   * @param {string} privateKeyHex - Private key (64 hex characters, no 0x prefix)
+   * @param {string} passphrase - Passphrase used to encrypt the key
+   * @param {Object} identity - Public data stored in clear ({ curve, principal, accountIdentifier, derivationPath })
+   * @param {Object} options - Optional overwrite flag (default: false)
+   * @returns {Object} Wallet metadata
+   */
+  save(name, privateKeyHex, passphrase, { curve = 'secp256k1', principal, accountIdentifier, derivationPath }, options = {}) {
+    const path = this.path(name);
+    if (!options.overwrite && existsSync(path)) {
+      throw new Error(`Wallet "${name}" already exists`);
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(privateKeyHex)) {
+      throw new Error('Private key must be 64 hex characters (32 bytes)');
+    }
+
+    const kdfparams = { ...SCRYPT_PARAMS, salt: crypto.randomBytes(16).toString('hex') };
+    const key = deriveKey(passphrase, kdfparams);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = forge.cipher.createCipher('AES-GCM', forge.util.createBuffer(key.toString('binary')));
+    cipher.start({
+      iv: iv.toString('binary'),
+      additionalData: additionalData(name, principal),
+      tagLength: 128
+    });
+    cipher.update(forge.util.createBuffer(forge.util.hexToBytes(privateKeyHex)));
+    cipher.finish();
+
+    const wallet = {
+      version: 1,
+      name,
+      curve,
+      principal,
+      accountIdentifier,
+      ...(derivationPath ? { derivationPath } : {}),
+      createdAt: new Date().toISOString(),
+      crypto: {
+        kdf: 'scrypt',
+        kdfparams,
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('hex'),
+        ciphertext: cipher.output.toHex(),
+        tag: cipher.mode.tag.toHex()
+      }
+    };
+
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    writeFileSync(path, `${JSON.stringify(wallet, null, 2)}\n`, { mode: 0o600, flag: options.overwrite ? 'w' : 'wx' });
+
+    const { crypto: _, ...metadata } = wallet;
+    return metadata;
+  }
+
+  /**
+   * Decrypt the private key of a wallet
+   * @param {string} name - Wallet name
+   * @param {string} passphrase - Wallet passphrase
+   * @returns {string} Private key hex
+   */
+  unlock(name, passphrase) {
+    const wallet = this.get(name);
+    const { kdf, kdfparams, cipher: algorithm, iv, ciphertext, tag } = wallet.crypto ?? {};
+    if (kdf !== 'scrypt' || algorithm !== 'aes-256-gcm') {
+      throw new Error(`Wallet "${name}" uses an unsupported encryption scheme`);
+    }
+
+    const key = deriveKey(passphrase ?? '', kdfparams);
+    const decipher = forge.cipher.createDecipher('AES-GCM', forge.util.createBuffer(key.toString('binary')));
+    decipher.start({
+      iv: forge.util.hexToBytes(iv),
+      additionalData: additionalData(wallet.name, wallet.principal),
+      tagLength: 128,
+      tag: forge.util.createBuffer(forge.util.hexToBytes(tag))
+    });
+    decipher.update(forge.util.createBuffer(forge.util.hexToBytes(ciphertext)));
+    if (!decipher.finish()) {
+      throw new Error(`Wrong passphrase for wallet "${name}" (or the wallet file is corrupted)`);
+    }
+
+    return decipher.output.toHex();
+  }
+
+  /**
+   * Delete a wallet file
+   * @param {string} name - Wallet name
+   */
+  remove(name) {
+    this.get(name);
+    unlinkSync(this.path(name));
+  }
+}
@@ -0,0 +1,106 @@
+import { IDL } from '@dfinity/candid';
+import { Principal } from '@dfinity/principal';
+import { LedgerCanister } from '@dfinity/ledger-icp';
+import { TransferResult, icpTransferError, fromLedgerCanisterError } from './icp-ledger.js';
+import { IcpBlockReader } from './history.js';
+import { submitSignedCall } from './offline.js';
+
+/**
+ * ICP ledger backend that talks to a ledger canister over HTTP
+ *
+ * A ledger backend is what ICPTransactionGenerator uses for every ICP ledger call.
+ * Any object with the same methods can be passed as the `ledgerBackend` option,
+ * e.g. the in-memory MockLedger from lib/mock-ledger.js:
+ *   accountBalance({ accountIdentifier }) -> e8s
+ *   transactionFee() -> e8s
+ *   transfer(identity, { to, amount, fee, memo, fromSubAccount, createdAt }) -> block index
+ *   submitSigned(signed) -> block index, for transfers from signTransferOffline()
+ *   blockReader() -> { chainLength(), readBlocks(start, end), readEncodedBlock(index) }
+ * Ledger rejections are thrown as errors from icpTransferError(), with a `variant` property.
+ */
+export class IcpLedgerBackend {
+  constructor(ledger, agent, canisterId, createAgent, fetch) {
+    this.ledger = ledger;
+    this.agent = agent;
+    this.canisterId = canisterId;
+    this.createAgent = createAgent;
+    this.fetch = fetch;
+    this.reader = null;
+    // Ledger clients of the authenticated agents, dropped together with their agents
+    this.signingLedgers = new WeakMap();
+  }
+
+  /**
+   * @param {Object} options
+   * @param {HttpAgent} options.agent - Anonymous agent used for queries
+   * @param {Principal|string} options.canisterId - ICP ledger canister id
+   * @param {Function} options.createAgent - async (identity) => agent that signs calls with the identity;
+   *   returning the same agent for the same identity lets its ledger client be reused
+   * @param {Function} [options.fetch] - fetch used to broadcast signed transfers, e.g. the agents' fetchWithTimeout()
+   * @returns {IcpLedgerBackend} Backend
+   */
+  static create({ agent, canisterId, createAgent, fetch }) {
+    const principal = typeof canisterId === 'string' ? Principal.fromText(canisterId) : canisterId;
+    return new IcpLedgerBackend(LedgerCanister.create({ agent, canisterId: principal }), agent, principal, createAgent, fetch);
+  }
+
+  /**
+   * @param {Object} params
+   * @param {AccountIdentifier} params.accountIdentifier - Account
+   * @returns {Promise<bigint>} Balance in e8s
+   */
+  async accountBalance({ accountIdentifier }) {
+    return await this.ledger.accountBalance({ accountIdentifier });
+  }
+
+  /**
+   * @returns {Promise<bigint>} Current transfer fee in e8s
+   */
+  async transactionFee() {
+    return await this.ledger.transactionFee();
+  }
+
+  /**
+   * Submit a transfer signed by the sender identity
+   * @param {SignIdentity} identity - Sender identity
+   * @param {Object} args - LedgerCanister transfer arguments
+   * @returns {Promise<bigint>} Block index
+   */
+  async transfer(identity, args) {
+    const agent = await this.createAgent(identity);
+    let ledger = this.signingLedgers.get(agent);
+    if (!ledger) {
+      ledger = LedgerCanister.create({ agent, canisterId: this.canisterId });
+      this.signingLedgers.set(agent, ledger);
+    }
+    try {
+      return await ledger.transfer(args);
+    } catch (error) {
+      throw fromLedgerCanisterError(error) ?? error;
+    }
+  }
+
+  /**
+   * Submit a transfer signed with signTransferOffline()
+   * @param {Object} signed - Signed transfer object
+   * @returns {Promise<bigint>} Block index
+   */
+  async submitSigned(signed) {
+    const reply = await submitSignedCall(this.agent, signed, { fetch: this.fetch });
+    const [transferResult] = IDL.decode([TransferResult], reply);
+    if ('Err' in transferResult) {
+      throw icpTransferError(transferResult.Err);
+    }
+    return transferResult.Ok;
+  }
+
+  /**
+   * @returns {IcpBlockReader} Reader for the ledger blocks and archives
+   */
+  blockReader() {
+    if (!this.reader) {
+      this.reader = IcpBlockReader.create({ agent: this.agent, canisterId: this.canisterId });
+    }
+    return this.reader;
+  }
+}
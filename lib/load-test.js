@@ -0,0 +1,198 @@
+import { performance } from 'perf_hooks';
+import { formatIcp } from './amount.js';
+
+/**
+ * Error for a load test refused before anything was sent
+ * @param {string} reason - Invalid option or setup
+ * @returns {Error} Error with `refused: true`
+ */
+function loadTestError(reason) {
+  const error = new Error(`Load test refused: ${reason}`);
+  error.refused = true;
+  return error;
+}
+
+/**
+ * Latency statistics with nearest-rank percentiles
+ * @param {Array<number>} values - Latencies in milliseconds
+ * @returns {Object|null} { min, mean, p50, p90, p95, p99, max } in milliseconds, or null without values
+ */
+export function summarizeLatencies(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = ms => Math.round(ms * 10) / 10;
+  const percentile = p => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  return {
+    min: round(sorted[0]),
+    mean: round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+    p50: round(percentile(50)),
+    p90: round(percentile(90)),
+    p95: round(percentile(95)),
+    p99: round(percentile(99)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Stress-test a local ledger with randomized transfers among generated accounts
+ *
+ * Creates `accounts` key pairs, funds each from the funder, then sends transfers between random
+ * pairs at up to `rate` transfers per second, with at most `concurrency` in flight. Transfers go
+ * straight to the ledger backend without preflight, policy, retries or verification, so the
+ * latencies are those of the ledger's transfer call. Each error is counted under its
+ * TransferError variant, or under NetworkError.
+ * @param {ICPTransactionGenerator} generator - Initialized generator
+ * @param {string} privateKeyHex - Funder's private key in hex
+ * @param {Object} options - accounts (default: 10), fundAmount (ICP per account, default: 1),
+ *   minAmount and maxAmount (ICP per transfer, default: 0.0001 and 0.001), rate (transfers per second,
+ *   default: 10), concurrency (default: 4), transfers (default: 100, or unlimited with durationSeconds),
+ *   durationSeconds, curve of the generated keys, random (() => number in [0, 1), default: Math.random)
+ *   and onProgress({ attempted, succeeded, failed })
+ * @returns {Promise<Object>} Report with throughput, latency percentiles and errors by variant
+ */
+export async function runLoadTest(generator, privateKeyHex, options = {}) {
+  // The funder key and fresh accounts are spent freely, which is only acceptable on a test ledger
+  if (!generator.ledgerBackend && !generator.networkProfile.fetchRootKey) {
+    throw loadTestError(`load generation only runs against a local network, not ${generator.network}`);
+  }
+
+  const positiveInteger = (field, fallback) => {
+    const value = Number(options[field] ?? fallback);
+    if (!Number.isInteger(value) || value < 1) {
+      throw loadTestError(`${field} must be a positive integer`);
+    }
+    return value;
+  };
+  const accountCount = positiveInteger('accounts', 10);
+  if (accountCount < 2) {
+    throw loadTestError('accounts must be at least 2');
+  }
+  const concurrency = positiveInteger('concurrency', 4);
+  const transferLimit = options.transfers === undefined && options.durationSeconds !== undefined
+    ? Infinity
+    : positiveInteger('transfers', 100);
+  const rate = Number(options.rate ?? 10);
+  if (!(rate > 0)) {
+    throw loadTestError('rate must be a positive number');
+  }
+  const durationMs = options.durationSeconds === undefined ? Infinity : Number(options.durationSeconds) * 1000;
+  if (!(durationMs > 0)) {
+    throw loadTestError('durationSeconds must be a positive number');
+  }
+  const fundE8s = generator.icpToE8s(options.fundAmount ?? '1');
+  const minE8s = generator.icpToE8s(options.minAmount ?? '0.0001');
+  const maxE8s = generator.icpToE8s(options.maxAmount ?? '0.001');
+  if (minE8s < 1n || maxE8s < minE8s) {
+    throw loadTestError('minAmount must be positive and not above maxAmount');
+  }
+  const random = options.random ?? Math.random;
+
+  const fee = await generator.getTransferFee();
+  if (fundE8s < maxE8s + fee) {
+    throw loadTestError(`fundAmount must cover at least one transfer of maxAmount plus the ${formatIcp(fee)} ICP fee`);
+  }
+  const funder = generator.createIdentityFromPrivateKey(privateKeyHex);
+  const funderAccount = generator.getAccountIdentifier(funder);
+  const requiredE8s = BigInt(accountCount) * (fundE8s + fee);
+  const funderBalance = await generator.getBalance(funderAccount);
+  if (funderBalance < requiredE8s) {
+    throw new Error(`Insufficient balance to fund ${accountCount} accounts. Required: ${requiredE8s} e8s, Available: ${funderBalance} e8s`);
+  }
+
+  const nonce = BigInt(Date.now()) * 1_000_000n;
+  let sequence = 0n;
+  const transfer = (identity, to, amountE8s) => {
+    sequence++;
+    return generator.ledger.transfer(identity, {
+      to: generator.parseReceiverAddress(to).accountIdentifier,
+      amount: amountE8s,
+      fee,
+      memo: sequence,
+      createdAt: nonce + sequence
+    });
+  };
+
+  generator.logger.info(`Funding ${accountCount} accounts with ${formatIcp(fundE8s)} ICP each`, { funder: funderAccount });
+  const accounts = [];
+  for (let i = 0; i < accountCount; i++) {
+    const keyPair = generator.generateKeyPair(options.curve);
+    await transfer(funder, keyPair.accountIdentifier, fundE8s);
+    accounts.push({
+      identity: generator.createIdentityFromPrivateKey(keyPair.privateKey),
+      accountIdentifier: keyPair.accountIdentifier,
+      balanceE8s: fundE8s
+    });
+  }
+
+  const pick = items => items[Math.floor(random() * items.length)];
+  const latencies = [];
+  const errors = {};
+  let scheduled = 0;
+  let succeeded = 0;
+  let failed = 0;
+  let stoppedEarly = null;
+
+  generator.logger.info(`Sending up to ${transferLimit === Infinity ? 'unlimited' : transferLimit} transfers at ${rate}/s`, { concurrency });
+  const start = performance.now();
+  const worker = async () => {
+    while (scheduled < transferLimit && !stoppedEarly) {
+      const index = scheduled++;
+      // Transfers are scheduled at a fixed rate; a worker that falls behind sends immediately
+      const delayMs = start + (index * 1000) / rate - performance.now();
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+      if (performance.now() - start >= durationMs) {
+        break;
+      }
+
+      const amountE8s = minE8s + BigInt(Math.floor(random() * Number(maxE8s - minE8s + 1n)));
+      const senders = accounts.filter(account => account.balanceE8s >= amountE8s + fee);
+      if (senders.length === 0) {
+        stoppedEarly = 'The generated accounts ran out of funds';
+        break;
+      }
+      const sender = pick(senders);
+      const receiver = pick(accounts.filter(account => account !== sender));
+      // Debited before the call so concurrent transfers never overspend an account
+      sender.balanceE8s -= amountE8s + fee;
+
+      const sentAt = performance.now();
+      try {
+        await transfer(sender.identity, receiver.accountIdentifier, amountE8s);
+        latencies.push(performance.now() - sentAt);
+        receiver.balanceE8s += amountE8s;
+        succeeded++;
+      } catch (error) {
+        const variant = error.variant ?? 'NetworkError';
+        errors[variant] = (errors[variant] ?? 0) + 1;
+        failed++;
+        // A rejected transfer moved nothing; after a network error the outcome is unknown, so the debit stays
+        if (error.variant) {
+          sender.balanceE8s += amountE8s + fee;
+        }
+      }
+      options.onProgress?.({ attempted: succeeded + failed, succeeded, failed });
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  const elapsedMs = performance.now() - start;
+
+  return {
+    network: generator.network,
+    accounts: accounts.map(account => account.accountIdentifier),
+    fundedE8s: fundE8s.toString(),
+    targetRate: rate,
+    concurrency,
+    durationMs: Math.round(elapsedMs),
+    attempted: succeeded + failed,
+    succeeded,
+    failed,
+    throughput: Math.round((succeeded / (elapsedMs / 1000)) * 100) / 100,
+    latencyMs: summarizeLatencies(latencies),
+    errors,
+    stoppedEarly
+  };
+}
@@ -0,0 +1,67 @@
+// Levels in increasing severity; 'silent' disables all output
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const noop = () => {};
+
+/**
+ * Logger that discards everything, the default for library use
+ */
+export const silentLogger = Object.freeze({ debug: noop, info: noop, warn: noop, error: noop });
+
+/**
+ * Format structured fields as " key=value" pairs
+ * @param {Object} fields - Fields of a log entry
+ * @returns {string} Formatted fields, empty when there are none
+ */
+function formatFields(fields) {
+  if (!fields) {
+    return '';
+  }
+  return Object.entries(fields)
+    .map(([key, value]) => ` ${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+    .join('');
+}
+
+/**
+ * Create a logger that writes to the console
+ * debug and info go to console.log, warn to console.warn and error to console.error.
+ * @param {string} level - Lowest level written: debug, info (default), warn, error or silent
+ * @param {Object} options - Optional stderr: write every level with console.error, keeping stdout for results
+ * @returns {Object} Logger with debug, info, warn and error methods (message, fields?)
+ */
+export function createConsoleLogger(level = 'info', options = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Invalid log level "${level}". Expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const write = (name, method) => LOG_LEVELS.indexOf(name) >= threshold
+    ? (message, fields) => console[options.stderr ? 'error' : method](`${message}${formatFields(fields)}`)
+    : noop;
+
+  return {
+    debug: write('debug', 'log'),
+    info: write('info', 'log'),
+    warn: write('warn', 'warn'),
+    error: write('error', 'error')
+  };
+}
+
+/**
+ * Wrap an injected logger (pino, winston, console or a plain object) so every level exists
+ * Missing methods are no-ops; a null logger is silent.
+ * @param {Object|null} logger - Logger with some of debug, info, warn and error
+ * @returns {Object} Logger with debug, info, warn and error methods
+ */
+export function normalizeLogger(logger) {
+  if (!logger) {
+    return silentLogger;
+  }
+  const method = name => typeof logger[name] === 'function' ? logger[name].bind(logger) : noop;
+  return {
+    debug: method('debug'),
+    info: method('info'),
+    warn: method('warn'),
+    error: method('error')
+  };
+}
@@ -0,0 +1,64 @@
+import * as bip39 from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { HDKey } from '@scure/bip32';
+
+// BIP44 path for ICP (coin type 223), as used by the NNS app, dfx and Ledger hardware wallets
+export const ICP_DERIVATION_PATH = "m/44'/223'/0'/0";
+
+const WORD_COUNTS = { 12: 128, 15: 160, 18: 192, 21: 224, 24: 256 };
+
+/**
+ * Derivation path of an address index
+ * @param {number} index - Address index (the last path component)
+ * @returns {string} Path, e.g. "m/44'/223'/0'/0/0"
+ */
+export function derivationPath(index = 0) {
+  const n = Number(index);
+  if (!Number.isInteger(n) || n < 0 || n >= 2 ** 31) {
+    throw new Error(`Invalid derivation index: ${index}`);
+  }
+  return `${ICP_DERIVATION_PATH}/${n}`;
+}
+
+/**
+ * Generate a new BIP39 mnemonic (English word list)
+ * @param {number} words - Number of words: 12, 15, 18, 21 or 24 (default: 24)
+ * @returns {string} Space-separated mnemonic
+ */
+export function generateMnemonic(words = 24) {
+  const strength = WORD_COUNTS[words];
+  if (!strength) {
+    throw new Error(`Mnemonic must have ${Object.keys(WORD_COUNTS).join(', ')} words`);
+  }
+  return bip39.generateMnemonic(wordlist, strength);
+}
+
+/**
+ * Normalize and validate a mnemonic (case and extra whitespace are ignored)
+ * @param {string} mnemonic - Mnemonic words
+ * @returns {string} Normalized mnemonic
+ */
+export function normalizeMnemonic(mnemonic) {
+  if (!mnemonic || typeof mnemonic !== 'string') {
+    throw new Error('Mnemonic is required and must be a string');
+  }
+  const normalized = mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+  if (!bip39.validateMnemonic(normalized, wordlist)) {
+    throw new Error('Invalid mnemonic: unknown word, wrong word count or bad checksum');
+  }
+  return normalized;
+}
+
+/**
+ * Derive the secp256k1 secret key of an address index from a mnemonic
+ * @param {string} mnemonic - BIP39 mnemonic
+ * @param {number} index - Address index (default: 0)
+ * @param {string} password - Optional BIP39 passphrase ("25th word")
+ * @returns {Object} { curve, secretKey, path }
+ */
+export function deriveSecretKey(mnemonic, index = 0, password = '') {
+  const path = derivationPath(index);
+  const seed = bip39.mnemonicToSeedSync(normalizeMnemonic(mnemonic), password);
+  const { privateKey } = HDKey.fromMasterSeed(seed).derive(path);
+  return { curve: 'secp256k1', secretKey: privateKey, path };
+}
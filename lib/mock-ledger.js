@@ -0,0 +1,283 @@
+import { IDL } from '@dfinity/candid';
+import { AccountIdentifier, SubAccount } from '@dfinity/ledger-icp';
+import { bytesToHex } from './account.js';
+import { ICP_TRANSFER_FEE, ICP_DEDUP_WINDOW_MS, TransferArgs, icpTransferError } from './icp-ledger.js';
+import { blockHash } from './transaction-hash.js';
+import { decodeSignedCall } from './offline.js';
+
+// The ICP ledger accepts created_at_time up to a minute ahead of its own clock
+const PERMITTED_DRIFT_NANOS = 60_000_000_000n;
+
+/**
+ * Encode a value as CBOR: non-negative integers, byte arrays, text, arrays and Maps
+ * @param {*} value - Value to encode
+ * @returns {Array<number>} CBOR bytes
+ */
+function encodeCbor(value) {
+  const header = (major, length) => {
+    const n = BigInt(length);
+    if (n < 24n) {
+      return [(major << 5) | Number(n)];
+    }
+    const size = n < 0x100n ? 1 : n < 0x10000n ? 2 : n < 0x100000000n ? 4 : 8;
+    const bytes = [];
+    for (let i = size - 1; i >= 0; i--) {
+      bytes.push(Number((n >> BigInt(8 * i)) & 0xffn));
+    }
+    return [(major << 5) | { 1: 24, 2: 25, 4: 26, 8: 27 }[size], ...bytes];
+  };
+
+  if (typeof value === 'bigint' || typeof value === 'number') {
+    return header(0, value);
+  }
+  if (value instanceof Uint8Array) {
+    return [...header(2, value.length), ...value];
+  }
+  if (typeof value === 'string') {
+    const bytes = new TextEncoder().encode(value);
+    return [...header(3, bytes.length), ...bytes];
+  }
+  if (Array.isArray(value)) {
+    return [...header(4, value.length), ...value.flatMap(encodeCbor)];
+  }
+  if (value instanceof Map) {
+    return [...header(5, value.size), ...[...value].flatMap(([key, item]) => [...encodeCbor(key), ...encodeCbor(item)])];
+  }
+  throw new Error(`Cannot encode ${typeof value} as CBOR`);
+}
+
+/**
+ * Account identifier bytes of an AccountIdentifier, hex string or byte array
+ * @param {AccountIdentifier|string|Uint8Array} account - Account
+ * @returns {Uint8Array} 32 bytes
+ */
+function accountBytes(account) {
+  if (account instanceof AccountIdentifier) {
+    return account.toUint8Array();
+  }
+  if (typeof account === 'string') {
+    return AccountIdentifier.fromHex(account).toUint8Array();
+  }
+  return new Uint8Array(account);
+}
+
+/**
+ * In-memory ICP ledger for tests and offline development
+ *
+ * Implements the ledger backend interface (see lib/ledger-backend.js): balances, a
+ * configurable fee, the 24 hour deduplication window and the BadFee, InsufficientFunds,
+ * TxTooOld, TxCreatedInFuture and TxDuplicate rejections of the real ledger. Blocks can be
+ * read back, so post-send verification and history work unchanged. Signatures are not
+ * checked, and block hashes are stable but differ from those of a real ledger.
+ */
+export class MockLedger {
+  /**
+   * @param {Object} options - Optional fee (e8s, default: 10000), balances ({ accountIdentifierHex: e8s },
+   *   minted in the first blocks) and now (() => milliseconds, default: Date.now)
+   */
+  constructor(options = {}) {
+    this.fee = options.fee ?? ICP_TRANSFER_FEE;
+    this.now = options.now ?? Date.now;
+    this.balances = new Map();
+    this.blocks = [];
+    this.encodedBlocks = [];
+    this.failures = [];
+    // Block index of each deduplicated transfer, by its arguments
+    this.transfers = new Map();
+
+    for (const [account, e8s] of Object.entries(options.balances ?? {})) {
+      this.mint(account, BigInt(e8s));
+    }
+  }
+
+  nowNanos() {
+    return BigInt(this.now()) * 1_000_000n;
+  }
+
+  /**
+   * Credit an account with a Mint block
+   * @param {AccountIdentifier|string} account - Account identifier or its hex
+   * @param {bigint} e8s - Amount
+   * @returns {bigint} Block index
+   */
+  mint(account, e8s) {
+    const to = accountBytes(account);
+    this.credit(to, e8s);
+    return this.append({ Mint: { to, amount: { e8s } } }, 0n, null);
+  }
+
+  /**
+   * Make the next transfer fail with a network error
+   * @param {Error} error - Error thrown by transfer() (default: a connection error)
+   * @param {Object} options - afterApply: record the transfer first, as when the reply is lost
+   */
+  failNextTransfer(error = new Error('Connection reset by peer'), options = {}) {
+    this.failures.push({ error, afterApply: Boolean(options.afterApply) });
+  }
+
+  async accountBalance({ accountIdentifier }) {
+    return this.balances.get(bytesToHex(accountBytes(accountIdentifier))) ?? 0n;
+  }
+
+  async transactionFee() {
+    return this.fee;
+  }
+
+  /**
+   * Apply a transfer as the ledger would
+   * @param {SignIdentity} identity - Sender identity (only its principal is used)
+   * @param {Object} args - LedgerCanister transfer arguments
+   * @returns {Promise<bigint>} Block index
+   */
+  async transfer(identity, args) {
+    const failure = this.failures.shift();
+    if (failure && !failure.afterApply) {
+      throw failure.error;
+    }
+
+    const from = AccountIdentifier.fromPrincipal({
+      principal: identity.getPrincipal(),
+      subAccount: args.fromSubAccount ? SubAccount.fromBytes(new Uint8Array(args.fromSubAccount)) : undefined
+    }).toUint8Array();
+    const blockIndex = this.apply(from, {
+      to: accountBytes(args.to),
+      amount: BigInt(args.amount),
+      fee: BigInt(args.fee ?? this.fee),
+      memo: BigInt(args.memo ?? 0n),
+      createdAt: args.createdAt === undefined ? null : BigInt(args.createdAt)
+    });
+
+    if (failure) {
+      throw failure.error;
+    }
+    return blockIndex;
+  }
+
+  /**
+   * Apply a transfer signed with signTransferOffline()
+   * @param {Object} signed - Signed transfer object
+   * @returns {Promise<bigint>} Block index
+   */
+  async submitSigned(signed) {
+    const { methodName, sender: principal, arg } = decodeSignedCall(signed);
+    if (methodName !== 'transfer') {
+      throw new Error(`MockLedger cannot handle method ${methodName}`);
+    }
+    const [args] = IDL.decode([TransferArgs], arg);
+    const [subaccount] = args.from_subaccount;
+    const [createdAt] = args.created_at_time;
+
+    const from = AccountIdentifier.fromPrincipal({
+      principal,
+      subAccount: subaccount ? SubAccount.fromBytes(new Uint8Array(subaccount)) : undefined
+    }).toUint8Array();
+    return this.apply(from, {
+      to: new Uint8Array(args.to),
+      amount: args.amount.e8s,
+      fee: args.fee.e8s,
+      memo: args.memo,
+      createdAt: createdAt ? createdAt.timestamp_nanos : null
+    });
+  }
+
+  /**
+   * @returns {MockLedger} The ledger itself, which keeps all blocks in memory
+   */
+  blockReader() {
+    return this;
+  }
+
+  async chainLength() {
+    return BigInt(this.blocks.length);
+  }
+
+  async readBlocks(start, end) {
+    const last = end < BigInt(this.blocks.length) ? end : BigInt(this.blocks.length);
+    const blocks = [];
+    for (let index = start; index < last; index++) {
+      blocks.push({ index, block: this.blocks[Number(index)] });
+    }
+    return blocks;
+  }
+
+  async readEncodedBlock(index) {
+    return this.encodedBlocks[Number(index)] ?? null;
+  }
+
+  apply(from, { to, amount, fee, memo, createdAt }) {
+    if (fee !== this.fee) {
+      throw icpTransferError({ BadFee: { expected_fee: { e8s: this.fee } } });
+    }
+
+    const now = this.nowNanos();
+    const dedupKey = [bytesToHex(from), bytesToHex(to), amount, fee, memo, createdAt].join(':');
+    if (createdAt !== null) {
+      const windowNanos = BigInt(ICP_DEDUP_WINDOW_MS) * 1_000_000n;
+      if (createdAt + windowNanos + PERMITTED_DRIFT_NANOS < now) {
+        throw icpTransferError({ TxTooOld: { allowed_window_nanos: windowNanos } });
+      }
+      if (createdAt > now + PERMITTED_DRIFT_NANOS) {
+        throw icpTransferError({ TxCreatedInFuture: null });
+      }
+
+      // Only transfers with a created_at_time are deduplicated
+      const duplicate = this.transfers.get(dedupKey);
+      if (duplicate !== undefined) {
+        throw icpTransferError({ TxDuplicate: { duplicate_of: duplicate } });
+      }
+    }
+
+    const balance = this.balances.get(bytesToHex(from)) ?? 0n;
+    if (balance < amount + fee) {
+      throw icpTransferError({ InsufficientFunds: { balance: { e8s: balance } } });
+    }
+
+    this.credit(from, -(amount + fee));
+    this.credit(to, amount);
+    const blockIndex = this.append({ Transfer: { from, to, amount: { e8s: amount }, fee: { e8s: fee }, spender: [] } }, memo, createdAt);
+    if (createdAt !== null) {
+      this.transfers.set(dedupKey, blockIndex);
+    }
+    return blockIndex;
+  }
+
+  credit(account, e8s) {
+    const key = bytesToHex(account);
+    this.balances.set(key, (this.balances.get(key) ?? 0n) + e8s);
+  }
+
+  append(operation, memo, createdAt) {
+    const timestamp = this.nowNanos();
+    const parentHash = this.encodedBlocks.length > 0
+      ? new Uint8Array(Buffer.from(blockHash(this.encodedBlocks.at(-1)), 'hex'))
+      : null;
+
+    // Same layout as the ledger's encoded blocks: { 0: parent_hash, 1: transaction, 2: timestamp }
+    const [variant] = Object.keys(operation);
+    const { spender, ...fields } = operation[variant];
+    const transaction = new Map([
+      [0, new Map([[variant, new Map(Object.entries(fields).map(([key, value]) => [key, value.e8s ?? value]))]])],
+      [1, memo],
+      [2, createdAt ?? timestamp]
+    ]);
+    const block = new Map([
+      ...(parentHash ? [[0, parentHash]] : []),
+      [1, transaction],
+      [2, timestamp]
+    ]);
+
+    this.encodedBlocks.push(new Uint8Array(encodeCbor(block)));
+    this.blocks.push({
+      parent_hash: parentHash ? [parentHash] : [],
+      transaction: {
+        memo,
+        icrc1_memo: [],
+        operation: [operation],
+        // The ledger reports the block time when a transfer has no created_at_time
+        created_at_time: { timestamp_nanos: createdAt ?? timestamp }
+      },
+      timestamp: { timestamp_nanos: timestamp }
+    });
+    return BigInt(this.blocks.length - 1);
+  }
+}
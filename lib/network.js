@@ -0,0 +1,202 @@
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { Principal } from '@dfinity/principal';
+import { ICP_LEDGER_CANISTER_ID } from './icp-ledger.js';
+import { CMC_CANISTER_ID } from './cmc.js';
+import { GOVERNANCE_CANISTER_ID } from './governance.js';
+
+export const BUILTIN_NETWORKS = {
+  mainnet: {
+    host: 'https://ic0.app',
+    ledgerCanisterId: ICP_LEDGER_CANISTER_ID,
+    cmcCanisterId: CMC_CANISTER_ID,
+    governanceCanisterId: GOVERNANCE_CANISTER_ID,
+    fetchRootKey: false,
+    explorerUrl: 'https://dashboard.internetcomputer.org/transaction/{transactionHash}',
+    requestTimeoutMs: 30_000,
+    retryTimes: 3
+  },
+  local: {
+    host: 'http://127.0.0.1:4943',
+    ledgerCanisterId: ICP_LEDGER_CANISTER_ID,
+    cmcCanisterId: CMC_CANISTER_ID,
+    governanceCanisterId: GOVERNANCE_CANISTER_ID,
+    fetchRootKey: true,
+    explorerUrl: 'http://localhost:8080/transaction/{blockIndex}',
+    requestTimeoutMs: 30_000,
+    retryTimes: 3
+  }
+};
+
+const PROFILE_FIELDS = ['host', 'ledgerCanisterId', 'cmcCanisterId', 'governanceCanisterId', 'fetchRootKey', 'explorerUrl', 'requestTimeoutMs', 'retryTimes'];
+
+// Environment variables that override fields of the selected profile
+const ENV_OVERRIDES = {
+  ICP_HOST: 'host',
+  ICP_LEDGER_CANISTER_ID: 'ledgerCanisterId',
+  ICP_FETCH_ROOT_KEY: 'fetchRootKey',
+  ICP_EXPLORER_URL: 'explorerUrl',
+  ICP_REQUEST_TIMEOUT_MS: 'requestTimeoutMs'
+};
+
+/**
+ * Default config file: $ICP_CONFIG_FILE or ~/.icp-transaction-generator/config.json
+ * @returns {string} File path
+ */
+export function defaultConfigFile() {
+  return process.env.ICP_CONFIG_FILE || join(homedir(), '.icp-transaction-generator', 'config.json');
+}
+
+/**
+ * Read the config file ({ defaultNetwork, networks: { <name>: profile } })
+ * A missing default config file is an empty config; a missing explicit file is an error.
+ * @param {string} configFile - Config file path (default: defaultConfigFile())
+ * @returns {Object} Config
+ */
+export function loadNetworkConfig(configFile) {
+  const path = configFile ?? defaultConfigFile();
+  if (!configFile && !existsSync(path)) {
+    return { networks: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${path}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || (config.networks !== undefined && typeof config.networks !== 'object')) {
+    throw new Error(`Invalid config file ${path}: expected { "networks": { "<name>": { ... } } }`);
+  }
+  return { ...config, networks: config.networks ?? {} };
+}
+
+/**
+ * Check the fields of a network profile
+ * @param {string} name - Profile name, for error messages
+ * @param {Object} profile - Profile fields
+ * @returns {Object} Profile with normalized values
+ */
+function checkProfile(name, profile) {
+  const unknown = Object.keys(profile).filter(key => !PROFILE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Network "${name}": unknown field ${unknown.join(', ')}`);
+  }
+  if (!profile.host) {
+    throw new Error(`Network "${name}": host is required`);
+  }
+
+  let host;
+  try {
+    host = new URL(profile.host);
+  } catch {
+    throw new Error(`Network "${name}": invalid host URL "${profile.host}"`);
+  }
+  if (host.protocol !== 'http:' && host.protocol !== 'https:') {
+    throw new Error(`Network "${name}": host must be an http or https URL`);
+  }
+
+  try {
+    Principal.fromText(profile.ledgerCanisterId);
+  } catch {
+    throw new Error(`Network "${name}": invalid ledgerCanisterId "${profile.ledgerCanisterId}"`);
+  }
+  for (const field of ['cmcCanisterId', 'governanceCanisterId']) {
+    try {
+      Principal.fromText(profile[field]);
+    } catch {
+      throw new Error(`Network "${name}": invalid ${field} "${profile[field]}"`);
+    }
+  }
+
+  const fetchRootKey = typeof profile.fetchRootKey === 'string'
+    ? ['1', 'true', 'yes'].includes(profile.fetchRootKey.toLowerCase())
+    : Boolean(profile.fetchRootKey);
+
+  const requestTimeoutMs = Number(profile.requestTimeoutMs);
+  if (!Number.isInteger(requestTimeoutMs) || requestTimeoutMs <= 0) {
+    throw new Error(`Network "${name}": requestTimeoutMs must be a positive integer`);
+  }
+  const retryTimes = Number(profile.retryTimes);
+  if (!Number.isInteger(retryTimes) || retryTimes < 0) {
+    throw new Error(`Network "${name}": retryTimes must be a non-negative integer`);
+  }
+
+  return {
+    name,
+    ...profile,
+    host: profile.host.replace(/\/+$/, ''),
+    fetchRootKey,
+    explorerUrl: profile.explorerUrl || null,
+    requestTimeoutMs,
+    retryTimes
+  };
+}
+
+/**
+ * Resolve a network profile
+ * Fields are layered: built-in profile (mainnet/local), then the config file profile of the
+ * same name, then ICP_HOST, ICP_LEDGER_CANISTER_ID, ICP_FETCH_ROOT_KEY, ICP_EXPLORER_URL and
+ * ICP_REQUEST_TIMEOUT_MS, then `overrides`. Profiles that are not built in start from the
+ * mainnet settings without a host.
+ * @param {string} name - Profile name (default: $ICP_NETWORK, the config defaultNetwork, or mainnet)
+ * @param {Object} options - Optional configFile, overrides and ignoreEnv (skip the environment variables)
+ * @returns {Object} { name, host, ledgerCanisterId, cmcCanisterId, governanceCanisterId, fetchRootKey, explorerUrl, requestTimeoutMs, retryTimes }
+ */
+export function resolveNetwork(name, options = {}) {
+  const config = loadNetworkConfig(options.configFile);
+  const network = name || process.env.ICP_NETWORK || config.defaultNetwork || 'mainnet';
+  const builtin = BUILTIN_NETWORKS[network];
+  const configured = config.networks[network];
+
+  if (!builtin && !configured) {
+    const known = [...new Set([...Object.keys(BUILTIN_NETWORKS), ...Object.keys(config.networks)])];
+    throw new Error(`Unknown network "${network}". Known networks: ${known.join(', ')}`);
+  }
+
+  const fromEnv = {};
+  for (const [variable, field] of Object.entries(ENV_OVERRIDES)) {
+    if (process.env[variable] && !options.ignoreEnv) {
+      fromEnv[field] = process.env[variable];
+    }
+  }
+
+  return checkProfile(network, {
+    ...(builtin ?? { ...BUILTIN_NETWORKS.mainnet, host: undefined }),
+    ...configured,
+    ...fromEnv,
+    ...options.overrides
+  });
+}
+
+/**
+ * List the built-in and configured network profiles
+ * @param {string} configFile - Config file path (default: defaultConfigFile())
+ * @param {string} selected - Profile that gets the environment variable overrides
+ * @returns {Array<Object>} Resolved profiles; profiles that fail to resolve carry an `error`
+ */
+export function listNetworks(configFile, selected) {
+  const config = loadNetworkConfig(configFile);
+  const names = [...new Set([...Object.keys(BUILTIN_NETWORKS), ...Object.keys(config.networks)])];
+  return names.map(name => {
+    try {
+      return resolveNetwork(name, { configFile, ignoreEnv: name !== selected });
+    } catch (error) {
+      return { name, error: error.message };
+    }
+  });
+}
+
+/**
+ * Build a fetch function that aborts requests after a timeout
+ * @param {number} timeoutMs - Timeout per HTTP request in milliseconds
+ * @returns {Function} fetch replacement for HttpAgent
+ */
+export function fetchWithTimeout(timeoutMs) {
+  return (url, init = {}) => {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const signal = init.signal ? AbortSignal.any([init.signal, timeout]) : timeout;
+    return fetch(url, { ...init, signal });
+  };
+}
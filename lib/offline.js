@@ -0,0 +1,178 @@
+import { Cbor, Certificate, Expiry, lookupResultToBuffer, requestIdOf } from '@dfinity/agent';
+import { Principal } from '@dfinity/principal';
+import crypto from 'crypto';
+import { bytesToHex } from './account.js';
+
+// The IC rejects messages whose ingress expiry is more than 5 minutes ahead
+export const MAX_INGRESS_EXPIRY_MS = 5 * 60 * 1000;
+
+const CBOR_HEADERS = { 'Content-Type': 'application/cbor' };
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Sign an update call without any network access
+ * The signed call and the read_state request used to fetch its reply are both
+ * signed here, because the IC only answers status requests from the original sender.
+ * @param {Object} params
+ * @param {SignIdentity} params.identity - Identity that signs the call
+ * @param {string} params.canisterId - Target canister id
+ * @param {string} params.methodName - Canister method
+ * @param {Uint8Array} params.arg - Candid encoded argument
+ * @param {Date} params.expiresAt - Ingress expiry; the call must be submitted in the 5 minutes before it
+ * @returns {Promise<Object>} Request id and CBOR envelopes as hex strings
+ */
+export async function signCall({ identity, canisterId, methodName, arg, expiresAt }) {
+  const canister = Principal.fromText(canisterId);
+  const sender = identity.getPrincipal();
+  const ingressExpiry = new Expiry(BigInt(expiresAt.getTime()) * 1_000_000n);
+
+  const content = {
+    request_type: 'call',
+    canister_id: canister,
+    method_name: methodName,
+    arg,
+    sender,
+    ingress_expiry: ingressExpiry,
+    nonce: new Uint8Array(crypto.randomBytes(16))
+  };
+  const requestId = requestIdOf(content);
+
+  const call = await identity.transformRequest({
+    request: { method: 'POST', headers: CBOR_HEADERS },
+    endpoint: 'call',
+    body: content
+  });
+
+  const readState = await identity.transformRequest({
+    request: { method: 'POST', headers: CBOR_HEADERS },
+    endpoint: 'read_state',
+    body: {
+      request_type: 'read_state',
+      paths: [[new TextEncoder().encode('request_status'), requestId]],
+      sender,
+      ingress_expiry: ingressExpiry
+    }
+  });
+
+  return {
+    requestId: bytesToHex(requestId),
+    ingressExpiry: expiresAt.toISOString(),
+    callEnvelope: bytesToHex(Cbor.encode(call.body)),
+    readStateEnvelope: bytesToHex(Cbor.encode(readState.body))
+  };
+}
+
+/**
+ * Read the call that a signCall envelope actually carries
+ * The other fields of a signed transfer file are unsigned and may have been edited;
+ * only what is decoded here is covered by the signature.
+ * @param {Object} signed - Object returned by signCall
+ * @returns {Object} { canisterId, methodName, sender, arg } with Principals and the Candid encoded argument
+ */
+export function decodeSignedCall(signed) {
+  let content;
+  try {
+    ({ content } = Cbor.decode(hexToBytes(signed.callEnvelope)));
+  } catch (error) {
+    throw new Error(`Cannot decode the signed call: ${error.message}`);
+  }
+  return {
+    canisterId: Principal.fromUint8Array(new Uint8Array(content.canister_id)),
+    methodName: content.method_name,
+    sender: Principal.fromUint8Array(new Uint8Array(content.sender)),
+    arg: new Uint8Array(content.arg)
+  };
+}
+
+/**
+ * Submit a call signed by signCall and wait for its certified reply
+ * @param {HttpAgent} agent - Agent used to reach the replica and verify certificates
+ * @param {Object} signed - Object returned by signCall
+ * @param {Object} options - Optional fetch used to post the call, e.g. from fetchWithTimeout() (default: global fetch)
+ * @returns {Promise<Uint8Array>} Candid encoded reply
+ */
+export async function submitSignedCall(agent, signed, options = {}) {
+  const callBytes = hexToBytes(signed.callEnvelope);
+  const envelope = Cbor.decode(callBytes);
+  const canisterId = Principal.fromUint8Array(new Uint8Array(envelope.content.canister_id));
+  const requestId = requestIdOf(envelope.content);
+
+  if (bytesToHex(requestId) !== signed.requestId) {
+    throw new Error('Signed call does not match its request id; the file may have been modified');
+  }
+
+  const expiryMs = Number(BigInt(envelope.content.ingress_expiry) / 1_000_000n);
+  const now = Date.now();
+  if (now > expiryMs) {
+    throw new Error(`Signed call expired at ${new Date(expiryMs).toISOString()}; sign it again`);
+  }
+  if (now < expiryMs - MAX_INGRESS_EXPIRY_MS) {
+    throw new Error(`Signed call is not valid yet; broadcast it after ${new Date(expiryMs - MAX_INGRESS_EXPIRY_MS).toISOString()}`);
+  }
+
+  const post = options.fetch ?? fetch;
+  const response = await post(new URL(`/api/v2/canister/${canisterId.toText()}/call`, agent.host), {
+    method: 'POST',
+    headers: CBOR_HEADERS,
+    body: callBytes
+  });
+  if (!response.ok) {
+    throw new Error(`Replica rejected the signed call (HTTP ${response.status}): ${await response.text()}`);
+  }
+
+  const readState = Cbor.decode(hexToBytes(signed.readStateEnvelope));
+  readState.content.ingress_expiry = new Expiry(BigInt(readState.content.ingress_expiry));
+
+  return await pollSignedStatus(agent, canisterId, requestId, {
+    request: { method: 'POST', headers: CBOR_HEADERS },
+    endpoint: 'read_state',
+    body: readState
+  }, expiryMs);
+}
+
+/**
+ * Poll request_status with a pre-signed read_state request until the call is answered
+ * @param {HttpAgent} agent - Agent used to reach the replica and verify certificates
+ * @param {Principal} canisterId - Effective canister id
+ * @param {Uint8Array} requestId - Request id of the call
+ * @param {Object} request - Signed read_state request
+ * @param {number} expiryMs - Ingress expiry of the request (ms since epoch)
+ * @returns {Promise<Uint8Array>} Candid encoded reply
+ */
+async function pollSignedStatus(agent, canisterId, requestId, request, expiryMs) {
+  const path = [new TextEncoder().encode('request_status'), requestId];
+  let delayMs = 500;
+
+  while (Date.now() <= expiryMs) {
+    const state = await agent.readState(canisterId, { paths: [path] }, undefined, request);
+    const certificate = await Certificate.create({
+      certificate: state.certificate,
+      rootKey: agent.rootKey,
+      canisterId
+    });
+    const lookup = key => lookupResultToBuffer(certificate.lookup_path([...path, key]));
+
+    const statusBytes = lookup('status');
+    const status = statusBytes ? new TextDecoder().decode(statusBytes) : 'unknown';
+
+    switch (status) {
+      case 'replied':
+        return lookup('reply');
+      case 'rejected': {
+        const rejectCode = lookup('reject_code')?.[0];
+        const rejectMessage = new TextDecoder().decode(lookup('reject_message'));
+        throw new Error(`Call rejected (code ${rejectCode}): ${rejectMessage}`);
+      }
+      case 'done':
+        throw new Error('Call completed but its reply is no longer available');
+      default:
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        delayMs = Math.min(delayMs * 2, 5000);
+    }
+  }
+
+  throw new Error(`No reply before the ingress expiry (${new Date(expiryMs).toISOString()}); check the ledger before signing again`);
+}
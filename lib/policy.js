@@ -0,0 +1,315 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { parseIcpAmount, formatIcp } from './amount.js';
+import { writeJsonAtomic } from './json-file.js';
+
+// Daily limits count the transfers of the last 24 hours
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY_FIELDS = ['maxPerTransfer', 'dailyLimit', 'confirmAbove', 'allow', 'deny', 'spendLedger'];
+
+/**
+ * Error for a transfer refused by the spending policy; nothing was signed
+ * Policy errors are also preflight errors, so callers that handle those need no change.
+ * @param {string} rule - Violated rule: maxPerTransfer, dailyLimit, confirmAbove, allow, deny or icrc
+ * @param {string} reason - Explanation
+ * @returns {Error} Error with `policy` (the rule) and `preflight: true`
+ */
+export function policyError(rule, reason) {
+  const error = new Error(`Policy violation: ${reason}`);
+  error.policy = rule;
+  error.preflight = true;
+  return error;
+}
+
+/**
+ * Key of a transfer in the spend ledger
+ * @param {Object} transfer - { sender, receiver (account identifier hex), amountE8s, memo, createdAt }
+ * @returns {string} Entry key
+ */
+function entryKey({ sender, receiver, amountE8s, memo, createdAt }) {
+  return [sender, receiver, amountE8s, memo, createdAt].join(':');
+}
+
+/**
+ * Read a policy file
+ * A relative spendLedger path is resolved against the directory of the policy file.
+ * @param {string} path - Policy file path
+ * @returns {Object} Policy rules
+ */
+export function loadPolicyFile(path) {
+  let rules;
+  try {
+    rules = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read policy file ${path}: ${error.message}`);
+  }
+  if (typeof rules.spendLedger === 'string') {
+    rules.spendLedger = resolve(dirname(path), rules.spendLedger);
+  }
+  return rules;
+}
+
+/**
+ * Spending limits checked before a transfer is signed
+ *
+ * Rules (amounts in ICP, e.g. "100", or "<n>e8s"; every rule is optional):
+ *   maxPerTransfer - largest amount of a single transfer
+ *   dailyLimit     - total an account may send in any 24 hours
+ *   confirmAbove   - transfers above this amount need `confirmed: true`
+ *   allow          - addresses transfers may go to; anything else is refused
+ *   deny           - addresses transfers may never go to (checked first)
+ *   spendLedger    - JSON file that records the transfers counted against dailyLimit
+ * Addresses are Principals (matching all of their subaccounts), ICRC-1 accounts or
+ * AccountIdentifiers. Without a spendLedger file, usage is only tracked in memory.
+ */
+export class SpendingPolicy {
+  /**
+   * @param {Object} rules - Policy rules
+   * @param {Object} options - parseAddress (address => parsed address, as from parseReceiverAddress())
+   *   and optional now (() => milliseconds, default: Date.now)
+   */
+  constructor(rules = {}, options = {}) {
+    const unknown = Object.keys(rules).filter(field => !POLICY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown policy fields: ${unknown.join(', ')}`);
+    }
+
+    const amount = field => {
+      if (rules[field] === undefined || rules[field] === null) {
+        return null;
+      }
+      try {
+        return parseIcpAmount(rules[field]);
+      } catch (error) {
+        throw new Error(`Invalid policy ${field}: ${error.message}`);
+      }
+    };
+    const addresses = field => (rules[field] ?? []).map(address => {
+      try {
+        return options.parseAddress(address);
+      } catch (error) {
+        throw new Error(`Invalid policy ${field} address ${address}: ${error.message}`);
+      }
+    });
+
+    this.maxPerTransferE8s = amount('maxPerTransfer');
+    this.dailyLimitE8s = amount('dailyLimit');
+    this.confirmAboveE8s = amount('confirmAbove');
+    this.allow = rules.allow ? addresses('allow') : null;
+    this.deny = addresses('deny');
+    this.spendLedgerFile = rules.spendLedger ?? null;
+    this.now = options.now ?? Date.now;
+    this.entries = {};
+    this.load();
+  }
+
+  load() {
+    if (this.spendLedgerFile && existsSync(this.spendLedgerFile)) {
+      try {
+        this.entries = JSON.parse(readFileSync(this.spendLedgerFile, 'utf8')).entries ?? {};
+      } catch (error) {
+        throw new Error(`Cannot read spend ledger ${this.spendLedgerFile}: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    // Entries older than the daily window no longer count
+    const since = this.now() - DAY_MS;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.at < since) {
+        delete this.entries[key];
+      }
+    }
+    if (this.spendLedgerFile) {
+      writeJsonAtomic(this.spendLedgerFile, { version: 1, entries: this.entries });
+    }
+  }
+
+  /**
+   * @returns {Object} The rules, with amounts in ICP and addresses as text
+   */
+  describe() {
+    const amount = e8s => e8s === null ? null : formatIcp(e8s);
+    return {
+      maxPerTransfer: amount(this.maxPerTransferE8s),
+      dailyLimit: amount(this.dailyLimitE8s),
+      confirmAbove: amount(this.confirmAboveE8s),
+      allow: this.allow ? this.allow.map(entry => entry.text) : null,
+      deny: this.deny.map(entry => entry.text),
+      spendLedger: this.spendLedgerFile
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Accounts that sent in the last 24 hours
+   */
+  senders() {
+    const since = this.now() - DAY_MS;
+    return [...new Set(Object.values(this.entries).filter(entry => entry.at >= since).map(entry => entry.sender))];
+  }
+
+  /**
+   * @param {bigint} amountE8s - Transfer amount
+   * @returns {boolean} True when the amount needs an explicit confirmation
+   */
+  requiresConfirmation(amountE8s) {
+    return this.confirmAboveE8s !== null && amountE8s > this.confirmAboveE8s;
+  }
+
+  /**
+   * Amount an account sent in the last 24 hours, including transfers whose outcome is unknown
+   * @param {string} sender - Sender account identifier hex
+   * @returns {bigint} e8s
+   */
+  spent(sender) {
+    const since = this.now() - DAY_MS;
+    return Object.values(this.entries)
+      .filter(entry => entry.sender === sender && entry.at >= since)
+      .reduce((sum, entry) => sum + BigInt(entry.amountE8s), 0n);
+  }
+
+  /**
+   * Usage of an account against the daily limit
+   * @param {string} sender - Sender account identifier hex
+   * @returns {Object} { spentE8s, dailyLimitE8s, remainingE8s } (limit and remaining are null without a dailyLimit)
+   */
+  usage(sender) {
+    const spentE8s = this.spent(sender);
+    const remaining = this.dailyLimitE8s === null ? null : this.dailyLimitE8s - spentE8s;
+    return {
+      spentE8s: spentE8s.toString(),
+      dailyLimitE8s: this.dailyLimitE8s === null ? null : this.dailyLimitE8s.toString(),
+      remainingE8s: remaining === null ? null : (remaining > 0n ? remaining : 0n).toString()
+    };
+  }
+
+  /**
+   * Check a destination against the deny and allow lists
+   * @param {Object} receiver - Parsed receiver address
+   */
+  checkDestination(receiver) {
+    const accountIdentifier = receiver.accountIdentifier.toHex();
+    const matches = entry => entry.accountIdentifier.toHex() === accountIdentifier ||
+      (entry.type === 'principal' && !entry.subaccount && receiver.principal?.toText() === entry.principal.toText());
+
+    if (this.deny.some(matches)) {
+      throw policyError('deny', `${receiver.text} is on the deny list`);
+    }
+    if (this.allow && !this.allow.some(matches)) {
+      throw policyError('allow', `${receiver.text} is not on the allow list`);
+    }
+  }
+
+  /**
+   * Refuse an ICRC ledger call: the rules are in ICP and the spend ledger only counts ICP
+   * transfers, so an ICRC transfer or approval (which also works on the ICP ledger) would
+   * bypass every limit
+   * @param {string} method - ICRC method, e.g. icrc1_transfer
+   */
+  checkIcrc(method) {
+    throw policyError('icrc', `${method} is not covered by the spending policy; ICRC transfers and approvals are refused while a policy is set`);
+  }
+
+  /**
+   * Check the amount of a single transfer
+   * @param {bigint} amountE8s - Transfer amount
+   * @param {boolean} confirmed - Whether the transfer was explicitly confirmed
+   */
+  checkAmount(amountE8s, confirmed = false) {
+    if (this.maxPerTransferE8s !== null && amountE8s > this.maxPerTransferE8s) {
+      throw policyError('maxPerTransfer', `${formatIcp(amountE8s)} ICP exceeds the limit of ${formatIcp(this.maxPerTransferE8s)} ICP per transfer`);
+    }
+    if (this.requiresConfirmation(amountE8s) && !confirmed) {
+      throw policyError('confirmAbove', `${formatIcp(amountE8s)} ICP is above ${formatIcp(this.confirmAboveE8s)} ICP and must be confirmed`);
+    }
+  }
+
+  /**
+   * Check that an account can still send an amount today
+   * @param {string} sender - Sender account identifier hex
+   * @param {bigint} amountE8s - Amount to send
+   */
+  checkDailyLimit(sender, amountE8s) {
+    if (this.dailyLimitE8s === null) {
+      return;
+    }
+    const spentE8s = this.spent(sender);
+    if (spentE8s + amountE8s > this.dailyLimitE8s) {
+      throw policyError('dailyLimit',
+        `${formatIcp(amountE8s)} ICP would exceed the daily limit of ${formatIcp(this.dailyLimitE8s)} ICP ` +
+        `(${formatIcp(spentE8s)} ICP sent in the last 24 hours)`);
+    }
+  }
+
+  /**
+   * Check whether the spend ledger already counts a transfer
+   * @param {Object} transfer - { sender, receiver, amountE8s, memo, createdAt }
+   * @returns {boolean} True when an earlier attempt of the same transfer was reserved
+   */
+  has(transfer) {
+    this.load();
+    return Boolean(this.entries[entryKey(transfer)]);
+  }
+
+  /**
+   * Check a transfer against every rule
+   * The daily limit is skipped for a transfer the spend ledger already counts (a resend with the
+   * same memo and created_at_time); every other rule applies to resends too.
+   * @param {Object} transfer - { sender, receiver, amountE8s, confirmed, memo, createdAt }
+   */
+  check({ sender, receiver, amountE8s, confirmed, memo = null, createdAt = null }) {
+    this.checkDestination(receiver);
+    this.checkAmount(amountE8s, confirmed);
+    const counted = memo !== null && createdAt !== null &&
+      this.has({ sender, receiver: receiver.accountIdentifier.toHex(), amountE8s, memo, createdAt });
+    if (!counted) {
+      this.checkDailyLimit(sender, amountE8s);
+    }
+  }
+
+  /**
+   * Count a transfer against the daily limit before it is signed
+   * The spend ledger is reloaded and the limit checked again before the entry is written. Only
+   * sends within one process are serialized this way: the file is not locked, so two processes
+   * sharing a spend ledger can both use the last of the limit. Reserving the same transfer again
+   * (a resend) does not count twice.
+   * @param {Object} transfer - { sender, receiver, amountE8s, memo, createdAt }
+   * @returns {string} Key of the entry, for settle() or release()
+   */
+  reserve(transfer) {
+    const { sender, receiver, amountE8s } = transfer;
+    const key = entryKey(transfer);
+    this.load();
+    if (this.entries[key]) {
+      return key;
+    }
+    this.checkDailyLimit(sender, amountE8s);
+    this.entries[key] = { sender, receiver, amountE8s: amountE8s.toString(), at: this.now(), status: 'pending' };
+    this.save();
+    return key;
+  }
+
+  /**
+   * Record the ledger block of a reserved transfer
+   * @param {string} key - Key from reserve()
+   * @param {bigint|string} blockIndex - Block index
+   */
+  settle(key, blockIndex) {
+    this.load();
+    if (this.entries[key]) {
+      this.entries[key] = { ...this.entries[key], status: 'sent', blockIndex: blockIndex.toString() };
+      this.save();
+    }
+  }
+
+  /**
+   * Stop counting a reserved transfer that the ledger rejected
+   * @param {string} key - Key from reserve()
+   */
+  release(key) {
+    this.load();
+    delete this.entries[key];
+    this.save();
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Map items through an async function with at most `concurrency` calls in flight
+ * Results keep the order of the items. After the first rejection no new calls are
+ * started, and the returned promise rejects with that error once the calls in flight settle.
+ * @param {Array} items - Items to map
+ * @param {number} concurrency - Maximum calls in flight
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results, in the order of the items
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('Concurrency must be a positive integer');
+  }
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+// Encoded ICP blocks are packed CBOR maps: { 0: parent_hash, 1: transaction, 2: timestamp }
+const BLOCK_TRANSACTION_FIELD = 1;
+
+/**
+ * Read the header of the CBOR item at an offset
+ * @param {Uint8Array} bytes - CBOR data
+ * @param {number} offset - Item offset
+ * @returns {Object} { major, value, next } with the offset after the header
+ */
+function readHeader(bytes, offset) {
+  if (offset >= bytes.length) {
+    throw new Error('Truncated CBOR data');
+  }
+  const major = bytes[offset] >> 5;
+  const info = bytes[offset] & 0x1f;
+
+  if (info < 24) {
+    return { major, value: info, next: offset + 1 };
+  }
+  const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+  if (!size || offset + 1 + size > bytes.length) {
+    throw new Error(`Unsupported CBOR header 0x${bytes[offset].toString(16)}`);
+  }
+  let value = 0n;
+  for (let i = 1; i <= size; i++) {
+    value = (value << 8n) | BigInt(bytes[offset + i]);
+  }
+  return { major, value: Number(value), next: offset + 1 + size };
+}
+
+/**
+ * Offset just after the CBOR item at an offset
+ * @param {Uint8Array} bytes - CBOR data
+ * @param {number} offset - Item offset
+ * @returns {number} End offset
+ */
+function itemEnd(bytes, offset) {
+  const { major, value, next } = readHeader(bytes, offset);
+  switch (major) {
+    case 2:
+    case 3:
+      return next + value;
+    case 4:
+    case 5: {
+      let end = next;
+      for (let i = 0; i < value * (major === 5 ? 2 : 1); i++) {
+        end = itemEnd(bytes, end);
+      }
+      return end;
+    }
+    case 6:
+      return itemEnd(bytes, next);
+    default:
+      return next;
+  }
+}
+
+/**
+ * Hash of an encoded ICP ledger block, as used for parent_hash links
+ * @param {Uint8Array} encodedBlock - Block bytes from query_encoded_blocks
+ * @returns {string} SHA-256 hex
+ */
+export function blockHash(encodedBlock) {
+  return crypto.createHash('sha256').update(encodedBlock).digest('hex');
+}
+
+/**
+ * Transaction hash of an encoded ICP ledger block
+ * The ledger hashes a transaction as SHA-256 of its packed CBOR encoding, which is stored
+ * verbatim inside the encoded block. This is the hash shown by the ICP Dashboard and Rosetta.
+ * @param {Uint8Array} encodedBlock - Block bytes from query_encoded_blocks
+ * @returns {string} SHA-256 hex
+ */
+export function transactionHash(encodedBlock) {
+  const bytes = encodedBlock instanceof Uint8Array ? encodedBlock : new Uint8Array(encodedBlock);
+  let header = readHeader(bytes, 0);
+  while (header.major === 6) {
+    header = readHeader(bytes, header.next);
+  }
+  if (header.major !== 5) {
+    throw new Error('Encoded block is not a CBOR map');
+  }
+
+  let offset = header.next;
+  for (let i = 0; i < header.value; i++) {
+    const key = readHeader(bytes, offset);
+    const valueEnd = itemEnd(bytes, key.next);
+    if (key.major === 0 && key.value === BLOCK_TRANSACTION_FIELD) {
+      return crypto.createHash('sha256').update(bytes.subarray(key.next, valueEnd)).digest('hex');
+    }
+    offset = valueEnd;
+  }
+  throw new Error('Encoded block has no transaction');
+}
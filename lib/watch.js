@@ -0,0 +1,228 @@
+import { EventEmitter } from 'events';
+import { existsSync, readFileSync } from 'fs';
+import crypto from 'crypto';
+import { toHistoryEntry } from './history.js';
+import { silentLogger } from './logger.js';
+import { writeJsonAtomic } from './json-file.js';
+
+// Blocks read per poll; a watcher that fell behind catches up over several polls
+const BLOCKS_PER_POLL = 1000n;
+
+/**
+ * Read the next block index from a checkpoint file
+ * @param {string} path - Checkpoint file path
+ * @returns {bigint|null} Next block to read, or null when there is no checkpoint yet
+ */
+function loadCheckpoint(path) {
+  if (!path || !existsSync(path)) {
+    return null;
+  }
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read checkpoint ${path}: ${error.message}`);
+  }
+  if (!/^\d+$/.test(String(checkpoint.nextBlock))) {
+    throw new Error(`Invalid checkpoint ${path}: missing nextBlock`);
+  }
+  return BigInt(checkpoint.nextBlock);
+}
+
+/**
+ * Build the watch events of one block: an 'outgoing' event for each watched sender and
+ * an 'incoming' event for each watched receiver (both for a transfer to oneself)
+ * @param {bigint} index - Block index
+ * @param {Object} block - Candid block record
+ * @param {Array<string>} accounts - Watched account identifiers (lowercase hex)
+ * @returns {Array<Object>} Events
+ */
+export function blockEvents(index, block, accounts) {
+  const events = [];
+  for (const account of accounts) {
+    const entry = toHistoryEntry(index, block, account);
+    // Approvals move no funds
+    if (!entry || entry.type === 'approve') {
+      continue;
+    }
+    const { direction, type: operation, ...details } = entry;
+    const types = direction === 'self' ? ['outgoing', 'incoming'] : [direction === 'out' ? 'outgoing' : 'incoming'];
+    for (const type of types) {
+      events.push({ id: `${entry.blockIndex}:${account}:${type}`, type, account, operation, ...details });
+    }
+  }
+  return events;
+}
+
+/**
+ * Follows new ledger blocks and reports transfers from and to a set of accounts
+ *
+ * Emits 'incoming' and 'outgoing' with the event object, 'block' ({ nextBlock, chainLength }) after
+ * each poll that advanced, and 'error' for polls that failed (the next poll retries).
+ * With a checkpoint file, the next block to read is saved after every block with events,
+ * so a restarted watcher resumes where it stopped. Events are delivered at least once:
+ * a crash between delivery and checkpoint can repeat the events of one block, which
+ * receivers can detect by the event id.
+ */
+export class AccountWatcher extends EventEmitter {
+  /**
+   * @param {Object} reader - Block reader (see IcpLedgerBackend.blockReader())
+   * @param {Array<string>} accounts - Account identifiers (hex) to watch
+   * @param {Object} options - Optional checkpointFile, fromBlock (default: the checkpoint, else the
+   *   chain length), pollIntervalMs (default: 5000), webhookUrl, webhookSecret (signs the body as
+   *   X-Signature: sha256=<hex HMAC>), webhookRetries (default: 3), network and logger
+   */
+  constructor(reader, accounts, options = {}) {
+    super();
+    if (accounts.length === 0) {
+      throw new Error('At least one account is required');
+    }
+    this.reader = reader;
+    this.accounts = [...new Set(accounts.map(account => account.toLowerCase()))];
+    this.options = options;
+    this.logger = options.logger ?? silentLogger;
+    this.nextBlock = null;
+    this.running = false;
+    this.wakeUp = null;
+  }
+
+  /**
+   * Resolve the first block to read: the checkpoint, fromBlock or the current chain length
+   * @returns {Promise<bigint>} Next block index
+   */
+  async startBlock() {
+    const fromCheckpoint = loadCheckpoint(this.options.checkpointFile);
+    if (fromCheckpoint !== null) {
+      return fromCheckpoint;
+    }
+    if (this.options.fromBlock !== undefined && this.options.fromBlock !== null) {
+      return BigInt(this.options.fromBlock);
+    }
+    return await this.reader.chainLength();
+  }
+
+  /**
+   * Read the blocks added since the last poll and report their events
+   * @returns {Promise<Array<Object>>} Events of this poll
+   */
+  async poll() {
+    if (this.nextBlock === null) {
+      this.nextBlock = await this.startBlock();
+      // Record the start, so a restart does not skip the blocks added in between
+      this.checkpoint();
+      this.logger.info('Watching accounts', { accounts: this.accounts.length, fromBlock: this.nextBlock.toString() });
+    }
+
+    const chainLength = await this.reader.chainLength();
+    const end = chainLength - this.nextBlock > BLOCKS_PER_POLL ? this.nextBlock + BLOCKS_PER_POLL : chainLength;
+    if (end <= this.nextBlock) {
+      return [];
+    }
+
+    const reported = [];
+    for (const { index, block } of await this.reader.readBlocks(this.nextBlock, end)) {
+      const events = blockEvents(index, block, this.accounts)
+        .map(event => ({ ...event, network: this.options.network ?? null }));
+
+      // Deliver before advancing, so a failed delivery is retried by the next poll
+      for (const event of events) {
+        await this.deliver(event);
+      }
+      for (const event of events) {
+        this.emit(event.type, event);
+      }
+      reported.push(...events);
+
+      this.nextBlock = index + 1n;
+      if (events.length > 0) {
+        this.checkpoint();
+      }
+    }
+
+    // Blocks without events advance the checkpoint once per poll
+    this.nextBlock = end > this.nextBlock ? end : this.nextBlock;
+    this.checkpoint();
+    this.emit('block', { nextBlock: this.nextBlock.toString(), chainLength: chainLength.toString() });
+    return reported;
+  }
+
+  checkpoint() {
+    if (this.options.checkpointFile) {
+      writeJsonAtomic(this.options.checkpointFile, {
+        nextBlock: this.nextBlock.toString(),
+        accounts: this.accounts,
+        updatedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST an event to the webhook URL, retrying with backoff
+   * @param {Object} event - Watch event
+   */
+  async deliver(event) {
+    const { webhookUrl, webhookSecret, webhookRetries = 3 } = this.options;
+    if (!webhookUrl) {
+      return;
+    }
+
+    const body = JSON.stringify(event);
+    const headers = { 'Content-Type': 'application/json', 'X-Event-Id': event.id };
+    if (webhookSecret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(webhookUrl, { method: 'POST', headers, body, signal: AbortSignal.timeout(10_000) });
+        if (response.ok) {
+          return;
+        }
+        throw new Error(`HTTP ${response.status}`);
+      } catch (error) {
+        if (attempt > webhookRetries) {
+          throw new Error(`Webhook delivery of ${event.id} failed: ${error.message}`);
+        }
+        const delayMs = 1000 * 2 ** (attempt - 1);
+        this.logger.warn(`Webhook attempt ${attempt} failed, retrying in ${delayMs} ms`, { id: event.id, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Poll until stop() is called
+   * Failed polls are reported as 'error' events (or logged when nobody listens) and retried.
+   * @returns {Promise<void>} Resolves after stop()
+   */
+  async start() {
+    const intervalMs = this.options.pollIntervalMs ?? 5000;
+    this.running = true;
+
+    while (this.running) {
+      try {
+        await this.poll();
+      } catch (error) {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        } else {
+          this.logger.error('Watch poll failed', { error: error.message });
+        }
+      }
+      if (this.running) {
+        await new Promise(resolve => {
+          this.wakeUp = resolve;
+          setTimeout(resolve, intervalMs);
+        });
+      }
+    }
+  }
+
+  /**
+   * Stop polling after the current poll
+   */
+  stop() {
+    this.running = false;
+    this.wakeUp?.();
+  }
+}
@@ -0,0 +1,89 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { setupGenerator } from './helpers.js';
+import { verifyAccountIdentifier } from '../lib/account.js';
+
+const SENDER_KEY = '0d'.repeat(32);
+const RECEIVER = 'rdmx6-jaaaa-aaaaa-aaadq-cai';
+// ryjl3-tyaaa-aaaaa-aaaba-cai, subaccount 1
+const ACCOUNT_ID = 'ffbd2bca73a4e300265824aa29c97115236574d38941eb0beb6fe85413b12646';
+
+/**
+ * Logger that keeps the warnings
+ * @returns {Object} Logger with `warnings`
+ */
+function warningLogger() {
+  const warnings = [];
+  return { warnings, warn: message => warnings.push(message) };
+}
+
+describe('address book', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'icp-contacts-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('verifies the checksum of account identifiers', () => {
+    assert.equal(verifyAccountIdentifier(ACCOUNT_ID.toUpperCase()), ACCOUNT_ID);
+    assert.throws(() => verifyAccountIdentifier(`00${ACCOUNT_ID.slice(2)}`), /starts with 00bd2bca but its checksum is ffbd2bca/);
+    assert.throws(() => verifyAccountIdentifier(ACCOUNT_ID.slice(1)), /64 hex characters/);
+  });
+
+  test('sends to a contact by name', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+    generator.addContact('alice', RECEIVER, { subaccount: 2, note: 'Payroll' });
+
+    const result = await generator.sendTransaction(SENDER_KEY, 'alice', '1');
+
+    assert.equal(result.receiverLabel, 'alice');
+    assert.equal(result.receiverAccountIdentifier, generator.parseReceiverAddress(RECEIVER, 2).accountIdentifier.toHex());
+    assert.equal(await generator.getBalance('alice'), 100_000_000n);
+  });
+
+  test('rejects names that are addresses and addresses with typos', () => {
+    const generator = new ICPTransactionGenerator('local');
+
+    assert.throws(() => generator.addContact('aaaaa-aa', RECEIVER), /is itself a valid address/);
+    assert.throws(() => generator.addContact('bob', `00${ACCOUNT_ID.slice(2)}`), /Checksum mismatch/);
+    assert.throws(() => generator.addContact('bob.1', RECEIVER), /Contact name must be/);
+    generator.addContact('bob', ACCOUNT_ID);
+    assert.throws(() => generator.addContact('bob', RECEIVER), /Contact "bob" already exists/);
+    assert.equal(generator.addContact('bob', RECEIVER, { overwrite: true }).type, 'principal');
+  });
+
+  test('refuses a contact whose stored address was tampered with', () => {
+    const path = join(dir, 'tampered.json');
+    new ICPTransactionGenerator('local', { addressBookFile: path }).addContact('carol', ACCOUNT_ID);
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    data.contacts.carol.address = RECEIVER;
+    writeFileSync(path, JSON.stringify(data));
+
+    assert.throws(
+      () => new ICPTransactionGenerator('local', { addressBookFile: path }).parseReceiverAddress('carol'),
+      /Contact "carol" is corrupted/
+    );
+  });
+
+  test('warns about a destination that was never paid, until it is', async () => {
+    const path = join(dir, 'payees.json');
+    const logger = warningLogger();
+    const { generator } = await setupGenerator({ key: SENDER_KEY, addressBookFile: path, logger });
+
+    const plan = await generator.sendTransaction(SENDER_KEY, ACCOUNT_ID, '1', null, { dryRun: true });
+    const first = await generator.sendTransaction(SENDER_KEY, ACCOUNT_ID, '1');
+    // A new process reads the paid destinations back from the file
+    const laterLogger = warningLogger();
+    const { generator: restarted } = await setupGenerator({ key: SENDER_KEY, addressBookFile: path, logger: laterLogger });
+    const second = await restarted.sendTransaction(SENDER_KEY, ACCOUNT_ID, '1');
+
+    assert.equal(plan.newDestination, true);
+    assert.equal(first.newDestination, true);
+    assert.equal(second.newDestination, false);
+    assert.match(logger.warnings[0], new RegExp(`${ACCOUNT_ID} has never been paid before`));
+    assert.deepEqual(laterLogger.warnings, []);
+    assert.equal(restarted.addressBook.payee('local', ACCOUNT_ID).transfers, 2);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Principal } from '@dfinity/principal';
+import { AccountIdentifier, SubAccount } from '@dfinity/ledger-icp';
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { encodeIcrcAccount, parseSubaccount } from '../lib/account.js';
+
+const PRINCIPAL = 'rdmx6-jaaaa-aaaaa-aaadq-cai';
+const PRINCIPAL_ACCOUNT = AccountIdentifier.fromPrincipal({ principal: Principal.fromText(PRINCIPAL) }).toHex();
+
+describe('parseReceiverAddress', () => {
+  const generator = new ICPTransactionGenerator('local');
+
+  test('accepts a Principal and derives its default account', () => {
+    const receiver = generator.parseReceiverAddress(PRINCIPAL);
+    assert.equal(receiver.type, 'principal');
+    assert.equal(receiver.principal.toText(), PRINCIPAL);
+    assert.equal(receiver.subaccount, null);
+    assert.equal(receiver.accountIdentifier.toHex(), PRINCIPAL_ACCOUNT);
+  });
+
+  test('applies a subaccount index to a Principal', () => {
+    const receiver = generator.parseReceiverAddress(PRINCIPAL, 1);
+    const expected = AccountIdentifier.fromPrincipal({
+      principal: Principal.fromText(PRINCIPAL),
+      subAccount: SubAccount.fromBytes(parseSubaccount(1))
+    });
+    assert.equal(receiver.accountIdentifier.toHex(), expected.toHex());
+    assert.equal(receiver.text, encodeIcrcAccount({ owner: Principal.fromText(PRINCIPAL), subaccount: parseSubaccount(1) }));
+  });
+
+  test('accepts an ICRC-1 textual account with a subaccount', () => {
+    const text = encodeIcrcAccount({ owner: Principal.fromText(PRINCIPAL), subaccount: parseSubaccount(7) });
+    const receiver = generator.parseReceiverAddress(text);
+    assert.equal(receiver.type, 'icrc1Account');
+    assert.equal(receiver.principal.toText(), PRINCIPAL);
+    assert.deepEqual(receiver.subaccount, parseSubaccount(7));
+  });
+
+  test('rejects a subaccount given twice for an ICRC-1 account', () => {
+    const text = encodeIcrcAccount({ owner: Principal.fromText(PRINCIPAL), subaccount: parseSubaccount(7) });
+    assert.throws(() => generator.parseReceiverAddress(text, 1), /already part of the ICRC-1 account/);
+  });
+
+  test('accepts an AccountIdentifier in either case', () => {
+    const receiver = generator.parseReceiverAddress(PRINCIPAL_ACCOUNT.toUpperCase());
+    assert.equal(receiver.type, 'accountIdentifier');
+    assert.equal(receiver.principal, null);
+    assert.equal(receiver.text, PRINCIPAL_ACCOUNT);
+  });
+
+  test('rejects an AccountIdentifier with a bad checksum', () => {
+    const corrupted = `${PRINCIPAL_ACCOUNT.slice(0, 8)}${PRINCIPAL_ACCOUNT.slice(8, 9) === '0' ? '1' : '0'}${PRINCIPAL_ACCOUNT.slice(9)}`;
+    assert.throws(() => generator.parseReceiverAddress(corrupted), /Invalid AccountIdentifier format/);
+  });
+
+  test('rejects a subaccount combined with an AccountIdentifier', () => {
+    assert.throws(() => generator.parseReceiverAddress(PRINCIPAL_ACCOUNT, 1), /cannot be combined with an AccountIdentifier/);
+  });
+
+  test('rejects malformed and missing addresses', () => {
+    assert.throws(() => generator.parseReceiverAddress('not-an-address'), /Invalid receiver address format/);
+    assert.throws(() => generator.parseReceiverAddress(''), /Receiver address is required/);
+    assert.throws(() => generator.parseReceiverAddress(null), /Receiver address is required/);
+  });
+});
+
+describe('parseSubaccount', () => {
+  test('encodes an index as a big-endian 32-byte subaccount', () => {
+    const subaccount = parseSubaccount(258);
+    assert.equal(subaccount.length, 32);
+    assert.equal(subaccount[30], 1);
+    assert.equal(subaccount[31], 2);
+  });
+
+  test('maps index 0 to the all-zero default subaccount and empty values to none', () => {
+    assert.deepEqual(parseSubaccount(0), new Uint8Array(32));
+    assert.equal(parseSubaccount(null), null);
+  });
+
+  test('reads 0x-prefixed values as hex, never as a decimal index', () => {
+    assert.deepEqual(parseSubaccount('0x10'), parseSubaccount(16));
+    assert.deepEqual(parseSubaccount(`0x${'ab'.repeat(32)}`), new Uint8Array(32).fill(0xab));
+    assert.throws(() => parseSubaccount('0x'), /non-negative index or 64 hex characters/);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { MockLedger } from '../lib/mock-ledger.js';
+import { mapWithConcurrency } from '../lib/pool.js';
+
+const KEYS = ['01', '02', '03'].map(byte => byte.repeat(32));
+
+describe('agent cache', () => {
+  test('reuses the authenticated agent of an identity', async () => {
+    const generator = new ICPTransactionGenerator('mainnet');
+    const identity = generator.createIdentityFromPrivateKey(KEYS[0]);
+
+    const first = await generator.createAuthenticatedAgent(identity);
+    const again = await generator.createAuthenticatedAgent(generator.createIdentityFromPrivateKey(KEYS[0]));
+    const other = await generator.createAuthenticatedAgent(generator.createIdentityFromPrivateKey(KEYS[1]));
+
+    assert.equal(again, first);
+    assert.notEqual(other, first);
+    assert.equal(generator.getIcrcLedger('mxzaz-hqaaa-aaaar-qaada-cai', first), generator.getIcrcLedger('mxzaz-hqaaa-aaaar-qaada-cai', first));
+  });
+
+  test('keeps only the most recently used agents', async () => {
+    const generator = new ICPTransactionGenerator('mainnet', { agentCacheSize: 2 });
+    const [a, b, c] = KEYS.map(key => generator.createIdentityFromPrivateKey(key));
+
+    const agentA = await generator.createAuthenticatedAgent(a);
+    await generator.createAuthenticatedAgent(b);
+    await generator.createAuthenticatedAgent(a);
+    await generator.createAuthenticatedAgent(c);
+
+    assert.equal(generator.agents.size, 2);
+    assert.equal(await generator.createAuthenticatedAgent(a), agentA);
+    assert.ok(![...generator.agents.keys()].some(key => key.endsWith(b.getPrincipal().toText())));
+  });
+});
+
+describe('getBalances', () => {
+  test('reads balances in order and reports unreadable accounts separately', async () => {
+    const ledger = new MockLedger();
+    const generator = new ICPTransactionGenerator('local', { ledgerBackend: ledger });
+    const [funded, empty] = KEYS.map(key => generator.getAccountIdentifier(generator.createIdentityFromPrivateKey(key)));
+    ledger.mint(funded, 500_000_000n);
+    await generator.init();
+
+    const balances = await generator.getBalances([funded, 'not-an-account', empty], { concurrency: 2 });
+
+    assert.deepEqual(balances[0], { account: funded, balanceE8s: 500_000_000n });
+    assert.equal(balances[1].account, 'not-an-account');
+    assert.ok(balances[1].error);
+    assert.deepEqual(balances[2], { account: empty, balanceE8s: 0n });
+  });
+
+  test('never has more calls in flight than the concurrency', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async n => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return n * 2;
+    });
+
+    assert.deepEqual(results, [2, 4, 6, 8, 10, 12, 14]);
+    assert.equal(peak, 3);
+  });
+
+  test('stops starting calls after a failure', async () => {
+    const started = [];
+
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3, 4], 1, async n => {
+        started.push(n);
+        if (n === 2) {
+          throw new Error('boom');
+        }
+      }),
+      /boom/
+    );
+    assert.deepEqual(started, [1, 2]);
+  });
+});
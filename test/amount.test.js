@@ -0,0 +1,57 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIcpAmount, formatIcp, parseTokenAmount, formatTokenAmount } from '../lib/amount.js';
+
+describe('parseIcpAmount', () => {
+  test('converts decimal ICP to e8s without floating point', () => {
+    assert.equal(parseIcpAmount('1.5'), 150_000_000n);
+    assert.equal(parseIcpAmount('0.00000001'), 1n);
+    assert.equal(parseIcpAmount('0.3'), 30_000_000n);
+    assert.equal(parseIcpAmount('10000000000'), 10_000_000_000n * 100_000_000n);
+    assert.equal(parseIcpAmount(2), 200_000_000n);
+  });
+
+  test('accepts raw e8s as a bigint or with an e8s suffix', () => {
+    assert.equal(parseIcpAmount(150_000_000n), 150_000_000n);
+    assert.equal(parseIcpAmount('150000000e8s'), 150_000_000n);
+    assert.equal(parseIcpAmount('1 E8S'), 1n);
+  });
+
+  test('rejects more than 8 decimal places', () => {
+    assert.throws(() => parseIcpAmount('0.000000001'), /more than 8 decimal places/);
+  });
+
+  test('rejects zero, negative and malformed amounts', () => {
+    for (const amount of ['0', '0.0', '-1', 'abc', '', '.', '1.2.3', 0n, '0e8s']) {
+      assert.throws(() => parseIcpAmount(amount), /positive number/, `amount ${String(amount)}`);
+    }
+  });
+
+  test('rejects numbers in exponent notation', () => {
+    assert.throws(() => parseIcpAmount(1e21), /pass it as a decimal string/);
+  });
+});
+
+describe('formatIcp', () => {
+  test('formats e8s as decimal ICP without trailing zeros', () => {
+    assert.equal(formatIcp(150_000_000n), '1.5');
+    assert.equal(formatIcp(1n), '0.00000001');
+    assert.equal(formatIcp('10000'), '0.0001');
+    assert.equal(formatIcp(0n), '0');
+  });
+
+  test('round-trips with parseIcpAmount', () => {
+    for (const amount of ['1', '0.1', '123.45678901', '0.0001']) {
+      assert.equal(formatIcp(parseIcpAmount(amount)), amount);
+    }
+  });
+});
+
+describe('token amounts', () => {
+  test('use the token decimals', () => {
+    assert.equal(parseTokenAmount('1.5', 6), 1_500_000n);
+    assert.equal(formatTokenAmount(1_500_000n, 6), '1.5');
+    assert.equal(parseTokenAmount('7', 0), 7n);
+    assert.throws(() => parseTokenAmount('0.5', 0), /more than 0 decimal places/);
+  });
+});
@@ -0,0 +1,254 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { connect } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { MockLedger } from '../lib/mock-ledger.js';
+import { createApiServer } from '../lib/api-server.js';
+
+const API_KEY = 'test-key';
+const PASSPHRASE = 'correct horse battery staple';
+const RECEIVER = 'rdmx6-jaaaa-aaaaa-aaadq-cai';
+
+/**
+ * Start an API server on a free port
+ * @param {ICPTransactionGenerator} generator - Initialized generator
+ * @param {Object} options - createApiServer options (apiKeys defaults to [API_KEY])
+ * @returns {Promise<Object>} { request(method, path, body?, headers?), close() }
+ */
+async function startServer(generator, options = {}) {
+  const server = createApiServer(generator, { apiKeys: [API_KEY], ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    port: server.address().port,
+    async request(method, path, body, headers = {}) {
+      const response = await fetch(`${base}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${API_KEY}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('createApiServer', () => {
+  let dir;
+  let generator;
+  let ledger;
+  let api;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'icp-api-'));
+    ledger = new MockLedger();
+    generator = new ICPTransactionGenerator('local', { ledgerBackend: ledger, keystoreDir: join(dir, 'keystore') });
+    const wallet = generator.createWallet('payer', PASSPHRASE);
+    generator.unlockWallet('payer', PASSPHRASE);
+    ledger.mint(wallet.accountIdentifier, 1_000_000_000n);
+    await generator.init();
+    api = await startServer(generator, { idempotencyFile: join(dir, 'idempotency.json') });
+  });
+
+  after(async () => {
+    await api.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('requires an API key except for the health check', async () => {
+    assert.equal((await api.request('GET', '/v1/health', null, { Authorization: '' })).status, 200);
+
+    const missing = await api.request('GET', '/v1/balance?account=payer', null, { Authorization: '' });
+    const wrong = await api.request('GET', '/v1/balance?account=payer', null, { Authorization: 'Bearer nope' });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error.code, 'unauthorized');
+  });
+
+  test('parses addresses and reads balances', async () => {
+    const address = await api.request('GET', `/v1/addresses/${RECEIVER}?subaccount=1`);
+    const balance = await api.request('GET', '/v1/balance?account=payer');
+    const invalid = await api.request('GET', '/v1/addresses/not-an-address');
+
+    assert.equal(address.status, 200);
+    assert.equal(address.body.type, 'principal');
+    assert.equal(address.body.accountIdentifier, generator.parseReceiverAddress(RECEIVER, 1).accountIdentifier.toHex());
+    assert.equal(balance.body.balance, '10');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.field, 'address');
+  });
+
+  test('answers malformed request URLs with 400 and keeps serving', async () => {
+    // fetch() refuses to send these, so write the request line by hand
+    const rawStatus = target => new Promise((resolve, reject) => {
+      const socket = connect(api.port, '127.0.0.1', () => {
+        socket.end(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nAuthorization: Bearer ${API_KEY}\r\nConnection: close\r\n\r\n`);
+      });
+      let reply = '';
+      socket.on('data', chunk => { reply += chunk; });
+      socket.on('end', () => resolve(Number(reply.split(' ')[1])));
+      socket.on('error', reject);
+    });
+
+    const badUrl = await rawStatus('http://[/');
+    const badEncoding = await api.request('GET', '/v1/addresses/%E0%A4%A');
+
+    assert.equal(badUrl, 400);
+    assert.equal(badEncoding.status, 400);
+    assert.equal(badEncoding.body.error.code, 'invalid_request');
+    assert.equal(badEncoding.body.error.field, 'address');
+    assert.equal((await api.request('GET', '/v1/health')).status, 200);
+  });
+
+  test('validates transfer requests', async () => {
+    const transfer = { wallet: 'payer', to: RECEIVER, amount: '1' };
+
+    const noKey = await api.request('POST', '/v1/transfers', transfer);
+    const badAmount = await api.request('POST', '/v1/transfers', { ...transfer, amount: '1.123456789' }, { 'Idempotency-Key': 'v1' });
+    const unknownWallet = await api.request('POST', '/v1/transfers', { ...transfer, wallet: 'other' }, { 'Idempotency-Key': 'v2' });
+    const extraField = await api.request('POST', '/v1/transfers', { ...transfer, fee: '0' }, { 'Idempotency-Key': 'v3' });
+
+    assert.equal(noKey.body.error.code, 'idempotency_key_required');
+    assert.deepEqual([badAmount.status, badAmount.body.error.field], [400, 'amount']);
+    assert.equal(unknownWallet.body.error.code, 'unknown_wallet');
+    assert.equal(extraField.body.error.message, 'Unknown fields: fee');
+    assert.equal(await ledger.chainLength(), 1n);
+  });
+
+  test('replays a transfer with the same Idempotency-Key instead of paying twice', async () => {
+    const transfer = { wallet: 'payer', to: RECEIVER, amount: '1', memo: '77' };
+    const headers = { 'Idempotency-Key': 'payout-1' };
+
+    const first = await api.request('POST', '/v1/transfers', transfer, headers);
+    const again = await api.request('POST', '/v1/transfers', transfer, headers);
+    const changed = await api.request('POST', '/v1/transfers', { ...transfer, amount: '2' }, headers);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.verified, true);
+    assert.equal(first.body.memo, '77');
+    assert.deepEqual(again.body, first.body);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.equal(changed.status, 422);
+    assert.equal(changed.body.error.code, 'idempotency_key_reused');
+    assert.equal(await ledger.chainLength(), 2n);
+  });
+
+  test('releases the key of a transfer refused by the preflight', async () => {
+    const transfer = { wallet: 'payer', to: RECEIVER, amount: '100' };
+    const headers = { 'Idempotency-Key': 'too-much' };
+
+    const refused = await api.request('POST', '/v1/transfers', transfer, headers);
+    ledger.mint(generator.keystore.get('payer').accountIdentifier, 10_000_000_000n);
+    const retried = await api.request('POST', '/v1/transfers', transfer, headers);
+
+    assert.equal(refused.status, 422);
+    assert.equal(refused.body.error.code, 'preflight_failed');
+    assert.equal(retried.status, 200);
+  });
+
+  test('applies the daily limit again when a refused transfer is repeated with the same key', async () => {
+    const limited = new ICPTransactionGenerator('local', { ledgerBackend: ledger, keystoreDir: join(dir, 'keystore'), policy: { dailyLimit: '1' } });
+    limited.unlockWallet('payer', PASSPHRASE);
+    await limited.init();
+    const limitedApi = await startServer(limited);
+    const transfer = { wallet: 'payer', to: RECEIVER, amount: '5' };
+    const headers = { 'Idempotency-Key': 'over-limit' };
+    const chainLength = await ledger.chainLength();
+    let refused;
+    let retried;
+    try {
+      refused = await limitedApi.request('POST', '/v1/transfers', transfer, headers);
+      retried = await limitedApi.request('POST', '/v1/transfers', transfer, headers);
+    } finally {
+      await limitedApi.close();
+    }
+
+    assert.equal(refused.status, 422);
+    assert.equal(refused.body.error.code, 'policy_violation');
+    assert.equal(retried.status, 422);
+    assert.equal(retried.body.error.rule, 'dailyLimit');
+    assert.equal(await ledger.chainLength(), chainLength);
+  });
+
+  test('resends a transfer of unknown outcome after a restart, and the ledger deduplicates it', async () => {
+    const transfer = { wallet: 'payer', to: RECEIVER, amount: '0.5' };
+    const headers = { 'Idempotency-Key': 'lost-reply' };
+    const receiver = generator.parseReceiverAddress(RECEIVER).accountIdentifier.toHex();
+    const balanceBefore = await generator.getBalance(receiver);
+    // The first attempt is recorded but its reply is lost, and every retry fails
+    ledger.failNextTransfer(new Error('Request timed out'), { afterApply: true });
+    for (let i = 0; i < 3; i++) {
+      ledger.failNextTransfer();
+    }
+
+    const lost = await api.request('POST', '/v1/transfers', transfer, headers);
+    const restarted = await startServer(generator, { idempotencyFile: join(dir, 'idempotency.json') });
+    let resent;
+    try {
+      resent = await restarted.request('POST', '/v1/transfers', transfer, headers);
+    } finally {
+      await restarted.close();
+    }
+
+    assert.equal(lost.status, 502);
+    assert.equal(lost.body.error.code, 'ledger_unavailable');
+    assert.equal(resent.status, 200);
+    assert.equal(resent.body.duplicate, true);
+    assert.equal(resent.body.createdAt, lost.body.error.createdAt);
+    assert.equal(await generator.getBalance(receiver), balanceBefore + 50_000_000n);
+  });
+
+  test('never pays twice when a resend of a lost reply would fail the balance preflight', async () => {
+    const transfer = { wallet: 'payer', to: RECEIVER, amount: '1' };
+    const headers = { 'Idempotency-Key': 'lost-then-drained' };
+    const payer = generator.keystore.get('payer').accountIdentifier;
+    const receiver = generator.parseReceiverAddress(RECEIVER).accountIdentifier.toHex();
+    const balanceBefore = await generator.getBalance(receiver);
+    ledger.failNextTransfer(new Error('Request timed out'), { afterApply: true });
+    for (let i = 0; i < 3; i++) {
+      ledger.failNextTransfer();
+    }
+
+    const lost = await api.request('POST', '/v1/transfers', transfer, headers);
+    // The rest of the balance is spent elsewhere, then topped up again
+    const remaining = await generator.getBalance(payer);
+    ledger.balances.set(payer, 0n);
+    const resent = await api.request('POST', '/v1/transfers', transfer, headers);
+    ledger.mint(payer, remaining);
+    const repeated = await api.request('POST', '/v1/transfers', transfer, headers);
+
+    assert.equal(lost.status, 502);
+    assert.equal(resent.status, 200);
+    assert.equal(resent.body.duplicate, true);
+    assert.equal(repeated.headers.get('idempotent-replayed'), 'true');
+    assert.equal(await generator.getBalance(receiver), balanceBefore + 100_000_000n);
+  });
+
+  test('generates wallets server-side without returning the private key', async () => {
+    const disabled = await api.request('POST', '/v1/keys', { wallet: 'fresh' });
+    const keyServer = await startServer(generator, { walletPassphrase: PASSPHRASE, wallets: ['payer'] });
+    let created;
+    let duplicate;
+    try {
+      created = await keyServer.request('POST', '/v1/keys', { wallet: 'fresh', curve: 'ed25519' });
+      duplicate = await keyServer.request('POST', '/v1/keys', { wallet: 'fresh' });
+    } finally {
+      await keyServer.close();
+    }
+
+    assert.equal(disabled.status, 403);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'fresh');
+    assert.equal(created.body.privateKey, undefined);
+    assert.equal(created.body.accountIdentifier, generator.keystore.get('fresh').accountIdentifier);
+    assert.equal(duplicate.body.error.code, 'wallet_exists');
+  });
+});
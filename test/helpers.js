@@ -0,0 +1,19 @@
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { MockLedger } from '../lib/mock-ledger.js';
+
+/**
+ * Generator connected to a MockLedger that holds `balance` for the account of `key`
+ * Nothing is minted for a zero balance, so a second generator can share the ledger of the first.
+ * @param {Object} options - key (private key hex), balance (e8s, default: 10 ICP), ledger (default: a new
+ *   MockLedger), network (default: 'local'); other options go to the ICPTransactionGenerator constructor
+ * @returns {Promise<Object>} { generator, ledger, sender } with sender the account identifier hex of the key
+ */
+export async function setupGenerator({ key, balance = 1_000_000_000n, ledger = new MockLedger(), network = 'local', ...options } = {}) {
+  const generator = new ICPTransactionGenerator(network, { ...options, ledgerBackend: ledger });
+  const sender = generator.getAccountIdentifier(generator.createIdentityFromPrivateKey(key));
+  if (balance > 0n) {
+    ledger.mint(sender, balance);
+  }
+  await generator.init();
+  return { generator, ledger, sender };
+}
@@ -0,0 +1,79 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { setupGenerator } from './helpers.js';
+import { runLoadTest, summarizeLatencies } from '../lib/load-test.js';
+
+const FUNDER_KEY = '0e'.repeat(32);
+
+describe('generateLoad', () => {
+  test('funds the accounts and sends randomized transfers among them', async () => {
+    const { generator, ledger } = await setupGenerator({ key: FUNDER_KEY, balance: 10_000_000_000n });
+
+    const report = await generator.generateLoad(FUNDER_KEY, { accounts: 4, transfers: 20, rate: 1000, concurrency: 3 });
+    const balances = await Promise.all(report.accounts.map(account => generator.getBalance(account)));
+
+    assert.equal(report.succeeded, 20);
+    assert.equal(report.failed, 0);
+    assert.deepEqual(report.errors, {});
+    assert.equal(report.stoppedEarly, null);
+    assert.ok(report.throughput > 0);
+    assert.ok(report.latencyMs.p50 <= report.latencyMs.p99);
+    // One mint, four funding transfers and the load itself
+    assert.equal(await ledger.chainLength(), 25n);
+    // Transfers among the accounts only burn fees
+    assert.equal(balances.reduce((sum, e8s) => sum + e8s, 0n), 4n * 100_000_000n - 20n * 10_000n);
+  });
+
+  test('counts failures by ledger error variant', async () => {
+    const { generator, ledger } = await setupGenerator({ key: FUNDER_KEY, balance: 10_000_000_000n });
+
+    const report = await generator.generateLoad(FUNDER_KEY, {
+      accounts: 2,
+      transfers: 5,
+      rate: 1000,
+      concurrency: 1,
+      onProgress: ({ attempted }) => {
+        if (attempted === 1) {
+          ledger.failNextTransfer();
+          ledger.fee = 20_000n;
+        }
+      }
+    });
+
+    assert.equal(report.succeeded, 1);
+    assert.deepEqual(report.errors, { NetworkError: 1, BadFee: 3 });
+  });
+
+  test('stops when the accounts run out of funds', async () => {
+    const { generator } = await setupGenerator({ key: FUNDER_KEY, balance: 10_000_000_000n });
+
+    const report = await generator.generateLoad(FUNDER_KEY, {
+      accounts: 2,
+      fundAmount: '0.0002',
+      minAmount: '0.0001',
+      maxAmount: '0.0001',
+      transfers: 100,
+      rate: 1000
+    });
+
+    assert.ok(report.succeeded < 100);
+    assert.equal(report.stoppedEarly, 'The generated accounts ran out of funds');
+  });
+
+  test('refuses networks other than local ones', async () => {
+    const generator = new ICPTransactionGenerator('mainnet');
+
+    await assert.rejects(
+      runLoadTest(generator, FUNDER_KEY),
+      error => error.refused === true && /only runs against a local network, not mainnet/.test(error.message)
+    );
+  });
+
+  test('computes nearest-rank latency percentiles', () => {
+    const latencies = Array.from({ length: 100 }, (_, i) => i + 1);
+
+    assert.deepEqual(summarizeLatencies(latencies), { min: 1, mean: 50.5, p50: 50, p90: 90, p95: 95, p99: 99, max: 100 });
+    assert.equal(summarizeLatencies([]), null);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { setupGenerator } from './helpers.js';
+import { ICP_MAX_MEMO } from '../lib/icp-ledger.js';
+import { encodeIcrcMemo } from '../lib/icrc-ledger.js';
+
+describe('resolveMemo', () => {
+  const generator = new ICPTransactionGenerator('local');
+  const isTimestamp = value => {
+    const now = BigInt(Date.now());
+    return value > now - 60_000n && value <= now;
+  };
+
+  test('keeps numeric strings, numbers and bigints', () => {
+    assert.equal(generator.resolveMemo('12345'), 12345n);
+    assert.equal(generator.resolveMemo(' 42 '), 42n);
+    assert.equal(generator.resolveMemo(7), 7n);
+    assert.equal(generator.resolveMemo(0), 0n);
+    assert.equal(generator.resolveMemo(99n), 99n);
+  });
+
+  test('keeps 64-bit memos exactly', () => {
+    assert.equal(generator.resolveMemo(ICP_MAX_MEMO.toString()), ICP_MAX_MEMO);
+    assert.equal(generator.resolveMemo('18446744073709551000'), 18446744073709551000n);
+  });
+
+  test('falls back to the current timestamp for missing memos', () => {
+    for (const memo of [null, undefined, '', '   ']) {
+      assert.ok(isTimestamp(generator.resolveMemo(memo)), `memo ${JSON.stringify(memo)}`);
+    }
+  });
+
+  test('rejects invalid memos instead of replacing them', () => {
+    for (const memo of ['abc', '-1', '1.5', (ICP_MAX_MEMO + 1n).toString(), -1, 1.5, -1n, ICP_MAX_MEMO + 1n]) {
+      assert.throws(() => generator.resolveMemo(memo), error => error.preflight === true && /Invalid memo/.test(error.message), `memo ${String(memo)}`);
+    }
+  });
+
+  test('refuses a transfer with an invalid memo before submitting it', async () => {
+    const key = '0c'.repeat(32);
+    const { generator: funded, ledger } = await setupGenerator({ key });
+
+    await assert.rejects(
+      funded.sendTransaction(key, 'rdmx6-jaaaa-aaaaa-aaadq-cai', '1', '1.5'),
+      /Invalid memo "1.5": it must be an integer from 0 to 18446744073709551615/
+    );
+    assert.equal(await ledger.chainLength(), 1n);
+  });
+});
+
+describe('encodeIcrcMemo', () => {
+  test('encodes numbers as 8-byte big-endian integers', () => {
+    assert.deepEqual(encodeIcrcMemo(258), new Uint8Array([0, 0, 0, 0, 0, 0, 1, 2]));
+    assert.deepEqual(encodeIcrcMemo('258'), new Uint8Array([0, 0, 0, 0, 0, 0, 1, 2]));
+  });
+
+  test('encodes 0x strings as bytes and other strings as UTF-8', () => {
+    assert.deepEqual(encodeIcrcMemo('0xcafe'), new Uint8Array([0xca, 0xfe]));
+    assert.deepEqual(encodeIcrcMemo('hi'), new Uint8Array([0x68, 0x69]));
+  });
+
+  test('omits empty memos and rejects memos over 32 bytes', () => {
+    assert.equal(encodeIcrcMemo(null), undefined);
+    assert.equal(encodeIcrcMemo(''), undefined);
+    assert.throws(() => encodeIcrcMemo('x'.repeat(33)), /at most 32 bytes/);
+    assert.throws(() => encodeIcrcMemo(2n ** 64n), /fit in 64 bits/);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockLedger } from '../lib/mock-ledger.js';
+import { setupGenerator } from './helpers.js';
+import { AccountIdentifier, SubAccount } from '@dfinity/ledger-icp';
+import { Principal } from '@dfinity/principal';
+import { GOVERNANCE_CANISTER_ID, governanceError, neuronStakeSubaccount } from '../lib/governance.js';
+import { bytesToHex } from '../lib/account.js';
+
+const CONTROLLER_KEY = '0d'.repeat(32);
+
+/**
+ * Governance stand-in that claims neurons from the stakes sent to the mock ledger
+ * @param {MockLedger} ledger - Ledger holding the stakes
+ * @returns {Object} Governance backend with `neurons` (by subaccount hex) and `failures` (errors thrown by the next claims)
+ */
+function mockGovernance(ledger) {
+  let nextId = 1000n;
+  const stakeOf = subaccount => ledger.accountBalance({
+    accountIdentifier: AccountIdentifier.fromPrincipal({
+      principal: Principal.fromText(GOVERNANCE_CANISTER_ID),
+      subAccount: SubAccount.fromBytes(subaccount)
+    })
+  });
+  const byId = (identity, neuronId) => {
+    const neuron = [...governance.neurons.values()].find(candidate => candidate.id === BigInt(neuronId));
+    if (!neuron || neuron.controller.toText() !== identity.getPrincipal().toText()) {
+      throw governanceError({ error_message: 'Neuron not found', error_type: 3 });
+    }
+    return neuron;
+  };
+  const governance = {
+    neurons: new Map(),
+    failures: [],
+    async claimNeuron(identity, { controller, memo }) {
+      const failure = this.failures.shift();
+      if (failure) {
+        throw failure;
+      }
+      const subaccount = neuronStakeSubaccount(controller, memo);
+      const key = bytesToHex(subaccount);
+      const stakeE8s = await stakeOf(subaccount);
+      if (stakeE8s < 100_000_000n) {
+        throw governanceError({ error_message: 'Account does not have enough funds to stake a neuron', error_type: 14 });
+      }
+      if (!this.neurons.has(key)) {
+        this.neurons.set(key, { id: nextId++, subaccount, controller, stakeE8s, dissolveDelaySeconds: 0n, dissolving: false });
+      }
+      return this.neurons.get(key).id;
+    },
+    async refreshNeuron(identity, neuronId) {
+      const neuron = byId(identity, neuronId);
+      neuron.stakeE8s = await stakeOf(neuron.subaccount);
+      return neuron.id;
+    },
+    async configureNeuron(identity, neuronId, operation) {
+      const neuron = byId(identity, neuronId);
+      if (operation.IncreaseDissolveDelay) {
+        const delay = neuron.dissolveDelaySeconds + BigInt(operation.IncreaseDissolveDelay.additional_dissolve_delay_seconds);
+        neuron.dissolveDelaySeconds = delay < 252_460_800n ? delay : 252_460_800n;
+      } else {
+        neuron.dissolving = 'StartDissolving' in operation;
+      }
+    },
+    async listNeurons(identity) {
+      return [...this.neurons.values()]
+        .filter(neuron => neuron.controller.toText() === identity.getPrincipal().toText())
+        .map(neuron => ({
+          id: neuron.id,
+          subaccount: neuron.subaccount,
+          controller: neuron.controller,
+          stakeE8s: neuron.stakeE8s,
+          maturityE8s: 0n,
+          state: neuron.dissolving ? 'dissolving' : 'locked',
+          dissolveDelaySeconds: neuron.dissolveDelaySeconds,
+          whenDissolvedTimestampSeconds: null,
+          votingPower: null,
+          ageSeconds: null,
+          createdTimestampSeconds: 1_700_000_000n
+        }));
+    }
+  };
+  return governance;
+}
+
+/**
+ * Generator connected to a mock ledger that holds 10 ICP for the controller
+ * @returns {Promise<Object>} { generator, ledger, governance }
+ */
+async function setup() {
+  const ledger = new MockLedger();
+  const governance = mockGovernance(ledger);
+  const { generator } = await setupGenerator({ key: CONTROLLER_KEY, ledger, governanceBackend: governance });
+  return { generator, ledger, governance };
+}
+
+describe('neurons', () => {
+  test('stakes to the subaccount derived from the controller and nonce, then claims the neuron', async () => {
+    const { generator, ledger } = await setup();
+    const controller = generator.createIdentityFromPrivateKey(CONTROLLER_KEY).getPrincipal();
+
+    const result = await generator.stakeNeuron(CONTROLLER_KEY, '2', { nonce: 42n, dissolveDelaySeconds: 15_778_800 });
+    const [{ block }] = await ledger.readBlocks(BigInt(result.blockIndex), BigInt(result.blockIndex) + 1n);
+    const [neuron] = await generator.listNeurons(CONTROLLER_KEY);
+
+    assert.equal(result.neuronId, '1000');
+    assert.equal(block.transaction.memo, 42n);
+    assert.equal(result.accountIdentifier, generator.neuronAccount(neuronStakeSubaccount(controller, 42n)));
+    assert.equal(neuron.stake, '2');
+    assert.equal(neuron.dissolveDelaySeconds, 15_778_800);
+    assert.equal(neuron.accountIdentifier, result.accountIdentifier);
+  });
+
+  test('refuses stakes below 1 ICP before sending anything', async () => {
+    const { generator, ledger } = await setup();
+
+    await assert.rejects(
+      generator.stakeNeuron(CONTROLLER_KEY, '0.5'),
+      error => error.preflight === true && /at least 1 ICP/.test(error.message)
+    );
+    assert.equal(await ledger.chainLength(), 1n);
+  });
+
+  test('reports the nonce when the claim fails so the stake can be claimed later', async () => {
+    const { generator, governance } = await setup();
+    governance.failures.push(new Error('Connection reset by peer'));
+
+    await assert.rejects(
+      generator.stakeNeuron(CONTROLLER_KEY, '1', { nonce: 7n }),
+      error => error.nonce === '7' && error.blockIndex === '1' && /claim the neuron with nonce 7/.test(error.message)
+    );
+    const neuron = await generator.claimNeuron(CONTROLLER_KEY, '7');
+
+    assert.equal(neuron.id, '1000');
+    assert.equal(neuron.stake, '1');
+  });
+
+  test('tops up a neuron and refreshes its stake', async () => {
+    const { generator } = await setup();
+    const { neuronId } = await generator.stakeNeuron(CONTROLLER_KEY, '1');
+
+    const result = await generator.topUpNeuron(CONTROLLER_KEY, neuronId, '0.5');
+
+    assert.equal(result.neuron.stake, '1.5');
+    assert.equal(result.neuron.id, neuronId);
+  });
+
+  test('changes the dissolve delay and dissolving state', async () => {
+    const { generator } = await setup();
+    const { neuronId } = await generator.stakeNeuron(CONTROLLER_KEY, '1');
+
+    assert.throws(() => generator.checkDissolveDelay(252_460_801), /between 1 and 252460800 seconds/);
+    const delayed = await generator.increaseDissolveDelay(CONTROLLER_KEY, neuronId, 31_557_600);
+    const dissolving = await generator.setNeuronDissolving(CONTROLLER_KEY, neuronId, true);
+
+    assert.equal(delayed.dissolveDelaySeconds, 31_557_600);
+    assert.equal(dissolving.state, 'dissolving');
+  });
+});
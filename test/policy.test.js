@@ -0,0 +1,161 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ICPTransactionGenerator } from '../transaction-generator.js';
+import { setupGenerator } from './helpers.js';
+
+const SENDER_KEY = '0c'.repeat(32);
+const RECEIVER = 'rdmx6-jaaaa-aaaaa-aaadq-cai';
+const OTHER = 'ryjl3-tyaaa-aaaaa-aaaba-cai';
+
+describe('spending policy', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'icp-policy-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('refuses a transfer above maxPerTransfer before signing', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { maxPerTransfer: '5' } });
+    const events = [];
+    generator.on('signed', () => events.push('signed'));
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '5.5'),
+      error => error.policy === 'maxPerTransfer' && error.preflight === true &&
+        error.message === 'Policy violation: 5.5 ICP exceeds the limit of 5 ICP per transfer'
+    );
+    assert.deepEqual(events, []);
+    assert.equal(await ledger.chainLength(), 1n);
+    assert.equal((await generator.sendTransaction(SENDER_KEY, RECEIVER, '5')).success, true);
+  });
+
+  test('applies the deny list before the allow list, matching all subaccounts of a Principal', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { allow: [RECEIVER, OTHER], deny: [OTHER] } });
+    const receiverSubaccount = generator.parseReceiverAddress(RECEIVER, 3).accountIdentifier.toHex();
+
+    await assert.rejects(generator.sendTransaction(SENDER_KEY, OTHER, '1'), error => error.policy === 'deny');
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, receiverSubaccount, '1'),
+      error => error.policy === 'allow'
+    );
+    const result = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', null, { toSubaccount: 3 });
+    assert.equal(result.receiverAccountIdentifier, receiverSubaccount);
+  });
+
+  test('requires confirmation above the threshold, except for dry runs', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { confirmAbove: '10' } });
+
+    const plan = await generator.sendTransaction(SENDER_KEY, RECEIVER, '20', null, { dryRun: true });
+    await assert.rejects(generator.sendTransaction(SENDER_KEY, RECEIVER, '20'), error => error.policy === 'confirmAbove');
+    const result = await generator.sendTransaction(SENDER_KEY, RECEIVER, '20', null, { confirmed: true });
+
+    assert.equal(plan.requiresConfirmation, true);
+    assert.equal(result.success, true);
+  });
+
+  test('enforces a rolling daily limit from the persisted spend ledger', async () => {
+    const rules = { dailyLimit: '10', spendLedger: join(dir, 'spend.json') };
+    const { generator, sender } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: rules });
+    await generator.sendTransaction(SENDER_KEY, RECEIVER, '6');
+
+    // A new process reads the usage back from the spend ledger
+    const { generator: restarted } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: rules });
+    await assert.rejects(
+      restarted.sendTransaction(SENDER_KEY, RECEIVER, '5'),
+      error => error.policy === 'dailyLimit' && /6 ICP sent in the last 24 hours/.test(error.message)
+    );
+    await restarted.sendTransaction(SENDER_KEY, RECEIVER, '4');
+
+    assert.deepEqual(restarted.policy.usage(sender), { spentE8s: '1000000000', dailyLimitE8s: '1000000000', remainingE8s: '0' });
+    const entries = Object.values(JSON.parse(readFileSync(rules.spendLedger, 'utf8')).entries);
+    assert.deepEqual(entries.map(entry => [entry.status, entry.amountE8s]), [['sent', '600000000'], ['sent', '400000000']]);
+  });
+
+  test('stops counting a transfer the ledger rejected, but not a resend of a sent one', async () => {
+    const { generator, ledger, sender } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { dailyLimit: '10' } });
+    generator.once('preflight', () => { ledger.fee = 20_000n; });
+    await assert.rejects(generator.sendTransaction(SENDER_KEY, RECEIVER, '3'), error => error.variant === 'BadFee');
+    ledger.fee = 10_000n;
+
+    const first = await generator.sendTransaction(SENDER_KEY, RECEIVER, '3', '1');
+    const resend = await generator.sendTransaction(SENDER_KEY, RECEIVER, '3', '1', { createdAt: first.createdAt });
+
+    assert.equal(resend.duplicate, true);
+    assert.equal(generator.policy.usage(sender).spentE8s, '300000000');
+  });
+
+  test('checks the daily limit of a first transfer with a caller-supplied created_at_time', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { dailyLimit: '1' } });
+    const createdAt = BigInt(Date.now()) * 1_000_000n;
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '5', '9', { createdAt, resend: true, earlierAttempt: { memo: '9', createdAt } }),
+      error => error.policy === 'dailyLimit'
+    );
+    assert.equal(await ledger.chainLength(), 1n);
+  });
+
+  test('counts transfers signed offline', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { dailyLimit: '3' } });
+
+    await generator.signTransferOffline(SENDER_KEY, RECEIVER, '2');
+    await assert.rejects(generator.signTransferOffline(SENDER_KEY, RECEIVER, '2'), error => error.policy === 'dailyLimit');
+  });
+
+  test('stops counting an offline transfer that could not be saved', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { dailyLimit: '3' } });
+    const save = () => { throw new Error('disk full'); };
+
+    await assert.rejects(generator.signTransferOffline(SENDER_KEY, RECEIVER, '2', null, { save }), /disk full/);
+    assert.equal((await generator.signTransferOffline(SENDER_KEY, RECEIVER, '2')).amountE8s, '200000000');
+  });
+
+  test('refuses ICRC transfers and approvals, which the policy cannot meter', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY, policy: { dailyLimit: '3' } });
+    const ledger = 'ryjl3-tyaaa-aaaaa-aaaba-cai';
+
+    await assert.rejects(generator.sendIcrcTransaction(SENDER_KEY, ledger, RECEIVER, '1'), error => error.policy === 'icrc' &&
+      error.message.startsWith('Policy violation: icrc1_transfer is not covered by the spending policy'));
+    await assert.rejects(generator.approveIcrcSpender(SENDER_KEY, ledger, RECEIVER, '1'), error => error.policy === 'icrc');
+    await assert.rejects(generator.transferFromIcrc(SENDER_KEY, ledger, RECEIVER, OTHER, '1'), error => error.policy === 'icrc');
+  });
+
+  test('refuses a batch the daily limit cannot cover before sending any row', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY, balance: 10_000_000_000n, policy: { dailyLimit: '5' } });
+    const rows = [1, 2, 3].map(row => ({ row, receiver: RECEIVER, amount: '2', memo: null, subaccount: null }));
+
+    await assert.rejects(
+      generator.sendBatch(SENDER_KEY, rows, { stateFile: join(dir, 'batch.state.json') }),
+      error => error.policy === 'dailyLimit'
+    );
+    assert.equal(await ledger.chainLength(), 1n);
+  });
+
+  test('resumes a tightly funded batch whose only row may already be paid', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY, balance: 100_010_000n, policy: { dailyLimit: '1' } });
+    const stateFile = join(dir, 'resume.state.json');
+    const rows = [{ row: 1, receiver: RECEIVER, amount: '1', memo: '5', subaccount: null }];
+    ledger.failNextTransfer(new Error('Request timed out'), { afterApply: true });
+    for (let i = 0; i < 3; i++) {
+      ledger.failNextTransfer();
+    }
+
+    const first = await generator.sendBatch(SENDER_KEY, rows, { stateFile });
+    const resumed = await generator.sendBatch(SENDER_KEY, rows, { stateFile });
+
+    assert.equal(first.uncertain, 1);
+    assert.equal(resumed.sent, 1);
+    assert.equal(resumed.results[0].blockIndex, '1');
+    assert.equal(await ledger.chainLength(), 2n);
+  });
+
+  test('reads rules from a policy file and rejects unknown fields', () => {
+    const path = join(dir, 'policy.json');
+    writeFileSync(path, JSON.stringify({ maxPerTransfer: '1', spendLedger: 'usage.json' }));
+    const generator = new ICPTransactionGenerator('local', { policyFile: path });
+
+    assert.equal(generator.policy.spendLedgerFile, join(dir, 'usage.json'));
+    assert.throws(() => new ICPTransactionGenerator('local', { policy: { maxPerTranfser: '1' } }), /Unknown policy fields: maxPerTranfser/);
+  });
+});
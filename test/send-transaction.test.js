@@ -0,0 +1,233 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccountIdentifier } from '@dfinity/ledger-icp';
+import { Principal } from '@dfinity/principal';
+import { setupGenerator } from './helpers.js';
+import { transactionHash } from '../lib/transaction-hash.js';
+import { submitSignedCall } from '../lib/offline.js';
+
+const SENDER_KEY = '0c'.repeat(32);
+const RECEIVER = 'rdmx6-jaaaa-aaaaa-aaadq-cai';
+const RECEIVER_ACCOUNT = AccountIdentifier.fromPrincipal({ principal: Principal.fromText(RECEIVER) }).toHex();
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Record the names of the events a generator emits
+ * @param {ICPTransactionGenerator} generator - Generator
+ * @returns {Array<string>} Event names, filled as events arrive
+ */
+function recordEvents(generator) {
+  const events = [];
+  for (const name of ['preflight', 'signed', 'submitted', 'confirmed', 'failed']) {
+    generator.on(name, payload => events.push(name === 'failed' ? `failed:${payload.stage}` : name));
+  }
+  return events;
+}
+
+describe('sendTransaction', () => {
+  test('transfers, verifies the block and reports its ledger hash', async () => {
+    const { generator, ledger, sender } = await setupGenerator({ key: SENDER_KEY });
+    const events = recordEvents(generator);
+
+    const result = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1.5', '42');
+
+    assert.equal(result.success, true);
+    assert.equal(result.blockIndex, '1');
+    assert.equal(result.verified, true);
+    assert.equal(result.duplicate, false);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.amountE8s, '150000000');
+    assert.equal(result.memo, '42');
+    assert.equal(result.transactionHash, transactionHash(await ledger.readEncodedBlock(1n)));
+    assert.equal(await generator.getBalance(sender), 1_000_000_000n - 150_000_000n - 10_000n);
+    assert.equal(await generator.getBalance(RECEIVER_ACCOUNT), 150_000_000n);
+    assert.deepEqual(events, ['preflight', 'signed', 'submitted', 'confirmed']);
+  });
+
+  test('returns the plan without submitting on a dry run', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+
+    const plan = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', null, { dryRun: true });
+
+    assert.equal(plan.dryRun, true);
+    assert.equal(plan.fee, '10000');
+    assert.equal(plan.balanceAfterE8s, (1_000_000_000n - 100_010_000n).toString());
+    assert.equal(await ledger.chainLength(), 1n);
+  });
+
+  test('refuses a transfer the balance cannot cover before submitting it', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+    const events = recordEvents(generator);
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '10'),
+      error => error.preflight === true && /Insufficient balance/.test(error.message)
+    );
+    assert.equal(await ledger.chainLength(), 1n);
+    assert.deepEqual(events, ['failed:preflight']);
+  });
+
+  test('reports BadFee when the ledger fee changes after the preflight', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+    generator.once('preflight', () => { ledger.fee = 20_000n; });
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '1'),
+      error => error.variant === 'BadFee' && error.message === 'Transfer failed: Bad fee. Expected: 20000'
+    );
+  });
+
+  test('reports InsufficientFunds when the balance drops after the preflight', async () => {
+    const { generator, ledger, sender } = await setupGenerator({ key: SENDER_KEY });
+    generator.once('preflight', () => ledger.balances.set(sender, 5n));
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '1'),
+      error => error.variant === 'InsufficientFunds' && /Balance: 5$/.test(error.message)
+    );
+  });
+
+  test('reports TxTooOld for a created_at_time outside the dedup window', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '1', { createdAt: new Date(Date.now() - 25 * HOUR_MS) }),
+      error => error.variant === 'TxTooOld' && error.message === 'Transfer failed: Transaction too old'
+    );
+  });
+
+  test('reports TxCreatedInFuture for a created_at_time ahead of the ledger clock', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '1', { createdAt: new Date(Date.now() + HOUR_MS) }),
+      error => error.variant === 'TxCreatedInFuture'
+    );
+  });
+
+  test('returns the original block when the same transfer is sent again', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+    const first = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '7');
+
+    const again = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '7', { createdAt: first.createdAt });
+
+    assert.equal(again.duplicate, true);
+    assert.equal(again.blockIndex, first.blockIndex);
+    assert.equal(again.transactionHash, first.transactionHash);
+    assert.equal(await generator.getBalance(RECEIVER_ACCOUNT), 100_000_000n);
+  });
+
+  test('retries a network error with the same transfer', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+    ledger.failNextTransfer();
+
+    const result = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1');
+
+    assert.equal(result.attempts, 2);
+    assert.equal(result.duplicate, false);
+    assert.equal(await ledger.chainLength(), 2n);
+  });
+
+  test('pays once when the reply of a successful transfer is lost', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+    ledger.failNextTransfer(new Error('Request timed out'), { afterApply: true });
+
+    const result = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1');
+
+    assert.equal(result.attempts, 2);
+    assert.equal(result.duplicate, true);
+    assert.equal(result.blockIndex, '1');
+    assert.equal(await generator.getBalance(RECEIVER_ACCOUNT), 100_000_000n);
+  });
+
+  test('reports memo and created_at_time when retries run out', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+    const events = recordEvents(generator);
+    ledger.failNextTransfer(new Error('Connection refused'));
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '5', { retries: 0 }),
+      error => error.memo === '5' && /created_at_time \d+; resend with both/.test(error.message)
+    );
+    assert.deepEqual(events, ['preflight', 'signed', 'failed:submit']);
+  });
+
+  test('fails verification when the block does not match the transfer', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+    const events = recordEvents(generator);
+    generator.once('submitted', ({ blockIndex }) => {
+      ledger.blocks[Number(blockIndex)].transaction.memo = 999n;
+    });
+
+    await assert.rejects(
+      generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '5'),
+      error => error.verification === true && error.blockIndex === '1' && /memo is 999, expected 5/.test(error.message)
+    );
+    assert.deepEqual(events, ['preflight', 'signed', 'submitted', 'failed:verify']);
+  });
+
+  test('skips verification with verify: false', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+
+    const result = await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', null, { verify: false });
+
+    assert.equal(result.verified, false);
+    assert.equal(result.transactionHash, null);
+  });
+});
+
+describe('offline signing', () => {
+  test('broadcasts a signed transfer to the ledger and verifies it', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+    const signed = await generator.signTransferOffline(SENDER_KEY, RECEIVER, '2', '11');
+
+    const result = await generator.broadcastSignedTransfer(signed);
+
+    assert.equal(result.verified, true);
+    assert.equal(result.memo, '11');
+    assert.equal(await generator.getBalance(RECEIVER_ACCOUNT), 200_000_000n);
+  });
+
+  test('refuses a file whose descriptive fields disagree with the signed call', async () => {
+    const { generator, ledger } = await setupGenerator({ key: SENDER_KEY });
+    const signed = await generator.signTransferOffline(SENDER_KEY, RECEIVER, '2', '11');
+
+    await assert.rejects(
+      generator.broadcastSignedTransfer({ ...signed, amount: '0.02', amountE8s: '2000000', memo: '12' }, { verify: false }),
+      /does not match its signed call \(amountE8s, memo, amount\)/
+    );
+    assert.equal(await ledger.chainLength(), 1n);
+  });
+
+  test('posts the signed call with the fetch it is given', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+    const signed = await generator.signTransferOffline(SENDER_KEY, RECEIVER, '2', '11');
+    const urls = [];
+    const fetch = async url => {
+      urls.push(url.toString());
+      return new Response('unavailable', { status: 503 });
+    };
+
+    await assert.rejects(
+      submitSignedCall({ host: new URL('http://127.0.0.1:4943') }, signed, { fetch }),
+      /Replica rejected the signed call \(HTTP 503\): unavailable/
+    );
+    assert.deepEqual(urls, ['http://127.0.0.1:4943/api/v2/canister/ryjl3-tyaaa-aaaaa-aaaba-cai/call']);
+  });
+});
+
+describe('getTransactionHistory', () => {
+  test('lists the transfers of an account in block order', async () => {
+    const { generator, sender } = await setupGenerator({ key: SENDER_KEY });
+    await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '1');
+    await generator.sendTransaction(SENDER_KEY, RECEIVER, '2', '2');
+
+    const history = await generator.getTransactionHistory(sender);
+
+    assert.deepEqual(history.entries.map(entry => [entry.type, entry.direction, entry.amount]), [
+      ['mint', 'in', '10'],
+      ['transfer', 'out', '1'],
+      ['transfer', 'out', '2']
+    ]);
+  });
+});
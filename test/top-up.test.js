@@ -0,0 +1,144 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MockLedger } from '../lib/mock-ledger.js';
+import { setupGenerator } from './helpers.js';
+import { TOP_UP_MEMO, cmcNotifyError, topUpSubaccount } from '../lib/cmc.js';
+
+const SENDER_KEY = '0f'.repeat(32);
+const CANISTER = 'rrkah-fqaaa-aaaaa-aaaaq-cai';
+
+/**
+ * CMC stand-in that mints 10,000 cycles per e8s of the transferred block
+ * @param {MockLedger} ledger - Ledger holding the top-up transfers
+ * @returns {Object} CMC with notifyTopUp(), `calls` and `failures` (errors thrown by the next calls)
+ */
+function mockCmc(ledger) {
+  return {
+    calls: [],
+    failures: [],
+    async notifyTopUp({ blockIndex, canisterId }) {
+      this.calls.push({ blockIndex, canisterId: canisterId.toText() });
+      const failure = this.failures.shift();
+      if (failure) {
+        throw failure;
+      }
+      const [{ block }] = await ledger.readBlocks(blockIndex, blockIndex + 1n);
+      return block.transaction.operation[0].Transfer.amount.e8s * 10_000n;
+    }
+  };
+}
+
+/**
+ * Generator with a top-up state file, connected to a mock ledger that holds 10 ICP for the sender
+ * @param {string} topUpStateFile - Top-up state path (default: none)
+ * @param {MockLedger} ledger - Ledger (default: a new one); a ledger with blocks gets no new funds
+ * @returns {Promise<Object>} { generator, ledger, cmc }
+ */
+async function setup(topUpStateFile = null, ledger = new MockLedger()) {
+  const cmc = mockCmc(ledger);
+  const balance = await ledger.chainLength() === 0n ? 1_000_000_000n : 0n;
+  const { generator } = await setupGenerator({ key: SENDER_KEY, ledger, balance, cmcBackend: cmc, topUpStateFile });
+  return { generator, ledger, cmc };
+}
+
+describe('topUpCanister', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'icp-top-up-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('derives the CMC subaccount from the canister id', () => {
+    const subaccount = topUpSubaccount(CANISTER);
+
+    assert.deepEqual([...subaccount.subarray(0, 12)], [10, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 0]);
+    assert.equal(subaccount.length, 32);
+  });
+
+  test('pays the CMC subaccount with the top-up memo and returns the minted cycles', async () => {
+    const { generator, ledger, cmc } = await setup();
+
+    const result = await generator.topUpCanister(SENDER_KEY, CANISTER, '0.5');
+    const [{ block }] = await ledger.readBlocks(BigInt(result.blockIndex), BigInt(result.blockIndex) + 1n);
+
+    assert.equal(result.cycles, '500000000000');
+    assert.equal(result.resumed, false);
+    assert.equal(block.transaction.memo, TOP_UP_MEMO);
+    assert.equal(result.cmcAccountIdentifier, generator.cmcTopUpAccount(CANISTER));
+    assert.deepEqual(cmc.calls, [{ blockIndex: BigInt(result.blockIndex), canisterId: CANISTER }]);
+    assert.equal(generator.topUps.get(CANISTER), null);
+  });
+
+  test('notifies again after an interrupted run instead of paying twice', async () => {
+    const path = join(dir, 'notify.json');
+    const { generator, ledger, cmc } = await setup(path);
+    for (let i = 0; i < 2; i++) {
+      cmc.failures.push(new Error('Connection reset by peer'));
+    }
+
+    await assert.rejects(
+      generator.topUpCanister(SENDER_KEY, CANISTER, '1', { notifyRetries: 1 }),
+      /The ICP was paid in block 1; run the same top-up again/
+    );
+    assert.equal(JSON.parse(readFileSync(path, 'utf8')).topUps[CANISTER].blockIndex, '1');
+
+    const { generator: restarted } = await setup(path, ledger);
+    const result = await restarted.topUpCanister(SENDER_KEY, CANISTER, '1');
+
+    assert.equal(result.resumed, true);
+    assert.equal(result.cycles, '1000000000000');
+    assert.equal(await ledger.chainLength(), 2n);
+    assert.deepEqual(JSON.parse(readFileSync(path, 'utf8')).topUps, {});
+  });
+
+  test('resends a transfer of unknown outcome with the same created_at_time', async () => {
+    const path = join(dir, 'transfer.json');
+    const { generator, ledger } = await setup(path);
+    ledger.failNextTransfer(new Error('Request timed out'), { afterApply: true });
+    for (let i = 0; i < 3; i++) {
+      ledger.failNextTransfer();
+    }
+
+    await assert.rejects(generator.topUpCanister(SENDER_KEY, CANISTER, '1'), /resend with both/);
+    await assert.rejects(
+      generator.topUpCanister(SENDER_KEY, CANISTER, '2'),
+      /interrupted top-up of 1 ICP .* is pending; run it again with that amount/
+    );
+    const result = await generator.topUpCanister(SENDER_KEY, CANISTER, '1');
+
+    assert.equal(result.resumed, true);
+    assert.equal(result.blockIndex, '1');
+    assert.equal(await ledger.chainLength(), 2n);
+  });
+
+  test('forgets a top-up the CMC refunded', async () => {
+    const { generator, cmc } = await setup();
+    cmc.failures.push(cmcNotifyError({ Refunded: { reason: 'Canister not found', block_index: [2n] } }));
+
+    await assert.rejects(
+      generator.topUpCanister(SENDER_KEY, CANISTER, '1'),
+      error => error.notify === 'Refunded' && error.refundBlockIndex === '2' &&
+        /refunded \(Canister not found\), refund in block 2/.test(error.message)
+    );
+    assert.equal(generator.topUps.get(CANISTER), null);
+  });
+
+  test('refuses to resume a top-up from another sender', async () => {
+    const { generator, ledger, cmc } = await setup();
+    const sender = generator.getAccountIdentifier(generator.createIdentityFromPrivateKey(SENDER_KEY));
+    for (let i = 0; i < 2; i++) {
+      cmc.failures.push(new Error('Connection reset by peer'));
+    }
+    await assert.rejects(generator.topUpCanister(SENDER_KEY, CANISTER, '1', { notifyRetries: 1 }), /run the same top-up again/);
+
+    await assert.rejects(
+      generator.topUpCanister('0e'.repeat(32), CANISTER, '1'),
+      new RegExp(`top-up of ${CANISTER} from account ${sender} is pending; run it again from that account`)
+    );
+    const result = await generator.topUpCanister(SENDER_KEY, CANISTER, '1');
+
+    assert.equal(result.resumed, true);
+    assert.equal(await ledger.chainLength(), 2n);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import crypto from 'node:crypto';
+import { AccountIdentifier } from '@dfinity/ledger-icp';
+import { Principal } from '@dfinity/principal';
+import { setupGenerator } from './helpers.js';
+
+const SENDER_KEY = '0c'.repeat(32);
+const RECEIVER = 'rdmx6-jaaaa-aaaaa-aaadq-cai';
+const RECEIVER_ACCOUNT = AccountIdentifier.fromPrincipal({ principal: Principal.fromText(RECEIVER) }).toHex();
+
+describe('watchAccounts', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'icp-watch-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('reports incoming and outgoing transfers added after the start', async () => {
+    const { generator, sender } = await setupGenerator({ key: SENDER_KEY });
+    const watcher = generator.watchAccounts([sender, RECEIVER]);
+    const emitted = [];
+    watcher.on('incoming', event => emitted.push(event));
+    watcher.on('outgoing', event => emitted.push(event));
+
+    assert.deepEqual(await watcher.poll(), []);
+    await generator.sendTransaction(SENDER_KEY, RECEIVER, '1.5', '42');
+    const events = await watcher.poll();
+
+    assert.deepEqual(events.map(event => [event.type, event.account]), [
+      ['outgoing', sender],
+      ['incoming', RECEIVER_ACCOUNT]
+    ]);
+    assert.deepEqual(emitted, events);
+    assert.equal(events[0].id, `1:${sender}:outgoing`);
+    assert.equal(events[0].amount, '1.5');
+    assert.equal(events[0].memo, '42');
+    assert.equal(events[0].counterparty, RECEIVER_ACCOUNT);
+    assert.equal(events[1].counterparty, sender);
+    assert.equal(events[1].network, 'local');
+  });
+
+  test('resumes from the checkpoint without missing or repeating events', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+    const checkpointFile = join(dir, 'resume.json');
+    await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '1');
+
+    const first = generator.watchAccounts([RECEIVER], { checkpointFile, fromBlock: 0 });
+    assert.deepEqual((await first.poll()).map(event => event.memo), ['1']);
+    assert.equal(JSON.parse(readFileSync(checkpointFile, 'utf8')).nextBlock, '2');
+
+    await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '2');
+    // fromBlock only applies without a checkpoint
+    const restarted = generator.watchAccounts([RECEIVER], { checkpointFile, fromBlock: 0 });
+    assert.deepEqual((await restarted.poll()).map(event => event.memo), ['2']);
+    assert.deepEqual(await restarted.poll(), []);
+  });
+
+  test('posts signed events to the webhook and retries failed deliveries', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+    const received = [];
+    let failures = 1;
+    const server = createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        if (failures-- > 0) {
+          response.writeHead(503).end();
+          return;
+        }
+        received.push({ body, signature: request.headers['x-signature'] });
+        response.writeHead(204).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const watcher = generator.watchAccounts([RECEIVER], {
+        webhookUrl: `http://127.0.0.1:${server.address().port}/events`,
+        webhookSecret: 'secret',
+        webhookRetries: 1
+      });
+      await watcher.poll();
+      await generator.sendTransaction(SENDER_KEY, RECEIVER, '1', '9');
+      await watcher.poll();
+    } finally {
+      server.close();
+    }
+
+    assert.equal(received.length, 1);
+    assert.equal(JSON.parse(received[0].body).memo, '9');
+    const expected = crypto.createHmac('sha256', 'secret').update(received[0].body).digest('hex');
+    assert.equal(received[0].signature, `sha256=${expected}`);
+  });
+
+  test('keeps the block for the next poll when the webhook is unreachable', async () => {
+    const { generator } = await setupGenerator({ key: SENDER_KEY });
+    const checkpointFile = join(dir, 'unreachable.json');
+    const watcher = generator.watchAccounts([RECEIVER], {
+      checkpointFile,
+      webhookUrl: 'http://127.0.0.1:9/events',
+      webhookRetries: 0
+    });
+    await watcher.poll();
+    await generator.sendTransaction(SENDER_KEY, RECEIVER, '1');
+
+    await assert.rejects(watcher.poll(), /Webhook delivery of 1:[0-9a-f]{64}:incoming failed/);
+    assert.equal(watcher.nextBlock, 1n);
+    assert.equal(JSON.parse(readFileSync(checkpointFile, 'utf8')).nextBlock, '1');
+  });
+});
@@ -1,40 +1,151 @@
+import { EventEmitter } from 'events';
 import { HttpAgent, Actor } from '@dfinity/agent';
-import { Secp256k1KeyIdentity } from '@dfinity/identity-secp256k1';
 import { Principal } from '@dfinity/principal';
+import { IDL } from '@dfinity/candid';
 import { createInterface } from 'readline/promises';
-import { LedgerCanister, AccountIdentifier } from '@dfinity/ledger-icp';
-import crypto from 'crypto';
+import { AccountIdentifier, SubAccount } from '@dfinity/ledger-icp';
+import { parseSubaccount, encodeIcrcAccount, decodeIcrcAccount, bytesToHex, verifyAccountIdentifier } from './lib/account.js';
+import {
+  ICP_TRANSFER_FEE,
+  ICP_DEDUP_WINDOW_MS,
+  ICP_MAX_MEMO,
+  TransferArgs
+} from './lib/icp-ledger.js';
+import { signCall, decodeSignedCall, MAX_INGRESS_EXPIRY_MS } from './lib/offline.js';
+import { IcrcLedger, encodeIcrcMemo } from './lib/icrc-ledger.js';
+import { parseTokenAmount, formatTokenAmount, parseIcpAmount, formatIcp } from './lib/amount.js';
+import { runBatch, loadBatchFile } from './lib/batch.js';
+import { runLoadTest } from './lib/load-test.js';
+import { Keystore, isWalletName } from './lib/keystore.js';
+import { DEFAULT_CURVE, parsePrivateKey, identityFromSecretKey, generateIdentity, formatPrivateKey } from './lib/identity.js';
+import { generateMnemonic, normalizeMnemonic, deriveSecretKey, derivationPath } from './lib/mnemonic.js';
+import { toHistoryEntry, historyToCsv } from './lib/history.js';
+import { IcpLedgerBackend } from './lib/ledger-backend.js';
+import { AccountWatcher } from './lib/watch.js';
+import { SpendingPolicy, loadPolicyFile } from './lib/policy.js';
+import { AddressBook, defaultAddressBookPath } from './lib/address-book.js';
+import { CyclesMintingCanister, TopUpState, TOP_UP_MEMO, defaultTopUpStateFile, topUpSubaccount } from './lib/cmc.js';
+import {
+  GovernanceBackend,
+  NEURON_MINIMUM_STAKE_E8S,
+  MAX_DISSOLVE_DELAY_SECONDS,
+  neuronStakeSubaccount,
+  randomNeuronNonce
+} from './lib/governance.js';
+import { resolveNetwork, listNetworks, fetchWithTimeout } from './lib/network.js';
+import { mapWithConcurrency } from './lib/pool.js';
+import { transactionHash, blockHash } from './lib/transaction-hash.js';
+import { normalizeLogger, createConsoleLogger } from './lib/logger.js';
 
-export class ICPTransactionGenerator {
-  constructor(network = 'mainnet') {
-    this.network = network;
+/**
+ * Error for a transfer refused before submission; nothing was sent
+ * @param {string} reason - Failed check
+ * @returns {Error} Error with `preflight: true`
+ */
+function preflightError(reason) {
+  const error = new Error(`Preflight failed: ${reason}`);
+  error.preflight = true;
+  return error;
+}
+
+/**
+ * Error for a submitted transfer whose ledger block could not be confirmed
+ * The transfer is in the ledger at `blockIndex`, so it must not simply be sent again.
+ * @param {bigint|string} blockIndex - Block index returned by the ledger
+ * @param {string} reason - Failed check
+ * @returns {Error} Error with `verification: true` and `blockIndex`
+ */
+function verificationError(blockIndex, reason) {
+  const error = new Error(`Verification of block ${blockIndex} failed: ${reason}`);
+  error.verification = true;
+  error.blockIndex = blockIndex.toString();
+  return error;
+}
+
+/**
+ * Builds, sends and verifies ICP transfers
+ * Transfers emit 'preflight', 'signed', 'submitted', 'confirmed' and 'failed' events.
+ */
+export class ICPTransactionGenerator extends EventEmitter {
+  /**
+   * @param {string} network - Network profile: 'mainnet', 'local' or a name from the config file
+   *   (default: $ICP_NETWORK, the config defaultNetwork, or 'mainnet')
+   * @param {Object} options - Optional keystoreDir, passphraseProvider (async (walletName) => passphrase),
+   *   configFile (network profiles, see lib/network.js), networkOverrides (profile fields),
+   *   logger (object with debug, info, warn and error methods; default: silent),
+   *   ledgerBackend (ICP ledger used instead of the network, e.g. a MockLedger; see lib/ledger-backend.js)
+   *   policy (spending rules, see lib/policy.js) or policyFile (JSON file with the rules)
+   *   addressBookFile (contacts and paid destinations, see lib/address-book.js; default: kept in memory),
+   *   topUpStateFile (unfinished cycles top-ups, see lib/cmc.js; default: kept in memory)
+   *   cmcBackend (Cycles Minting Canister used instead of the network, with notifyTopUp()),
+   *   governanceBackend (NNS governance used instead of the network, see lib/governance.js)
+   *   and agentCacheSize (authenticated agents kept for reuse, default: 32)
+   */
+  constructor(network = null, options = {}) {
+    super();
+    this.logger = normalizeLogger(options.logger);
+    this.networkProfile = resolveNetwork(network, {
+      configFile: options.configFile,
+      overrides: options.networkOverrides
+    });
+    this.network = this.networkProfile.name;
+    this.ledgerCanisterId = this.networkProfile.ledgerCanisterId;
     this.agent = null;
     this.ledger = null;
+    // One fetch for all agents, so HTTP connections to the host are kept alive and reused
+    this.fetch = fetchWithTimeout(this.networkProfile.requestTimeoutMs);
+    this.rootKeyPromise = null;
+    this.agents = new Map();
+    this.agentCacheSize = options.agentCacheSize ?? 32;
+    this.icrcLedgers = new WeakMap();
+    this.ledgerBackend = options.ledgerBackend ?? null;
+    this.keystore = new Keystore(options.keystoreDir);
+    this.passphraseProvider = options.passphraseProvider ?? null;
+    this.unlockedWallets = new Map();
+    this.addressBook = new AddressBook(options.addressBookFile);
+    this.topUps = new TopUpState(options.topUpStateFile);
+    this.cmcBackend = options.cmcBackend ?? null;
+    this.governanceBackend = options.governanceBackend ?? null;
+    const policy = options.policyFile ? loadPolicyFile(options.policyFile) : options.policy;
+    this.policy = policy
+      ? new SpendingPolicy(policy, { parseAddress: address => this.parseReceiverAddress(address) })
+      : null;
   }
 
-  async init() {
+  /**
+   * Emit a transfer event; a throwing listener is logged and never fails the transfer
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emitEvent(event, payload) {
     try {
-      const host = this.network === 'mainnet' 
-        ? 'https://ic0.app' 
-        : 'http://127.0.0.1:4943';
+      this.emit(event, payload);
+    } catch (error) {
+      this.logger.warn(`Listener for "${event}" failed`, { error: error.message });
+    }
+  }
 
-      this.agent = new HttpAgent({ host });
-      
-      if (this.network === 'local') {
-        await this.agent.fetchRootKey();
-      }
+  async init() {
+    if (this.ledgerBackend) {
+      // An injected backend needs no agent; ICRC ledgers stay unavailable
+      this.ledger = this.ledgerBackend;
+      return;
+    }
 
-      const ledgerCanisterId = Principal.fromText('ryjl3-tyaaa-aaaaa-aaaba-cai');
-      
-      this.ledger = LedgerCanister.create({
+    try {
+      this.agent = await this.createAgent();
+
+      this.ledger = IcpLedgerBackend.create({
         agent: this.agent,
-        canisterId: ledgerCanisterId
+        canisterId: this.ledgerCanisterId,
+        createAgent: identity => this.createAuthenticatedAgent(identity),
+        fetch: this.fetch
       });
 
     } catch (error) {
-      if (this.network === 'local' && (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED'))) {
+      if (this.networkProfile.fetchRootKey && (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED'))) {
         throw new Error(
-          `Cannot connect to local IC environment. Please ensure the local IC environment is running:\n\n` +
+          `Cannot connect to local IC environment at ${this.networkProfile.host}. Please ensure the local IC environment is running:\n\n` +
           `1. Install dfx: sh -ci "$(curl -fsSL https://internetcomputer.org/install.sh)"\n` +
           `2. Start local environment: dfx start --clean --background\n` +
           `3. Deploy ICP ledger: dfx ledger fabricate-cycles --icp 1000\n\n` +
@@ -46,443 +157,3493 @@ export class ICPTransactionGenerator {
   }
 
   /**
-   * @param {string} privateKeyHex - Private key in hex format (64 characters for secp256k1)
-   * @returns {Secp256k1KeyIdentity} Identity object
+   * Create a signing identity from a private key
+   * @param {string} privateKey - PEM (SEC1 or PKCS#8, as written by `dfx identity export`),
+   *   "<curve>:<hex>" or 64 hex characters
+   * @param {string} curve - Curve of plain hex keys: 'secp256k1' (default) or 'ed25519'
+   * @returns {Secp256k1KeyIdentity|Ed25519KeyIdentity} Identity object
+   */
+  createIdentityFromPrivateKey(privateKey, curve = DEFAULT_CURVE) {
+    const key = parsePrivateKey(privateKey, curve);
+
+    try {
+      return identityFromSecretKey(key);
+    } catch (error) {
+      throw new Error(`Failed to create ${key.curve} identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encrypt a private key with a passphrase and store it in the keystore
+   * @param {string} name - Wallet name
+   * @param {string} privateKeyHex - Private key (PEM, "<curve>:<hex>" or secp256k1 hex)
+   * @param {string} passphrase - Passphrase used to encrypt the key
+   * @param {Object} options - Optional overwrite flag and derivationPath to record
+   * @returns {Object} Wallet metadata ({ name, principal, accountIdentifier, createdAt })
+   */
+  saveWallet(name, privateKeyHex, passphrase, options = {}) {
+    const key = parsePrivateKey(privateKeyHex);
+    const identity = identityFromSecretKey(key);
+    return this.keystore.save(name, bytesToHex(key.secretKey), passphrase, {
+      curve: key.curve,
+      principal: identity.getPrincipal().toString(),
+      accountIdentifier: this.getAccountIdentifier(identity),
+      derivationPath: options.derivationPath
+    }, options);
+  }
+
+  /**
+   * Generate a new key and store it in the keystore
+   * @param {string} name - Wallet name
+   * @param {string} passphrase - Passphrase used to encrypt the key
+   * @param {string} curve - 'secp256k1' (default) or 'ed25519'
+   * @returns {Object} Wallet metadata; the private key is never returned
+   */
+  createWallet(name, passphrase, curve = DEFAULT_CURVE) {
+    const keyPair = this.generateKeyPair(curve);
+    return this.saveWallet(name, keyPair.privateKey, passphrase);
+  }
+
+  /**
+   * Derive a key from a mnemonic and store it in the keystore
+   * The mnemonic itself is not stored; the derivation path is recorded with the wallet.
+   * @param {string} name - Wallet name
+   * @param {string} mnemonic - BIP39 mnemonic
+   * @param {string} passphrase - Passphrase used to encrypt the key
+   * @param {Object} options - Optional index (default: 0), BIP39 password and overwrite flag
+   * @returns {Object} Wallet metadata
+   */
+  restoreWallet(name, mnemonic, passphrase, options = {}) {
+    const { index = 0, password = '', ...saveOptions } = options;
+    const keyPair = this.deriveKeyPair(mnemonic, index, password);
+    return this.saveWallet(name, keyPair.privateKey, passphrase, { ...saveOptions, derivationPath: keyPair.path });
+  }
+
+  /**
+   * Decrypt a wallet and keep its key in memory for later calls
+   * @param {string} name - Wallet name
+   * @param {string} passphrase - Wallet passphrase
+   * @returns {string} Private key hex
+   */
+  unlockWallet(name, passphrase) {
+    const wallet = this.keystore.get(name);
+    const privateKeyHex = formatPrivateKey(parsePrivateKey(this.keystore.unlock(name, passphrase), wallet.curve));
+
+    if (this.createIdentityFromPrivateKey(privateKeyHex).getPrincipal().toString() !== wallet.principal) {
+      throw new Error(`Wallet "${name}" does not match its recorded principal`);
+    }
+
+    this.unlockedWallets.set(name, privateKeyHex);
+    return privateKeyHex;
+  }
+
+  /**
+   * Forget all unlocked wallet keys
+   */
+  lockWallets() {
+    this.unlockedWallets.clear();
+  }
+
+  /**
+   * Resolve a private key or a wallet name to a private key
+   * Locked wallets are unlocked with the passphraseProvider.
+   * @param {string} keyOrWallet - Private key hex or wallet name
+   * @returns {Promise<string>} Private key hex
+   */
+  async resolvePrivateKey(keyOrWallet) {
+    if (!isWalletName(keyOrWallet)) {
+      return keyOrWallet;
+    }
+    if (this.unlockedWallets.has(keyOrWallet)) {
+      return this.unlockedWallets.get(keyOrWallet);
+    }
+    if (!this.keystore.has(keyOrWallet)) {
+      return keyOrWallet;
+    }
+    if (!this.passphraseProvider) {
+      throw new Error(`Wallet "${keyOrWallet}" is locked: call unlockWallet() or set a passphraseProvider`);
+    }
+
+    const passphrase = await this.passphraseProvider(keyOrWallet);
+    return this.unlockWallet(keyOrWallet, passphrase);
+  }
+
+  /**
+   * Validate and parse receiver address
+   * @param {string} receiverAddress - AccountIdentifier, Principal, ICRC-1 textual account (principal-checksum.subaccount)
+   *   or the name of a contact in the address book
+   * @param {number|string|Uint8Array} subaccount - Optional subaccount index or 32-byte hex for Principal addresses
+   * @returns {Object} Object with both Principal and AccountIdentifier for compatibility
+   *   (and `label`, the contact name, when a contact was given)
+   */
+  parseReceiverAddress(receiverAddress, subaccount = null) {
+    if (!receiverAddress || typeof receiverAddress !== 'string') {
+      throw new Error('Receiver address is required and must be a string');
+    }
+
+    const trimmedAddress = receiverAddress.trim();
+    const explicitSubaccount = parseSubaccount(subaccount);
+
+    if (this.addressBook.has(trimmedAddress)) {
+      return this.contactReceiver(this.addressBook.get(trimmedAddress), subaccount);
+    }
+
+    // ICRC-1 textual account with a non-default subaccount
+    if (trimmedAddress.includes('.')) {
+      let account;
+      try {
+        account = decodeIcrcAccount(trimmedAddress);
+      } catch (error) {
+        throw new Error(`Invalid ICRC-1 account format: ${error.message}`);
+      }
+      if (explicitSubaccount) {
+        throw new Error('Subaccount is already part of the ICRC-1 account text');
+      }
+      return this.principalReceiver(account.owner, account.subaccount, 'icrc1Account');
+    }
+
+    // Try Principal format first
+    try {
+      const principal = Principal.fromText(trimmedAddress);
+      return this.principalReceiver(principal, explicitSubaccount, 'principal');
+    } catch (principalError) {
+      // Try AccountIdentifier format (64 hex characters)
+      if (trimmedAddress.length === 64 && /^[0-9a-fA-F]+$/.test(trimmedAddress)) {
+        if (explicitSubaccount) {
+          throw new Error('A subaccount cannot be combined with an AccountIdentifier; it is already part of the hash');
+        }
+
+        try {
+          const accountIdentifier = AccountIdentifier.fromHex(verifyAccountIdentifier(trimmedAddress));
+
+          return {
+            principal: null, // Cannot reliably convert AccountIdentifier back to Principal
+            subaccount: null,
+            accountIdentifier: accountIdentifier,
+            text: accountIdentifier.toHex(),
+            type: 'accountIdentifier'
+          };
+        } catch (accountError) {
+          throw new Error(`Invalid AccountIdentifier format: ${accountError.message}`);
+        }
+      }
+      
+      throw new Error(`Invalid receiver address format. Expected Principal (e.g., "rdmx6-jaaaa-aaaaa-aaadq-cai"), ICRC-1 account (principal-checksum.subaccount) or AccountIdentifier (64 hex characters). Error: ${principalError.message}`);
+    }
+  }
+
+  /**
+   * Parse the address of a contact
+   * The stored account identifier is checked again, so an edited address book file cannot
+   * silently redirect transfers.
+   * @param {Object} contact - Contact from the address book
+   * @param {number|string|Uint8Array} subaccount - Optional subaccount, for a Principal contact
+   * @returns {Object} Parsed address with `label`
+   */
+  contactReceiver(contact, subaccount) {
+    const stored = this.parseReceiverAddress(contact.address);
+    if (stored.accountIdentifier.toHex() !== contact.accountIdentifier) {
+      throw new Error(`Contact "${contact.name}" is corrupted: ${contact.address} does not match its account identifier ${contact.accountIdentifier}`);
+    }
+    const parsed = subaccount === null || subaccount === undefined
+      ? stored
+      : this.parseReceiverAddress(contact.address, subaccount);
+    return { ...parsed, label: contact.name };
+  }
+
+  /**
+   * Store a labeled receiver address in the address book
+   * @param {string} name - Contact name
+   * @param {string} address - Principal, ICRC-1 account or AccountIdentifier
+   * @param {Object} options - Optional subaccount (for a Principal), note and overwrite (default: false)
+   * @returns {Object} Stored contact
+   */
+  addContact(name, address, options = {}) {
+    // A name that is also an address would make that address unreachable
+    let isAddress = /^[0-9a-fA-F]{64}$/.test(name ?? '');
+    try {
+      Principal.fromText(name);
+      isAddress = true;
+    } catch {
+      // Not a Principal
+    }
+    if (isAddress) {
+      throw new Error(`Contact name "${name}" is itself a valid address`);
+    }
+    if (typeof address === 'string' && this.addressBook.has(address.trim())) {
+      throw new Error('A contact address cannot be another contact');
+    }
+    const receiver = this.parseReceiverAddress(address, options.subaccount);
+    return this.addressBook.add(name, {
+      address: receiver.text,
+      accountIdentifier: receiver.accountIdentifier.toHex(),
+      type: receiver.type,
+      note: options.note ?? null
+    }, { overwrite: options.overwrite });
+  }
+
+  /**
+   * Check whether a destination was paid before from this address book
+   * A destination that was never paid is logged as a warning, since a mistyped but valid
+   * address would be one.
+   * @param {Object} receiver - Parsed receiver address
+   * @returns {boolean} True when the destination was never paid
+   */
+  isNewDestination(receiver) {
+    const accountIdentifier = receiver.accountIdentifier.toHex();
+    if (this.addressBook.payee(this.network, accountIdentifier)) {
+      return false;
+    }
+    this.logger.warn(`${receiver.label ?? receiver.text} has never been paid before; check the address`, {
+      accountIdentifier
+    });
+    return true;
+  }
+
+  /**
+   * Record a paid destination; failing to write the address book never fails the transfer
+   * @param {string} accountIdentifier - Receiver account identifier hex
+   */
+  recordPayee(accountIdentifier) {
+    try {
+      this.addressBook.recordPayment(this.network, accountIdentifier);
+    } catch (error) {
+      this.logger.warn('Could not record the destination in the address book', { error: error.message });
+    }
+  }
+
+  /**
+   * Build a parsed address for a Principal and optional subaccount
+   * @param {Principal} principal - Account owner
+   * @param {Uint8Array|null} subaccount - 32-byte subaccount
+   * @param {string} type - Address type reported to callers
+   * @returns {Object} Parsed address
+   */
+  principalReceiver(principal, subaccount, type) {
+    // Convert Principal to AccountIdentifier for legacy compatibility
+    const accountIdentifier = AccountIdentifier.fromPrincipal({
+      principal: principal,
+      subAccount: subaccount ? SubAccount.fromBytes(subaccount) : undefined
+    });
+
+    return {
+      principal: principal,
+      subaccount: subaccount,
+      accountIdentifier: accountIdentifier,
+      text: encodeIcrcAccount({ owner: principal, subaccount }),
+      type: type
+    };
+  }
+
+  /**
+   * Convert ICP amount to e8s (smallest unit) without floating point
+   * @param {bigint|number|string} amount - Amount in ICP ("1.5"), or raw e8s as a bigint or "<n>e8s" string
+   * @returns {bigint} Amount in e8s
+   */
+  icpToE8s(amount) {
+    return parseIcpAmount(amount);
+  }
+
+  /**
+   * Get account balance
+   * @param {string} accountIdentifier - Account identifier hex string, a wallet name (no passphrase needed)
+   *   or a contact name
+   * @returns {Promise<bigint>} Balance in e8s
+   */
+  async getBalance(accountIdentifier) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+
+    let accountHex = accountIdentifier;
+    if (this.keystore.has(accountIdentifier) && !/^[0-9a-fA-F]{64}$/.test(accountIdentifier)) {
+      accountHex = this.keystore.get(accountIdentifier).accountIdentifier;
+    } else if (this.addressBook.has(accountIdentifier)) {
+      accountHex = this.parseReceiverAddress(accountIdentifier).accountIdentifier.toHex();
+    }
+    const account = AccountIdentifier.fromHex(verifyAccountIdentifier(accountHex));
+    return await this.ledger.accountBalance({ accountIdentifier: account });
+  }
+
+  /**
+   * Get the balances of many accounts, with at most `concurrency` ledger queries in flight
+   * An account that cannot be read gets an error instead of failing the others.
+   * @param {Array<string>} accounts - Account identifiers, wallet names or contact names (see getBalance())
+   * @param {Object} options - Optional concurrency (default: 8)
+   * @returns {Promise<Array<Object>>} { account, balanceE8s } or { account, error } per account, in order
+   */
+  async getBalances(accounts, options = {}) {
+    return await mapWithConcurrency(accounts, options.concurrency ?? 8, async account => {
+      try {
+        return { account, balanceE8s: await this.getBalance(account) };
+      } catch (error) {
+        return { account, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Account identifier (hex) of a wallet name, Principal or AccountIdentifier
+   * @param {string} account - Principal, AccountIdentifier or wallet name
+   * @param {string|number} subaccount - Optional subaccount, for a Principal
+   * @returns {string} Account identifier hex
+   */
+  resolveAccountIdentifier(account, subaccount) {
+    return this.keystore.has(account) && !/^[0-9a-fA-F]{64}$/.test(account)
+      ? this.keystore.get(account).accountIdentifier
+      : this.parseReceiverAddress(account, subaccount).accountIdentifier.toHex();
+  }
+
+  /**
+   * Read the ICP transactions of an account from the ledger blocks
+   * Blocks are fetched with query_blocks, following the archive canisters for older ranges.
+   * Scanning the whole chain is slow, so by default only the latest maxBlocks blocks are read.
+   * @param {string} account - Principal, AccountIdentifier or wallet name
+   * @param {Object} options - Optional subaccount (for a Principal), fromBlock, toBlock (exclusive,
+   *   default: chain length) and maxBlocks (default: 10000, used when fromBlock is not given)
+   * @returns {Promise<Object>} { accountIdentifier, fromBlock, toBlock, chainLength, entries } with
+   *   transfer, mint, burn and approve entries in block order
+   */
+  async getTransactionHistory(account, options = {}) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+
+    const accountIdentifier = this.resolveAccountIdentifier(account, options.subaccount);
+
+    const reader = this.ledger.blockReader();
+    const chainLength = await reader.chainLength();
+    const maxBlocks = BigInt(options.maxBlocks ?? 10_000);
+    const toBlock = options.toBlock === undefined ? chainLength : BigInt(options.toBlock);
+    const fromBlock = options.fromBlock === undefined
+      ? (toBlock > maxBlocks ? toBlock - maxBlocks : 0n)
+      : BigInt(options.fromBlock);
+    if (fromBlock < 0n || toBlock < fromBlock) {
+      throw new Error(`Invalid block range ${fromBlock}-${toBlock}`);
+    }
+
+    this.logger.info(`Scanning blocks ${fromBlock}-${toBlock} of ${chainLength}`, { accountIdentifier });
+    const blocks = await reader.readBlocks(fromBlock, toBlock < chainLength ? toBlock : chainLength);
+    const entries = blocks
+      .map(({ index, block }) => toHistoryEntry(index, block, accountIdentifier))
+      .filter(Boolean);
+
+    return {
+      accountIdentifier,
+      fromBlock: fromBlock.toString(),
+      toBlock: toBlock.toString(),
+      chainLength: chainLength.toString(),
+      entries
+    };
+  }
+
+  /**
+   * Format history entries as CSV
+   * @param {Array<Object>} entries - Entries returned by getTransactionHistory()
+   * @returns {string} CSV text with a header line
+   */
+  historyToCsv(entries) {
+    return historyToCsv(entries);
+  }
+
+  /**
+   * Follow new ledger blocks and report the transfers of a set of accounts
+   * Call start() on the returned watcher to poll until stop(), or poll() for a single pass.
+   * @param {Array<string>} accounts - Principals, AccountIdentifiers or wallet names
+   * @param {Object} options - Optional subaccount (for Principals) and the AccountWatcher options:
+   *   checkpointFile, fromBlock, pollIntervalMs, webhookUrl, webhookSecret and webhookRetries
+   * @returns {AccountWatcher} Watcher emitting 'incoming' and 'outgoing' events
+   */
+  watchAccounts(accounts, options = {}) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+
+    const { subaccount, ...watchOptions } = options;
+    const accountIdentifiers = accounts.map(account => this.resolveAccountIdentifier(account, subaccount));
+    return new AccountWatcher(this.ledger.blockReader(), accountIdentifiers, {
+      network: this.network,
+      logger: this.logger,
+      ...watchOptions
+    });
+  }
+
+  /**
+   * Read one ICP ledger block with its ledger hashes
+   * A query can reach a replica that has not caught up with a just-finished transfer,
+   * so a missing block is read again up to `attempts` times, one second apart.
+   * @param {string|number|bigint} blockIndex - Block index
+   * @param {Object} options - Optional attempts (default: 5)
+   * @returns {Promise<Object>} { blockIndex, block, transactionHash, blockHash } with the Candid block record
+   */
+  async getBlock(blockIndex, options = {}) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+
+    const index = BigInt(blockIndex);
+    const attempts = options.attempts ?? 5;
+    const reader = this.ledger.blockReader();
+
+    for (let attempt = 1; ; attempt++) {
+      const [entry] = await reader.readBlocks(index, index + 1n);
+      const encoded = entry && await reader.readEncodedBlock(index);
+      if (entry && encoded) {
+        return {
+          blockIndex: index.toString(),
+          block: entry.block,
+          transactionHash: transactionHash(encoded),
+          blockHash: blockHash(encoded)
+        };
+      }
+      if (attempt >= attempts) {
+        throw new Error(`Block ${index} not found on the ledger`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  /**
+   * Check that a ledger block records the expected ICP transfer
+   * @param {string|number|bigint} blockIndex - Block index returned by the ledger
+   * @param {Object} expected - from and to (AccountIdentifier hex), amountE8s, feeE8s, memo
+   *   and optional createdAt (nanoseconds), as bigint values
+   * @returns {Promise<Object>} { transactionHash, blockHash, timestamp } of the verified block
+   */
+  async verifyTransfer(blockIndex, expected) {
+    this.logger.debug('Verifying block', { blockIndex: blockIndex.toString() });
+
+    let found;
+    try {
+      found = await this.getBlock(blockIndex);
+    } catch (error) {
+      throw verificationError(blockIndex, `cannot read the block (${error.message}); check it on the ledger before sending again`);
+    }
+
+    const { transaction, timestamp } = found.block;
+    const [operation] = transaction.operation;
+    if (!operation || !('Transfer' in operation)) {
+      const variant = operation ? Object.keys(operation)[0] : 'no operation';
+      throw verificationError(blockIndex, `expected a transfer, found ${variant}`);
+    }
+
+    const { from, to, amount, fee } = operation.Transfer;
+    const checks = [
+      ['sender', bytesToHex(from), expected.from.toLowerCase()],
+      ['receiver', bytesToHex(to), expected.to.toLowerCase()],
+      ['amount', amount.e8s, expected.amountE8s],
+      ['fee', fee.e8s, expected.feeE8s],
+      ['memo', transaction.memo, expected.memo]
+    ];
+    if (expected.createdAt !== undefined) {
+      checks.push(['created_at_time', transaction.created_at_time.timestamp_nanos, expected.createdAt]);
+    }
+
+    const mismatches = checks
+      .filter(([, actual, wanted]) => actual !== wanted)
+      .map(([field, actual, wanted]) => `${field} is ${actual}, expected ${wanted}`);
+    if (mismatches.length > 0) {
+      throw verificationError(blockIndex, mismatches.join('; '));
+    }
+
+    this.logger.info('Block verified', { blockIndex: blockIndex.toString(), transactionHash: found.transactionHash });
+    return {
+      transactionHash: found.transactionHash,
+      blockHash: found.blockHash,
+      timestamp: new Date(Number(timestamp.timestamp_nanos / 1_000_000n)).toISOString()
+    };
+  }
+
+  /**
+   * Get account identifier from identity
+   * @param {SignIdentity} identity - secp256k1 or Ed25519 identity
+   * @param {number|string|Uint8Array} subaccount - Optional subaccount index or 32-byte hex
+   * @returns {string} Account identifier hex string
+   */
+  getAccountIdentifier(identity, subaccount = null) {
+    const principal = identity.getPrincipal();
+    const subaccountBytes = parseSubaccount(subaccount);
+    const accountId = AccountIdentifier.fromPrincipal({
+      principal: principal,
+      subAccount: subaccountBytes ? SubAccount.fromBytes(subaccountBytes) : undefined
+    });
+    return accountId.toHex();
+  }
+
+  /**
+   * Fetch the current ICP transfer fee from the ledger
+   * @returns {Promise<bigint>} Fee in e8s
+   */
+  async getTransferFee() {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+    return await this.ledger.transactionFee();
+  }
+
+  /**
+   * Check an ICP transfer against the ledger without submitting it
+   * The fee is fetched from the ledger and the sender balance must cover the amount plus
+   * that fee. Any check that fails or cannot be completed throws, so a transfer is never
+   * sent on an incomplete check.
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name
+   * @param {string} receiverAddress - Receiver's Principal or AccountIdentifier
+   * @param {number|string} amount - Amount to send in ICP
+   * @param {string|number} memo - Optional memo (default: current timestamp)
+   * @param {Object} options - Same options as sendTransaction()
+   * @returns {Promise<Object>} Transfer plan with the exact arguments that would be submitted
+   */
+  async preflightTransfer(privateKeyHex, receiverAddress, amount, memo = null, options = {}) {
+    return this.transferPlan(await this.prepareTransfer(privateKeyHex, receiverAddress, amount, memo, options));
+  }
+
+  /**
+   * Validate a transfer and resolve everything sendTransaction() submits
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name
+   * @param {string} receiverAddress - Receiver's Principal or AccountIdentifier
+   * @param {number|string} amount - Amount to send in ICP
+   * @param {string|number} memo - Optional memo
+   * @param {Object} options - Options of sendTransaction()
+   * @returns {Promise<Object>} Identity, accounts, amounts, memo and created_at_time of the transfer
+   */
+  async prepareTransfer(privateKeyHex, receiverAddress, amount, memo, options) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+
+    // Create identity and get accounts
+    const senderIdentity = this.createIdentityFromPrivateKey(await this.resolvePrivateKey(privateKeyHex));
+    const fromSubaccount = parseSubaccount(options.fromSubaccount);
+    const senderAccountId = this.getAccountIdentifier(senderIdentity, fromSubaccount);
+    const receiver = this.parseReceiverAddress(receiverAddress, options.toSubaccount);
+    const amountE8s = this.icpToE8s(amount);
+
+    // Memo and created_at_time are fixed once so every retry is the same transfer to the ledger
+    const memoValue = this.resolveMemo(memo);
+    const createdAt = this.resolveCreatedAt(options.createdAt);
+    // A dry run signs nothing, so it needs no confirmation
+    this.policy?.check({
+      sender: senderAccountId,
+      receiver,
+      amountE8s,
+      confirmed: options.confirmed || options.dryRun,
+      memo: memoValue,
+      createdAt
+    });
+    const newDestination = this.isNewDestination(receiver);
+    // Only a stored earlier attempt makes this a resend: it may already be on the ledger,
+    // so only the ledger can tell whether it still needs funds
+    const earlier = options.earlierAttempt;
+    const resend = Boolean(earlier && BigInt(earlier.memo) === memoValue && BigInt(earlier.createdAt) === createdAt) ||
+      Boolean(this.policy?.has({ sender: senderAccountId, receiver: receiver.accountIdentifier.toHex(), amountE8s, memo: memoValue, createdAt }));
+    const retries = options.retries ?? 3;
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error('Retries must be a non-negative integer');
+    }
+
+    this.logger.debug('Preflight', { sender: senderAccountId, receiver: receiver.text, receiverType: receiver.type });
+
+    let transferFee;
+    try {
+      transferFee = await this.getTransferFee();
+    } catch (error) {
+      throw preflightError(`Could not fetch the transfer fee: ${error.message}`);
+    }
+    const totalRequired = amountE8s + transferFee;
+    this.logger.debug('Transfer cost', { amount: formatIcp(amountE8s), fee: formatIcp(transferFee), total: formatIcp(totalRequired) });
+
+    let senderBalance;
+    try {
+      senderBalance = await this.getBalance(senderAccountId);
+    } catch (error) {
+      throw preflightError(`Could not check the balance: ${error.message}`);
+    }
+    if (senderBalance < totalRequired && !resend) {
+      // A resend of an unmarked earlier transfer may fail here because its first attempt already went through
+      throw preflightError(
+        `Insufficient balance. Required: ${totalRequired} e8s, Available: ${senderBalance} e8s` +
+        (options.createdAt ? '. If this resends an earlier transfer, check whether that one was recorded' : '')
+      );
+    }
+    this.logger.debug(resend ? 'Balance check skipped for a resend' : 'Balance check passed', { balanceE8s: senderBalance.toString() });
+
+    return {
+      senderIdentity,
+      senderAccountId,
+      fromSubaccount,
+      receiver,
+      newDestination,
+      amountE8s,
+      transferFee,
+      senderBalance,
+      memoValue,
+      createdAt,
+      retries,
+      resend
+    };
+  }
+
+  /**
+   * Describe a prepared transfer
+   * @param {Object} prepared - Result of prepareTransfer()
+   * @returns {Object} Transfer plan (JSON-serializable)
+   */
+  transferPlan(prepared) {
+    const { senderAccountId, fromSubaccount, receiver, newDestination, amountE8s, transferFee, senderBalance, memoValue, createdAt } = prepared;
+    const totalE8s = amountE8s + transferFee;
+    return {
+      ledgerCanisterId: this.ledgerCanisterId,
+      senderAccount: senderAccountId,
+      senderSubaccount: fromSubaccount ? bytesToHex(fromSubaccount) : null,
+      receiverAccount: receiver.text,
+      receiverAccountIdentifier: receiver.accountIdentifier.toHex(),
+      receiverType: receiver.type,
+      receiverLabel: receiver.label ?? null,
+      newDestination,
+      amount: formatIcp(amountE8s),
+      amountE8s: amountE8s.toString(),
+      fee: transferFee.toString(),
+      total: formatIcp(totalE8s),
+      totalE8s: totalE8s.toString(),
+      balanceE8s: senderBalance.toString(),
+      balanceAfterE8s: (senderBalance - totalE8s).toString(),
+      memo: memoValue.toString(),
+      createdAt: createdAt.toString(),
+      requiresConfirmation: this.policy?.requiresConfirmation(amountE8s) ?? false,
+      // The Candid arguments of the ledger's transfer method
+      transferArgs: {
+        to: receiver.accountIdentifier.toHex(),
+        amount: { e8s: amountE8s.toString() },
+        fee: { e8s: transferFee.toString() },
+        memo: memoValue.toString(),
+        from_subaccount: fromSubaccount ? bytesToHex(fromSubaccount) : null,
+        created_at_time: { timestamp_nanos: createdAt.toString() }
+      },
+      network: this.network
+    };
+  }
+
+  /**
+   * Create and send ICP transaction using LedgerCanister
+   * The transfer is preflighted first (see preflightTransfer()) and refused when a check fails.
+   * Network errors are retried with the same memo and created_at_time, so the
+   * ledger deduplicates them; a TxDuplicate reply is returned as success with the
+   * original block index. Pass the memo and createdAt of an earlier result to safely resend a
+   * transfer whose outcome is unknown. The balance check is skipped only for a resend of a stored
+   * attempt (options.earlierAttempt, or an entry in the spend ledger), and the daily limit only
+   * for a transfer the spend ledger already counts.
+   * Before success is reported, the block is read back from the ledger and checked
+   * against the transfer (see verifyTransfer()).
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name
+   * @param {string} receiverAddress - Receiver's Principal or AccountIdentifier
+   * @param {number|string} amount - Amount to send in ICP
+   * @param {string|number} memo - Optional memo (default: current timestamp)
+   * @param {Object} options - Optional fromSubaccount and toSubaccount (index or 32-byte hex),
+   *   createdAt (Date or nanoseconds, default: now), retries (default: 3), dryRun
+   *   (return the transfer plan without submitting it), verify (default: true), confirmed
+   *   (needed when the spending policy requires a confirmation for the amount) and earlierAttempt
+   *   (the stored { memo, createdAt } of an earlier attempt, e.g. a batch state row or an idempotency record)
+   * @returns {Promise<Object>} Transaction result, or the transfer plan with dryRun: true
+   */
+  async sendTransaction(privateKeyHex, receiverAddress, amount, memo = null, options = {}) {
+    this.logger.info('Starting ICP transfer', { network: this.network });
+
+    let prepared;
+    try {
+      prepared = await this.prepareTransfer(privateKeyHex, receiverAddress, amount, memo, options);
+    } catch (error) {
+      this.emitEvent('failed', { stage: 'preflight', network: this.network, error });
+      throw error;
+    }
+    const plan = this.transferPlan(prepared);
+    this.emitEvent('preflight', plan);
+    if (options.dryRun) {
+      this.logger.info('Dry run: transfer not submitted');
+      return { dryRun: true, ...plan };
+    }
+    const {
+      senderIdentity,
+      senderAccountId,
+      fromSubaccount,
+      receiver,
+      amountE8s,
+      transferFee,
+      memoValue,
+      createdAt,
+      retries
+    } = prepared;
+    const event = {
+      network: this.network,
+      senderAccount: senderAccountId,
+      receiverAccount: receiver.text,
+      amountE8s: amountE8s.toString(),
+      memo: memoValue.toString(),
+      createdAt: createdAt.toString()
+    };
+    
+    // Prepare transfer arguments using LedgerCanister's expected format
+    const transferArgs = {
+      to: receiver.accountIdentifier,
+      amount: amountE8s,
+      fee: transferFee,
+      memo: memoValue,
+      fromSubAccount: fromSubaccount ? Array.from(fromSubaccount) : undefined,
+      createdAt
+    };
+    
+    this.logger.debug('Transfer arguments prepared', {
+      to: receiver.accountIdentifier.toHex(),
+      amountE8s: amountE8s.toString(),
+      feeE8s: transferFee.toString(),
+      memo: memoValue.toString(),
+      fromSubaccount: fromSubaccount ? bytesToHex(fromSubaccount) : null,
+      createdAt: createdAt.toString()
+    });
+    let spendKey;
+    try {
+      spendKey = this.policy?.reserve({
+        sender: senderAccountId,
+        receiver: receiver.accountIdentifier.toHex(),
+        amountE8s,
+        memo: memoValue,
+        createdAt
+      });
+    } catch (error) {
+      this.emitEvent('failed', { ...event, stage: 'preflight', error });
+      throw error;
+    }
+
+    // The ledger backend signs the call with the sender identity as it submits it
+    this.emitEvent('signed', { ...event });
+    
+    let blockIndex;
+    let duplicate = false;
+    let attempt = 0;
+
+    try {
+      for (;;) {
+        attempt++;
+        try {
+          this.logger.debug('Calling ledger.transfer', { attempt });
+          blockIndex = await this.ledger.transfer(senderIdentity, transferArgs);
+          this.logger.info('Transfer submitted', { blockIndex: blockIndex.toString() });
+          break;
+        } catch (error) {
+          // Ledger rejections carry the TransferError variant; anything else is a network error
+          const ledgerError = error.variant ? error : null;
+
+          if (ledgerError?.variant === 'TxDuplicate') {
+            // An earlier attempt (or an earlier call with the same memo and createdAt) already went through
+            blockIndex = ledgerError.details.duplicate_of;
+            duplicate = true;
+            this.logger.info('Transfer already recorded', { blockIndex: blockIndex.toString() });
+            break;
+          }
+          if (ledgerError) {
+            throw ledgerError;
+          }
+          if (attempt > retries || !this.withinDedupWindow(createdAt)) {
+            // The transfer may still have gone through; both values are needed to resend it safely
+            const wrapped = new Error(
+              `LedgerCanister transfer error: ${error.message} ` +
+              `(memo ${memoValue}, created_at_time ${createdAt}; resend with both to avoid paying twice)`
+            );
+            wrapped.memo = memoValue.toString();
+            wrapped.createdAt = createdAt.toString();
+            throw wrapped;
+          }
+
+          // Network errors leave the outcome unknown; resending the same transfer is safe
+          const delayMs = 1000 * 2 ** (attempt - 1);
+          this.logger.warn(`Transfer attempt ${attempt} failed, retrying in ${delayMs} ms`, { error: error.message });
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+      }
+    } catch (error) {
+      // A rejected transfer moved no funds; unless it was too old to tell, it no longer counts
+      if (spendKey && error.variant && error.variant !== 'TxTooOld') {
+        this.policy.release(spendKey);
+      }
+      this.emitEvent('failed', { ...event, stage: 'submit', attempts: attempt, error });
+      throw error;
+    }
+    if (spendKey) {
+      this.policy.settle(spendKey, blockIndex);
+    }
+    this.recordPayee(receiver.accountIdentifier.toHex());
+    this.emitEvent('submitted', { ...event, blockIndex: blockIndex.toString(), duplicate, attempts: attempt });
+
+    let verified = null;
+    if (options.verify !== false) {
+      try {
+        verified = await this.verifyTransfer(blockIndex, {
+          from: senderAccountId,
+          to: receiver.accountIdentifier.toHex(),
+          amountE8s,
+          feeE8s: transferFee,
+          memo: memoValue,
+          createdAt
+        });
+      } catch (error) {
+        this.emitEvent('failed', { ...event, stage: 'verify', blockIndex: blockIndex.toString(), error });
+        throw error;
+      }
+    }
+    const transactionHash = verified?.transactionHash ?? null;
+    
+    const transactionUrl = this.generateTransactionUrl(blockIndex, this.network, transactionHash);
+    
+    const result = {
+      success: true,
+      blockIndex: blockIndex.toString(),
+      transactionHash: transactionHash,
+      blockHash: verified?.blockHash ?? null,
+      verified: Boolean(verified),
+      transactionUrl: transactionUrl,
+      senderAccount: senderAccountId,
+      senderSubaccount: fromSubaccount ? bytesToHex(fromSubaccount) : null,
+      receiverAccount: receiver.text,
+      receiverAccountIdentifier: receiver.accountIdentifier.toHex(),
+      receiverType: receiver.type,
+      receiverLabel: receiver.label ?? null,
+      newDestination: prepared.newDestination,
+      amount: formatIcp(amountE8s),
+      amountE8s: amountE8s.toString(),
+      fee: transferFee.toString(),
+      memo: memoValue.toString(),
+      createdAt: createdAt.toString(),
+      duplicate,
+      attempts: attempt,
+      network: this.network,
+      timestamp: new Date().toISOString(),
+      transferType: 'LedgerCanister'
+    };
+    this.emitEvent('confirmed', result);
+    return result;
+  }
+
+  /**
+   * Resolve the created_at_time of a transfer in nanoseconds since the epoch
+   * The ledger rejects a second transfer with the same arguments and created_at_time
+   * as TxDuplicate, which is what makes retries safe.
+   * @param {Date|bigint|string|number|null} createdAt - Date, or nanoseconds since the epoch (default: now)
+   * @returns {bigint} Timestamp in nanoseconds
+   */
+  resolveCreatedAt(createdAt) {
+    if (createdAt === null || createdAt === undefined || createdAt === '') {
+      return BigInt(Date.now()) * 1_000_000n;
+    }
+    if (createdAt instanceof Date) {
+      if (isNaN(createdAt.getTime())) {
+        throw new Error('Invalid createdAt date');
+      }
+      return BigInt(createdAt.getTime()) * 1_000_000n;
+    }
+    if (!/^\d+$/.test(String(createdAt))) {
+      throw new Error('createdAt must be a Date or nanoseconds since the epoch');
+    }
+    return BigInt(createdAt);
+  }
+
+  /**
+   * Check whether a transfer created at the given time can still be deduplicated by the ledger
+   * @param {bigint} createdAt - created_at_time in nanoseconds
+   * @returns {boolean} True while a resend would be reported as TxDuplicate
+   */
+  withinDedupWindow(createdAt) {
+    // Leave a minute of margin for clock drift between this machine and the ledger
+    const ageMs = Date.now() - Number(createdAt / 1_000_000n);
+    return ageMs < ICP_DEDUP_WINDOW_MS - 60_000;
+  }
+
+  /**
+   * Resolve the memo of a legacy ICP transfer, defaulting to the current timestamp
+   * Memos are 64-bit, so they are parsed as BigInt and never pass through a Number.
+   * Only a missing memo gets the default: memos identify payments, so an invalid one is refused.
+   * @param {string|number|bigint|null} memo - Memo input
+   * @returns {bigint} Memo value
+   */
+  resolveMemo(memo) {
+    const text = typeof memo === 'string' ? memo.trim() : memo;
+    if (text === null || text === undefined || text === '') {
+      const memoValue = BigInt(Date.now());
+      this.logger.debug('No memo provided, using timestamp', { memo: memoValue.toString() });
+      return memoValue;
+    }
+
+    let memoValue = null;
+    if (typeof text === 'string' && /^\d+$/.test(text)) {
+      memoValue = BigInt(text);
+    } else if (typeof text === 'bigint') {
+      memoValue = text;
+    } else if (typeof text === 'number' && Number.isSafeInteger(text)) {
+      memoValue = BigInt(text);
+    }
+    if (memoValue === null || memoValue < 0n || memoValue > ICP_MAX_MEMO) {
+      throw preflightError(`Invalid memo "${memo}": it must be an integer from 0 to ${ICP_MAX_MEMO}`);
+    }
+    return memoValue;
+  }
+
+  /**
+   * Send ICP to many receivers, recording progress in a state file so an
+   * interrupted batch can be resumed without paying anyone twice
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name
+   * @param {Array<Object>} rows - Rows of { row, receiver, amount, memo, subaccount } (see loadBatchFile)
+   * @param {Object} options - Optional stateFile, concurrency, fromSubaccount and onProgress callback
+   * @returns {Promise<Object>} Summary report
+   */
+  async sendBatch(privateKeyHex, rows, options = {}) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+    return await runBatch(this, await this.resolvePrivateKey(privateKeyHex), rows, options);
+  }
+
+  /**
+   * Account identifier of the CMC subaccount that tops up a canister
+   * @param {string} canisterId - Canister to top up
+   * @returns {string} Account identifier hex
+   */
+  cmcTopUpAccount(canisterId) {
+    return AccountIdentifier.fromPrincipal({
+      principal: Principal.fromText(this.networkProfile.cmcCanisterId),
+      subAccount: SubAccount.fromBytes(topUpSubaccount(canisterId))
+    }).toHex();
+  }
+
+  /**
+   * Top up a canister with cycles: send ICP to its CMC subaccount, then have the CMC mint the cycles
+   * The transfer is recorded before it is sent and until the CMC was notified. Running the same
+   * top-up again after an interruption resends the transfer with the same memo and created_at_time,
+   * which the ledger deduplicates, or only notifies the CMC when the ledger already recorded it,
+   * so paid ICP is never stranded.
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name
+   * @param {string} canisterId - Canister to top up
+   * @param {number|string} amount - Amount of ICP to convert into cycles
+   * @param {Object} options - Optional fromSubaccount, confirmed (see sendTransaction()) and notifyRetries (default: 3)
+   * @returns {Promise<Object>} { canisterId, cycles, blockIndex, amount, resumed, ... }
+   */
+  async topUpCanister(privateKeyHex, canisterId, amount, options = {}) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+    let canister;
+    try {
+      canister = Principal.fromText(canisterId.trim()).toText();
+    } catch (error) {
+      throw new Error(`Invalid canister id: ${error.message}`);
+    }
+    const amountE8s = this.icpToE8s(amount);
+    const cmcAccount = this.cmcTopUpAccount(canister);
+    const senderIdentity = this.createIdentityFromPrivateKey(await this.resolvePrivateKey(privateKeyHex));
+    const senderAccount = this.getAccountIdentifier(senderIdentity, parseSubaccount(options.fromSubaccount));
+
+    let pending = this.topUps.get(canister);
+    const resumed = Boolean(pending);
+    if (pending && pending.network !== this.network) {
+      throw new Error(`An interrupted top-up of ${canister} on ${pending.network} is pending; finish it on that network first`);
+    }
+    // Only the same sender account makes a resend that the ledger deduplicates
+    if (pending && pending.senderAccount && pending.senderAccount !== senderAccount) {
+      throw new Error(`An interrupted top-up of ${canister} from account ${pending.senderAccount} is pending; run it again from that account to finish it`);
+    }
+    if (pending && BigInt(pending.amountE8s) !== amountE8s) {
+      throw new Error(`An interrupted top-up of ${formatIcp(pending.amountE8s)} ICP for ${canister} is pending; run it again with that amount to finish it`);
+    }
+    if (pending && !pending.blockIndex && !this.withinDedupWindow(BigInt(pending.createdAt))) {
+      throw new Error(
+        `The interrupted top-up of ${canister} (memo ${pending.memo}, created_at_time ${pending.createdAt}) is past the ledger's ` +
+        `dedup window; look up its block on the ledger and notify the CMC with it`
+      );
+    }
+    if (!pending) {
+      pending = {
+        network: this.network,
+        senderAccount,
+        amountE8s: amountE8s.toString(),
+        memo: TOP_UP_MEMO.toString(),
+        createdAt: this.resolveCreatedAt(null).toString(),
+        blockIndex: null
+      };
+      this.topUps.set(canister, pending);
+    }
+
+    let transfer = null;
+    if (!pending.blockIndex) {
+      this.logger.info(resumed ? 'Resending interrupted top-up transfer' : 'Sending top-up transfer', { canisterId: canister, cmcAccount });
+      try {
+        transfer = await this.sendTransaction(privateKeyHex, cmcAccount, amountE8s, TOP_UP_MEMO, {
+          fromSubaccount: options.fromSubaccount,
+          createdAt: BigInt(pending.createdAt),
+          confirmed: options.confirmed,
+          earlierAttempt: resumed ? pending : null
+        });
+      } catch (error) {
+        // Nothing was paid when the ledger or the preflight refused a first attempt
+        const rejected = (error.variant && error.variant !== 'TxTooOld') || (error.preflight && !resumed);
+        if (rejected) {
+          this.topUps.delete(canister);
+        } else if (error.blockIndex) {
+          this.topUps.set(canister, { ...pending, blockIndex: error.blockIndex });
+        }
+        throw error;
+      }
+      pending = { ...pending, blockIndex: transfer.blockIndex };
+      this.topUps.set(canister, pending);
+    }
+
+    let cycles;
+    try {
+      cycles = await this.notifyTopUp(canister, pending.blockIndex, { retries: options.notifyRetries });
+    } catch (error) {
+      // A refused notification refunds the ICP or can never succeed; anything else is tried again on the next run
+      if (error.notify && error.notify !== 'Processing') {
+        this.topUps.delete(canister);
+        throw error;
+      }
+      throw new Error(
+        `${error.message}. The ICP was paid in block ${pending.blockIndex}; run the same top-up again to notify the CMC`
+      );
+    }
+    this.topUps.delete(canister);
+    this.logger.info('Canister topped up', { canisterId: canister, cycles: cycles.toString() });
+
+    return {
+      success: true,
+      canisterId: canister,
+      cycles: cycles.toString(),
+      blockIndex: pending.blockIndex,
+      amount: formatIcp(amountE8s),
+      amountE8s: amountE8s.toString(),
+      cmcAccountIdentifier: cmcAccount,
+      memo: pending.memo,
+      createdAt: pending.createdAt,
+      transactionUrl: this.generateTransactionUrl(BigInt(pending.blockIndex), this.network, transfer?.transactionHash),
+      resumed,
+      network: this.network,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Ask the CMC to mint the cycles of a top-up transfer
+   * Notifying is idempotent: the CMC answers a block it already processed with the same cycles.
+   * Network errors and a CMC that is still processing the block are retried.
+   * @param {string} canisterId - Canister that was topped up
+   * @param {bigint|string} blockIndex - Ledger block of the transfer to the CMC
+   * @param {Object} options - Optional retries (default: 3)
+   * @returns {Promise<bigint>} Cycles added to the canister
+   */
+  async notifyTopUp(canisterId, blockIndex, options = {}) {
+    if (!this.cmcBackend && !this.agent) {
+      throw new Error('Agent not initialized. Call init() first.');
+    }
+    const cmc = this.cmcBackend ?? CyclesMintingCanister.create({ agent: this.agent, canisterId: this.networkProfile.cmcCanisterId });
+    const retries = options.retries ?? 3;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await cmc.notifyTopUp({ blockIndex: BigInt(blockIndex), canisterId: Principal.fromText(canisterId) });
+      } catch (error) {
+        if ((error.notify && error.notify !== 'Processing') || attempt > retries) {
+          throw error;
+        }
+        const delayMs = 1000 * 2 ** (attempt - 1);
+        this.logger.warn(`Top-up notification attempt ${attempt} failed, retrying in ${delayMs} ms`, { error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * NNS governance backend: the injected one, or the governance canister of the network profile
+   * @returns {Object} Governance backend (see lib/governance.js)
+   */
+  governance() {
+    if (!this.governanceBackend) {
+      if (!this.agent) {
+        throw new Error('Agent not initialized. Call init() first.');
+      }
+      this.governanceBackend = GovernanceBackend.create({
+        canisterId: this.networkProfile.governanceCanisterId,
+        createAgent: identity => this.createAuthenticatedAgent(identity)
+      });
+    }
+    return this.governanceBackend;
+  }
+
+  /**
+   * Account identifier of a governance subaccount, where a neuron's stake is held
+   * @param {Uint8Array} subaccount - Neuron subaccount
+   * @returns {string} Account identifier hex
+   */
+  neuronAccount(subaccount) {
+    return AccountIdentifier.fromPrincipal({
+      principal: Principal.fromText(this.networkProfile.governanceCanisterId),
+      subAccount: SubAccount.fromBytes(subaccount)
+    }).toHex();
+  }
+
+  /**
+   * Describe a neuron from the governance backend
+   * @param {Object} neuron - Neuron from listNeurons() of the backend
+   * @returns {Object} JSON-serializable neuron
+   */
+  describeNeuron(neuron) {
+    return {
+      id: neuron.id.toString(),
+      accountIdentifier: this.neuronAccount(neuron.subaccount),
+      subaccount: bytesToHex(neuron.subaccount),
+      controller: neuron.controller ? neuron.controller.toText() : null,
+      stake: formatIcp(neuron.stakeE8s),
+      stakeE8s: neuron.stakeE8s.toString(),
+      maturityE8s: neuron.maturityE8s.toString(),
+      state: neuron.state,
+      dissolveDelaySeconds: Number(neuron.dissolveDelaySeconds),
+      dissolvesAt: neuron.whenDissolvedTimestampSeconds === null
+        ? null
+        : new Date(Number(neuron.whenDissolvedTimestampSeconds) * 1000).toISOString(),
+      votingPowerE8s: neuron.votingPower === null ? null : neuron.votingPower.toString(),
+      ageSeconds: neuron.ageSeconds === null ? null : Number(neuron.ageSeconds),
+      createdAt: new Date(Number(neuron.createdTimestampSeconds) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Resolve the identity of a private key or wallet for governance calls
+   * @param {string} privateKeyHex - Private key in hex, or a wallet name
+   * @returns {Promise<Object>} { privateKey, identity }
+   */
+  async neuronController(privateKeyHex) {
+    const privateKey = await this.resolvePrivateKey(privateKeyHex);
+    return { privateKey, identity: this.createIdentityFromPrivateKey(privateKey) };
+  }
+
+  /**
+   * Find a neuron the key controls (or is a hotkey of)
+   * @param {SignIdentity} identity - Caller identity
+   * @param {bigint|string} neuronId - Neuron id
+   * @returns {Promise<Object>} Neuron from the governance backend
+   */
+  async findNeuron(identity, neuronId) {
+    const id = BigInt(neuronId);
+    const neuron = (await this.governance().listNeurons(identity)).find(candidate => candidate.id === id);
+    if (!neuron) {
+      throw new Error(`Neuron ${id} is not readable by ${identity.getPrincipal().toText()}`);
+    }
+    return neuron;
+  }
+
+  /**
+   * Stake ICP into a new neuron controlled by the key
+   * The ICP is sent to the governance subaccount derived from the controller and a nonce,
+   * with the nonce as memo, then the neuron is claimed. If the claim fails, the stake stays
+   * in that subaccount; claimNeuron() with the same nonce claims it later.
+   * @param {string} privateKeyHex - Controller's private key in hex, or a wallet name
+   * @param {number|string} amount - Stake in ICP (at least 1)
+   * @param {Object} options - Optional nonce (default: random), dissolveDelaySeconds (set after the claim),
+   *   fromSubaccount, createdAt and confirmed (see sendTransaction())
+   * @returns {Promise<Object>} { neuronId, nonce, blockIndex, accountIdentifier, ... }
+   */
+  async stakeNeuron(privateKeyHex, amount, options = {}) {
+    const { privateKey, identity } = await this.neuronController(privateKeyHex);
+    const controller = identity.getPrincipal();
+    const amountE8s = this.icpToE8s(amount);
+    if (amountE8s < NEURON_MINIMUM_STAKE_E8S) {
+      throw preflightError(`A neuron needs a stake of at least ${formatIcp(NEURON_MINIMUM_STAKE_E8S)} ICP`);
+    }
+    if (options.dissolveDelaySeconds !== undefined) {
+      this.checkDissolveDelay(options.dissolveDelaySeconds);
+    }
+    const nonce = options.nonce === undefined ? randomNeuronNonce() : BigInt(options.nonce);
+    const accountIdentifier = this.neuronAccount(neuronStakeSubaccount(controller, nonce));
+
+    this.logger.info('Staking a new neuron', { controller: controller.toText(), nonce: nonce.toString() });
+    const transfer = await this.sendTransaction(privateKey, accountIdentifier, amountE8s, nonce, {
+      fromSubaccount: options.fromSubaccount,
+      createdAt: options.createdAt,
+      confirmed: options.confirmed
+    });
+
+    let neuronId;
+    try {
+      neuronId = await this.governance().claimNeuron(identity, { controller, memo: nonce });
+    } catch (error) {
+      const wrapped = new Error(
+        `${error.message}. The stake was sent in block ${transfer.blockIndex}; claim the neuron with nonce ${nonce}`
+      );
+      wrapped.blockIndex = transfer.blockIndex;
+      wrapped.nonce = nonce.toString();
+      throw wrapped;
+    }
+    this.logger.info('Neuron claimed', { neuronId: neuronId.toString() });
+    if (options.dissolveDelaySeconds) {
+      await this.governance().configureNeuron(identity, neuronId, {
+        IncreaseDissolveDelay: { additional_dissolve_delay_seconds: options.dissolveDelaySeconds }
+      });
+    }
+
+    return {
+      success: true,
+      neuronId: neuronId.toString(),
+      nonce: nonce.toString(),
+      controller: controller.toText(),
+      blockIndex: transfer.blockIndex,
+      accountIdentifier,
+      amount: formatIcp(amountE8s),
+      amountE8s: amountE8s.toString(),
+      dissolveDelaySeconds: options.dissolveDelaySeconds ?? 0,
+      transactionUrl: transfer.transactionUrl,
+      network: this.network,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Claim a neuron whose stake was sent, e.g. after stakeNeuron() failed to claim it
+   * Claiming is idempotent: an existing neuron is refreshed and its id returned.
+   * @param {string} privateKeyHex - Controller's private key in hex, or a wallet name
+   * @param {bigint|string} nonce - Nonce (memo) of the staking transfer
+   * @returns {Promise<Object>} Neuron (see describeNeuron())
+   */
+  async claimNeuron(privateKeyHex, nonce) {
+    const { identity } = await this.neuronController(privateKeyHex);
+    const neuronId = await this.governance().claimNeuron(identity, { controller: identity.getPrincipal(), memo: BigInt(nonce) });
+    return this.describeNeuron(await this.findNeuron(identity, neuronId));
+  }
+
+  /**
+   * Add ICP to the stake of an existing neuron
+   * The ICP is sent to the neuron's account, then governance is asked to refresh the stake.
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name; the neuron must be readable by it
+   * @param {bigint|string} neuronId - Neuron id
+   * @param {number|string} amount - Amount in ICP
+   * @param {Object} options - Optional fromSubaccount, createdAt and confirmed (see sendTransaction())
+   * @returns {Promise<Object>} { neuronId, blockIndex, amount, neuron } with the refreshed neuron
+   */
+  async topUpNeuron(privateKeyHex, neuronId, amount, options = {}) {
+    const { privateKey, identity } = await this.neuronController(privateKeyHex);
+    const neuron = await this.findNeuron(identity, neuronId);
+    const transfer = await this.sendTransaction(privateKey, this.neuronAccount(neuron.subaccount), amount, null, {
+      fromSubaccount: options.fromSubaccount,
+      createdAt: options.createdAt,
+      confirmed: options.confirmed
+    });
+
+    try {
+      await this.governance().refreshNeuron(identity, neuron.id);
+    } catch (error) {
+      throw new Error(`${error.message}. The ICP was sent in block ${transfer.blockIndex}; the stake is counted once the neuron is refreshed`);
+    }
+    return {
+      success: true,
+      neuronId: neuron.id.toString(),
+      blockIndex: transfer.blockIndex,
+      amount: transfer.amount,
+      amountE8s: transfer.amountE8s,
+      transactionUrl: transfer.transactionUrl,
+      neuron: this.describeNeuron(await this.findNeuron(identity, neuron.id)),
+      network: this.network
+    };
+  }
+
+  /**
+   * Check an additional dissolve delay
+   * @param {number} seconds - Seconds to add
+   */
+  checkDissolveDelay(seconds) {
+    if (!Number.isInteger(seconds) || seconds <= 0 || seconds > MAX_DISSOLVE_DELAY_SECONDS) {
+      throw new Error(`Dissolve delay must be between 1 and ${MAX_DISSOLVE_DELAY_SECONDS} seconds (8 years)`);
+    }
+  }
+
+  /**
+   * Increase the dissolve delay of a neuron; governance caps the result at 8 years
+   * @param {string} privateKeyHex - Controller's private key in hex, or a wallet name
+   * @param {bigint|string} neuronId - Neuron id
+   * @param {number} additionalSeconds - Seconds to add to the dissolve delay
+   * @returns {Promise<Object>} Updated neuron (see describeNeuron())
+   */
+  async increaseDissolveDelay(privateKeyHex, neuronId, additionalSeconds) {
+    this.checkDissolveDelay(additionalSeconds);
+    const { identity } = await this.neuronController(privateKeyHex);
+    await this.governance().configureNeuron(identity, BigInt(neuronId), {
+      IncreaseDissolveDelay: { additional_dissolve_delay_seconds: additionalSeconds }
+    });
+    return this.describeNeuron(await this.findNeuron(identity, neuronId));
+  }
+
+  /**
+   * Start or stop dissolving a neuron
+   * @param {string} privateKeyHex - Controller's private key in hex, or a wallet name
+   * @param {bigint|string} neuronId - Neuron id
+   * @param {boolean} dissolving - True to start dissolving, false to stop
+   * @returns {Promise<Object>} Updated neuron (see describeNeuron())
+   */
+  async setNeuronDissolving(privateKeyHex, neuronId, dissolving) {
+    const { identity } = await this.neuronController(privateKeyHex);
+    await this.governance().configureNeuron(identity, BigInt(neuronId), dissolving ? { StartDissolving: {} } : { StopDissolving: {} });
+    return this.describeNeuron(await this.findNeuron(identity, neuronId));
+  }
+
+  /**
+   * List the neurons the key controls or is a hotkey of
+   * @param {string} privateKeyHex - Private key in hex, or a wallet name
+   * @returns {Promise<Array<Object>>} Neurons (see describeNeuron()), by id
+   */
+  async listNeurons(privateKeyHex) {
+    const { identity } = await this.neuronController(privateKeyHex);
+    const neurons = await this.governance().listNeurons(identity);
+    return neurons
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .map(neuron => this.describeNeuron(neuron));
+  }
+
+  /**
+   * Stress-test a local ledger: fund generated accounts, then send randomized transfers among them
+   * Refused on networks that do not fetch a root key (such as mainnet), unless a ledger backend is set.
+   * @param {string} privateKeyHex - Funder's private key in hex, or a wallet name
+   * @param {Object} options - Options of runLoadTest() (see lib/load-test.js)
+   * @returns {Promise<Object>} Report with throughput, latency percentiles and errors by ledger error variant
+   */
+  async generateLoad(privateKeyHex, options = {}) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+    return await runLoadTest(this, await this.resolvePrivateKey(privateKeyHex), options);
+  }
+
+  /**
+   * Build and sign an ICP ledger transfer without network access
+   * The returned object can be written to a file and submitted later from an
+   * online machine with broadcastSignedTransfer(). It must be broadcast within
+   * the 5 minutes before its ingress expiry.
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name
+   * @param {string} receiverAddress - Receiver's Principal, ICRC-1 account or AccountIdentifier
+   * @param {number|string} amount - Amount to send in ICP
+   * @param {string|number} memo - Optional memo (default: current timestamp)
+   * @param {Object} options - Optional fromSubaccount, toSubaccount, expiresAt (Date, default: now + 5 minutes),
+   *   confirmed (see sendTransaction()) and save (async (signed) => void, e.g. writing the file; when signing
+   *   or saving fails, the transfer stops counting against the daily limit)
+   * @returns {Promise<Object>} JSON-serializable signed transfer
+   */
+  async signTransferOffline(privateKeyHex, receiverAddress, amount, memo = null, options = {}) {
+    const senderIdentity = this.createIdentityFromPrivateKey(await this.resolvePrivateKey(privateKeyHex));
+    const fromSubaccount = parseSubaccount(options.fromSubaccount);
+    const senderAccountId = this.getAccountIdentifier(senderIdentity, fromSubaccount);
+    const receiver = this.parseReceiverAddress(receiverAddress, options.toSubaccount);
+    const amountE8s = this.icpToE8s(amount);
+    const memoValue = this.resolveMemo(memo);
+
+    const expiresAt = options.expiresAt ?? new Date(Date.now() + MAX_INGRESS_EXPIRY_MS);
+    if (isNaN(expiresAt.getTime())) {
+      throw new Error('Invalid expiry date');
+    }
+    const newDestination = this.isNewDestination(receiver);
+    let spendKey;
+    if (this.policy) {
+      // The signed transfer counts from now on: whoever holds it can broadcast it
+      this.policy.check({ sender: senderAccountId, receiver, amountE8s, confirmed: options.confirmed });
+      spendKey = this.policy.reserve({
+        sender: senderAccountId,
+        receiver: receiver.accountIdentifier.toHex(),
+        amountE8s,
+        memo: memoValue,
+        createdAt: BigInt(Date.now()) * 1_000_000n
+      });
+    }
+
+    try {
+      const arg = IDL.encode([TransferArgs], [{
+        to: receiver.accountIdentifier.toUint8Array(),
+        fee: { e8s: ICP_TRANSFER_FEE },
+        memo: memoValue,
+        from_subaccount: fromSubaccount ? [fromSubaccount] : [],
+        created_at_time: [],
+        amount: { e8s: amountE8s }
+      }]);
+
+      const signed = await signCall({
+        identity: senderIdentity,
+        canisterId: this.ledgerCanisterId,
+        methodName: 'transfer',
+        arg,
+        expiresAt
+      });
+      const transfer = {
+        version: 1,
+        network: this.network,
+        ledgerCanisterId: this.ledgerCanisterId,
+        methodName: 'transfer',
+        sender: senderIdentity.getPrincipal().toString(),
+        senderAccount: senderAccountId,
+        senderSubaccount: fromSubaccount ? bytesToHex(fromSubaccount) : null,
+        receiverAccount: receiver.text,
+        receiverAccountIdentifier: receiver.accountIdentifier.toHex(),
+        receiverType: receiver.type,
+        receiverLabel: receiver.label ?? null,
+        newDestination,
+        amount: formatIcp(amountE8s),
+        amountE8s: amountE8s.toString(),
+        fee: ICP_TRANSFER_FEE.toString(),
+        memo: memoValue.toString(),
+        signedAt: new Date().toISOString(),
+        ...signed
+      };
+      await options.save?.(transfer);
+      this.emitEvent('signed', {
+        network: this.network,
+        senderAccount: senderAccountId,
+        receiverAccount: receiver.text,
+        amountE8s: amountE8s.toString(),
+        memo: memoValue.toString(),
+        requestId: signed.requestId
+      });
+      return transfer;
+    } catch (error) {
+      // A transfer that was not signed or saved cannot be broadcast, so it stops counting against the daily limit
+      if (spendKey) {
+        this.policy.release(spendKey);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Decode the transfer that a signed transfer file actually carries
+   * The descriptive fields next to the envelopes are not signed, so they must agree with it.
+   * @param {Object} signed - Signed transfer object
+   * @returns {Object} { senderAccount, senderSubaccount, receiverAccountIdentifier, amountE8s, fee, memo } from the signed call
+   */
+  signedTransferDetails(signed) {
+    const call = decodeSignedCall(signed);
+    if (call.methodName !== 'transfer' || call.canisterId.toText() !== this.ledgerCanisterId) {
+      throw new Error(`Signed call is ${call.methodName} on ${call.canisterId.toText()}, not a transfer on the ledger ${this.ledgerCanisterId}`);
+    }
+    let args;
+    try {
+      [args] = IDL.decode([TransferArgs], call.arg);
+    } catch (error) {
+      throw new Error(`Cannot decode the signed transfer arguments: ${error.message}`);
+    }
+    const [subaccount] = args.from_subaccount;
+    const fromSubaccount = subaccount ? new Uint8Array(subaccount) : null;
+    const details = {
+      senderAccount: AccountIdentifier.fromPrincipal({
+        principal: call.sender,
+        subAccount: fromSubaccount ? SubAccount.fromBytes(fromSubaccount) : undefined
+      }).toHex(),
+      senderSubaccount: fromSubaccount ? bytesToHex(fromSubaccount) : null,
+      receiverAccountIdentifier: bytesToHex(new Uint8Array(args.to)),
+      amountE8s: args.amount.e8s.toString(),
+      fee: args.fee.e8s.toString(),
+      memo: args.memo.toString()
+    };
+
+    let receiverAccount = null;
+    try {
+      receiverAccount = this.parseReceiverAddress(signed.receiverAccount).accountIdentifier.toHex();
+    } catch {
+      // An unparsable receiver is reported as a mismatch below
+    }
+    const mismatches = Object.entries(details)
+      .filter(([field, value]) => String(signed[field] ?? null) !== String(value))
+      .map(([field]) => field);
+    if (signed.sender !== call.sender.toText()) {
+      mismatches.push('sender');
+    }
+    if (receiverAccount !== details.receiverAccountIdentifier) {
+      mismatches.push('receiverAccount');
+    }
+    if (signed.amount !== formatIcp(args.amount.e8s)) {
+      mismatches.push('amount');
+    }
+    if (mismatches.length > 0) {
+      throw new Error(`Signed transfer file does not match its signed call (${mismatches.join(', ')}); the file may have been modified`);
+    }
+    return details;
+  }
+
+  /**
+   * Submit a transfer signed with signTransferOffline() and wait for its block index
+   * The file is checked against the signed call first, and results report what was signed.
+   * The block is then read back and checked against the signed transfer (see verifyTransfer()).
+   * @param {Object} signed - Signed transfer object
+   * @param {Object} options - Optional verify (default: true)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async broadcastSignedTransfer(signed, options = {}) {
+    if (!this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+    if (!signed || signed.version !== 1 || !signed.callEnvelope || !signed.readStateEnvelope) {
+      throw new Error('Invalid signed transfer: expected an object produced by signTransferOffline()');
+    }
+    if (signed.network !== this.network) {
+      throw new Error(`Signed transfer targets ${signed.network}, but the generator is connected to ${this.network}`);
+    }
+    if (signed.ledgerCanisterId !== this.ledgerCanisterId) {
+      throw new Error(`Signed transfer targets ledger ${signed.ledgerCanisterId}, but the ${this.network} ledger is ${this.ledgerCanisterId}`);
+    }
+    const details = this.signedTransferDetails(signed);
+
+    const event = {
+      network: this.network,
+      senderAccount: details.senderAccount,
+      receiverAccount: signed.receiverAccount,
+      amountE8s: details.amountE8s,
+      memo: details.memo,
+      requestId: signed.requestId
+    };
+
+    this.logger.info('Broadcasting signed transfer', { requestId: signed.requestId });
+    let blockIndex;
+    try {
+      blockIndex = await this.ledger.submitSigned(signed);
+    } catch (error) {
+      this.emitEvent('failed', { ...event, stage: 'submit', error });
+      throw error;
+    }
+    this.logger.info('Transfer submitted', { blockIndex: blockIndex.toString() });
+    this.recordPayee(details.receiverAccountIdentifier);
+    this.emitEvent('submitted', { ...event, blockIndex: blockIndex.toString(), duplicate: false, attempts: 1 });
+
+    let verified = null;
+    if (options.verify !== false) {
+      try {
+        verified = await this.verifyTransfer(blockIndex, {
+          from: details.senderAccount,
+          to: details.receiverAccountIdentifier,
+          amountE8s: BigInt(details.amountE8s),
+          feeE8s: BigInt(details.fee),
+          memo: BigInt(details.memo)
+        });
+      } catch (error) {
+        this.emitEvent('failed', { ...event, stage: 'verify', blockIndex: blockIndex.toString(), error });
+        throw error;
+      }
+    }
+
+    const result = {
+      success: true,
+      blockIndex: blockIndex.toString(),
+      transactionHash: verified?.transactionHash ?? null,
+      blockHash: verified?.blockHash ?? null,
+      verified: Boolean(verified),
+      transactionUrl: this.generateTransactionUrl(blockIndex, this.network, verified?.transactionHash),
+      requestId: signed.requestId,
+      senderAccount: details.senderAccount,
+      senderSubaccount: details.senderSubaccount,
+      receiverAccount: signed.receiverAccount,
+      receiverAccountIdentifier: details.receiverAccountIdentifier,
+      receiverType: signed.receiverType,
+      receiverLabel: signed.receiverLabel ?? null,
+      amount: formatIcp(BigInt(details.amountE8s)),
+      amountE8s: details.amountE8s,
+      fee: details.fee,
+      memo: details.memo,
+      network: this.network,
+      timestamp: new Date().toISOString(),
+      transferType: 'OfflineSigned'
+    };
+    this.emitEvent('confirmed', result);
+    return result;
+  }
+
+  /**
+   * Agent that signs calls with the given identity
+   * Agents are cached per network and principal, keeping the agentCacheSize most recently used,
+   * so repeated sends with a key reuse one agent and its ledger clients.
+   * @param {SignIdentity} identity - Identity used to sign calls
+   * @returns {Promise<HttpAgent>} Authenticated agent
+   */
+  async createAuthenticatedAgent(identity) {
+    const key = `${this.network}:${identity.getPrincipal().toText()}`;
+    let agent = this.agents.get(key);
+    if (agent) {
+      // Re-inserted so the map stays ordered from least to most recently used
+      this.agents.delete(key);
+    } else {
+      const pending = this.createAgent(identity);
+      // A failed agent is not cached, so the next call tries again
+      pending.catch(() => {
+        if (this.agents.get(key) === pending) {
+          this.agents.delete(key);
+        }
+      });
+      agent = pending;
+    }
+    this.agents.set(key, agent);
+    while (this.agents.size > this.agentCacheSize) {
+      this.agents.delete(this.agents.keys().next().value);
+    }
+    return await agent;
+  }
+
+  /**
+   * Create an agent for the network profile (host, root key, timeouts)
+   * @param {SignIdentity} [identity] - Identity used to sign calls (default: anonymous)
+   * @returns {Promise<HttpAgent>} Agent
+   */
+  async createAgent(identity) {
+    const { host, fetchRootKey, retryTimes } = this.networkProfile;
+    return new HttpAgent({
+      host,
+      identity,
+      fetch: this.fetch,
+      retryTimes,
+      rootKey: fetchRootKey ? await this.fetchRootKey() : undefined
+    });
+  }
+
+  /**
+   * Root key served by a test network (dfx, PocketIC), fetched once for all agents
+   * Only profiles with fetchRootKey may use it; other networks use the IC root key.
+   * @returns {Promise<Uint8Array>} Root key
+   */
+  async fetchRootKey() {
+    if (!this.rootKeyPromise) {
+      const { host, retryTimes } = this.networkProfile;
+      const pending = (async () => {
+        const agent = new HttpAgent({ host, fetch: this.fetch, retryTimes });
+        await agent.fetchRootKey();
+        return agent.rootKey;
+      })();
+      // A failed fetch is tried again by the next agent
+      pending.catch(() => {
+        if (this.rootKeyPromise === pending) {
+          this.rootKeyPromise = null;
+        }
+      });
+      this.rootKeyPromise = pending;
+    }
+    return await this.rootKeyPromise;
+  }
+
+  /**
+   * Get a client for an ICRC-1 / ICRC-2 ledger canister
+   * @param {string} ledgerCanisterId - Ledger canister id (e.g. ckBTC "mxzaz-hqaaa-aaaar-qaada-cai")
+   * @param {HttpAgent} [agent] - Agent to use (default: anonymous agent from init())
+   * @returns {IcrcLedger} Ledger client
+   */
+  getIcrcLedger(ledgerCanisterId, agent = this.agent) {
+    if (!agent) {
+      throw new Error('Agent not initialized. Call init() first.');
+    }
+
+    let canisterId;
+    try {
+      canisterId = Principal.fromText(ledgerCanisterId.trim()).toText();
+    } catch (error) {
+      throw new Error(`Invalid ledger canister id: ${error.message}`);
+    }
+    // Clients are cached per agent and dropped together with it
+    let ledgers = this.icrcLedgers.get(agent);
+    if (!ledgers) {
+      ledgers = new Map();
+      this.icrcLedgers.set(agent, ledgers);
+    }
+    if (!ledgers.has(canisterId)) {
+      ledgers.set(canisterId, IcrcLedger.create({ agent, canisterId: Principal.fromText(canisterId) }));
+    }
+    return ledgers.get(canisterId);
+  }
+
+  /**
+   * Get symbol, name, decimals and fee of an ICRC-1 ledger
+   * @param {string} ledgerCanisterId - Ledger canister id
+   * @returns {Promise<Object>} Token metadata
+   */
+  async getIcrcTokenInfo(ledgerCanisterId) {
+    return await this.getIcrcLedger(ledgerCanisterId).metadata();
+  }
+
+  /**
+   * Validate and parse an ICRC-1 account
+   * @param {string} address - Principal or ICRC-1 textual account
+   * @param {number|string|Uint8Array} subaccount - Optional subaccount index or 32-byte hex
+   * @returns {Object} ICRC-1 account ({ owner, subaccount })
+   */
+  parseIcrcAccount(address, subaccount = null) {
+    const parsed = this.parseReceiverAddress(address, subaccount);
+    if (!parsed.principal) {
+      throw new Error('ICRC ledgers require a Principal or ICRC-1 account, not an AccountIdentifier');
+    }
+    return { owner: parsed.principal, subaccount: parsed.subaccount ?? undefined };
+  }
+
+  /**
+   * Get the balance of an account on an ICRC-1 ledger
+   * @param {string} ledgerCanisterId - Ledger canister id
+   * @param {string} owner - Principal or ICRC-1 textual account
+   * @param {number|string|Uint8Array} subaccount - Optional subaccount index or 32-byte hex
+   * @returns {Promise<bigint>} Balance in the token's base units
+   */
+  async getIcrcBalance(ledgerCanisterId, owner, subaccount = null) {
+    return await this.getIcrcLedger(ledgerCanisterId).balanceOf(this.parseIcrcAccount(owner, subaccount));
+  }
+
+  /**
+   * Send tokens with icrc1_transfer on any ICRC-1 ledger
+   * @param {string} privateKeyHex - Sender's private key in hex, or a wallet name
+   * @param {string} ledgerCanisterId - Ledger canister id
+   * @param {string} receiverAddress - Receiver's Principal or ICRC-1 textual account
+   * @param {number|string} amount - Amount in whole tokens
+   * @param {string|number} memo - Optional memo (number, "0x" hex bytes or text)
+   * @param {Object} options - Optional fromSubaccount and toSubaccount (index or 32-byte hex)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async sendIcrcTransaction(privateKeyHex, ledgerCanisterId, receiverAddress, amount, memo = null, options = {}) {
+    this.policy?.checkIcrc('icrc1_transfer');
+    const senderIdentity = this.createIdentityFromPrivateKey(await this.resolvePrivateKey(privateKeyHex));
+    const sender = {
+      owner: senderIdentity.getPrincipal(),
+      subaccount: parseSubaccount(options.fromSubaccount) ?? undefined
+    };
+    const receiver = this.parseIcrcAccount(receiverAddress, options.toSubaccount);
+    const memoBytes = encodeIcrcMemo(memo);
+
+    const token = await this.getIcrcTokenInfo(ledgerCanisterId);
+    const amountUnits = parseTokenAmount(amount, token.decimals);
+
+    const balance = await this.getIcrcLedger(ledgerCanisterId).balanceOf(sender);
+    if (balance < amountUnits + token.fee) {
+      throw new Error(
+        `Insufficient balance. Required: ${amountUnits + token.fee}, Available: ${balance} (${token.symbol} base units)`
+      );
+    }
+
+    this.logger.info(`Sending ${formatTokenAmount(amountUnits, token.decimals)} ${token.symbol} (fee ${formatTokenAmount(token.fee, token.decimals)}) via icrc1_transfer`);
+
+    const agent = await this.createAuthenticatedAgent(senderIdentity);
+    const blockIndex = await this.getIcrcLedger(ledgerCanisterId, agent).transfer({
+      to: receiver,
+      amount: amountUnits,
+      fee: token.fee,
+      memo: memoBytes,
+      fromSubaccount: sender.subaccount
+    });
+
+    return this.icrcResult('icrc1_transfer', token, blockIndex, {
+      senderAccount: encodeIcrcAccount(sender),
+      receiverAccount: encodeIcrcAccount(receiver),
+      amount: formatTokenAmount(amountUnits, token.decimals),
+      amountUnits: amountUnits.toString()
+    });
+  }
+
+  /**
+   * Allow a spender to transfer tokens from the sender's account (icrc2_approve)
+   * @param {string} privateKeyHex - Owner's private key in hex, or a wallet name
+   * @param {string} ledgerCanisterId - Ledger canister id
+   * @param {string} spenderAddress - Spender's Principal or ICRC-1 textual account
+   * @param {number|string} amount - Allowance in whole tokens
+   * @param {Object} options - Optional expectedAllowance (whole tokens), expiresAt (Date), memo and fromSubaccount
+   * @returns {Promise<Object>} Transaction result
+   */
+  async approveIcrcSpender(privateKeyHex, ledgerCanisterId, spenderAddress, amount, options = {}) {
+    this.policy?.checkIcrc('icrc2_approve');
+    const ownerIdentity = this.createIdentityFromPrivateKey(await this.resolvePrivateKey(privateKeyHex));
+    const owner = {
+      owner: ownerIdentity.getPrincipal(),
+      subaccount: parseSubaccount(options.fromSubaccount) ?? undefined
+    };
+    const spender = this.parseIcrcAccount(spenderAddress);
+    const memoBytes = encodeIcrcMemo(options.memo);
+
+    const token = await this.getIcrcTokenInfo(ledgerCanisterId);
+    const amountUnits = parseTokenAmount(amount, token.decimals);
+    const expectedAllowance = options.expectedAllowance !== undefined
+      ? parseTokenAmount(options.expectedAllowance, token.decimals)
+      : undefined;
+    const expiresAt = options.expiresAt
+      ? BigInt(options.expiresAt.getTime()) * 1_000_000n
+      : undefined;
+
+    const agent = await this.createAuthenticatedAgent(ownerIdentity);
+    const blockIndex = await this.getIcrcLedger(ledgerCanisterId, agent).approve({
+      spender,
+      amount: amountUnits,
+      expectedAllowance,
+      expiresAt,
+      fee: token.fee,
+      memo: memoBytes,
+      fromSubaccount: owner.subaccount
+    });
+
+    return this.icrcResult('icrc2_approve', token, blockIndex, {
+      senderAccount: encodeIcrcAccount(owner),
+      spenderAccount: encodeIcrcAccount(spender),
+      amount: formatTokenAmount(amountUnits, token.decimals),
+      amountUnits: amountUnits.toString()
+    });
+  }
+
+  /**
+   * Transfer tokens on behalf of an owner that approved the sender (icrc2_transfer_from)
+   * @param {string} privateKeyHex - Spender's private key in hex, or a wallet name
+   * @param {string} ledgerCanisterId - Ledger canister id
+   * @param {string} fromAddress - Owner's Principal or ICRC-1 textual account
+   * @param {string} receiverAddress - Receiver's Principal or ICRC-1 textual account
+   * @param {number|string} amount - Amount in whole tokens
+   * @param {string|number} memo - Optional memo
+   * @param {Object} options - Optional spenderSubaccount (index or 32-byte hex) the approval was granted to
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transferFromIcrc(privateKeyHex, ledgerCanisterId, fromAddress, receiverAddress, amount, memo = null, options = {}) {
+    this.policy?.checkIcrc('icrc2_transfer_from');
+    const spenderIdentity = this.createIdentityFromPrivateKey(await this.resolvePrivateKey(privateKeyHex));
+    const spender = {
+      owner: spenderIdentity.getPrincipal(),
+      subaccount: parseSubaccount(options.spenderSubaccount) ?? undefined
+    };
+    const from = this.parseIcrcAccount(fromAddress);
+    const receiver = this.parseIcrcAccount(receiverAddress);
+    const memoBytes = encodeIcrcMemo(memo);
+
+    const token = await this.getIcrcTokenInfo(ledgerCanisterId);
+    const amountUnits = parseTokenAmount(amount, token.decimals);
+
+    const agent = await this.createAuthenticatedAgent(spenderIdentity);
+    const blockIndex = await this.getIcrcLedger(ledgerCanisterId, agent).transferFrom({
+      from,
+      to: receiver,
+      amount: amountUnits,
+      fee: token.fee,
+      memo: memoBytes,
+      spenderSubaccount: spender.subaccount
+    });
+
+    return this.icrcResult('icrc2_transfer_from', token, blockIndex, {
+      senderAccount: encodeIcrcAccount(from),
+      spenderAccount: encodeIcrcAccount(spender),
+      receiverAccount: encodeIcrcAccount(receiver),
+      amount: formatTokenAmount(amountUnits, token.decimals),
+      amountUnits: amountUnits.toString()
+    });
+  }
+
+  /**
+   * Build the result object returned by the ICRC operations
+   * @param {string} transferType - ICRC method used
+   * @param {Object} token - Token metadata
+   * @param {bigint} blockIndex - Block index returned by the ledger
+   * @param {Object} details - Operation specific fields
+   * @returns {Object} Transaction result
+   */
+  icrcResult(transferType, token, blockIndex, details) {
+    return {
+      success: true,
+      blockIndex: blockIndex.toString(),
+      ledgerCanisterId: token.canisterId,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      ...details,
+      fee: formatTokenAmount(token.fee, token.decimals),
+      feeUnits: token.fee.toString(),
+      network: this.network,
+      timestamp: new Date().toISOString(),
+      transferType
+    };
+  }
+
+  /**
+   * Generate a new key pair
+   * secp256k1 private keys are returned as "0x<hex>", Ed25519 keys as "ed25519:<hex>";
+   * both forms are accepted by createIdentityFromPrivateKey().
+   * @param {string} curve - 'secp256k1' (default) or 'ed25519'
+   * @returns {Object} Key pair with private and public keys
+   */
+  generateKeyPair(curve = DEFAULT_CURVE) {
+    const { identity, secretKey } = generateIdentity(curve);
+    return this.describeKeyPair(identity, { curve, secretKey });
+  }
+
+  /**
+   * Private key, public key, principal and account identifier of an identity
+   * @param {Secp256k1KeyIdentity|Ed25519KeyIdentity} identity - Identity
+   * @param {Object} key - { curve, secretKey } of the identity
+   * @returns {Object} Key pair with private and public keys
+   */
+  describeKeyPair(identity, { curve, secretKey }) {
+    let publicKey;
+    try {
+      // DER encoded public key, as used to derive the principal
+      const pubKey = identity.getPublicKey();
+      publicKey = Array.from(pubKey.toDer())
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+    } catch (error) {
+      this.logger.warn('Could not extract public key', { error: error.message });
+      publicKey = '';
+    }
+    
+    return {
+      privateKey: formatPrivateKey({ curve, secretKey }),
+      publicKey: `0x${publicKey}`,
+      principal: identity.getPrincipal().toString(),
+      accountIdentifier: this.getAccountIdentifier(identity),
+      curve
+    };
+  }
+
+  /**
+   * Generate a new BIP39 mnemonic to back up and restore keys with
+   * @param {number} words - Number of words: 12, 15, 18, 21 or 24 (default: 24)
+   * @returns {string} Mnemonic
+   */
+  generateMnemonic(words = 24) {
+    return generateMnemonic(Number(words));
+  }
+
+  /**
+   * Derive the secp256k1 key pair at m/44'/223'/0'/0/<index> from a mnemonic
+   * This is the path used by the NNS app, dfx and Ledger hardware wallets.
+   * @param {string} mnemonic - BIP39 mnemonic
+   * @param {number} index - Address index (default: 0)
+   * @param {string} password - Optional BIP39 passphrase
+   * @returns {Object} Key pair as returned by generateKeyPair(), plus index and path
+   */
+  deriveKeyPair(mnemonic, index = 0, password = '') {
+    const { path, ...key } = deriveSecretKey(mnemonic, index, password);
+    return {
+      ...this.describeKeyPair(identityFromSecretKey(key), key),
+      index: Number(index),
+      path
+    };
+  }
+
+  /**
+   * List the accounts derived from a mnemonic, optionally with their ICP balances
+   * @param {string} mnemonic - BIP39 mnemonic
+   * @param {Object} options - Optional start index (default: 0), count (default: 5), password and balances flag
+   * @returns {Promise<Array<Object>>} { index, path, principal, accountIdentifier[, balanceE8s] } per account
+   */
+  async deriveAccounts(mnemonic, options = {}) {
+    const { start = 0, count = 5, password = '', balances = false } = options;
+    if (!Number.isInteger(start) || start < 0 || !Number.isInteger(count) || count < 1 || count > 1000) {
+      throw new Error('start must be a non-negative integer and count an integer between 1 and 1000');
+    }
+    if (balances && !this.ledger) {
+      throw new Error('Ledger not initialized. Call init() first.');
+    }
+
+    const normalized = normalizeMnemonic(mnemonic);
+    const accounts = [];
+    for (let index = start; index < start + count; index++) {
+      const { principal, accountIdentifier, path } = this.deriveKeyPair(normalized, index, password);
+      accounts.push({ index, path, principal, accountIdentifier });
+    }
+    if (balances) {
+      await mapWithConcurrency(accounts, 8, async account => {
+        account.balanceE8s = await this.getBalance(account.accountIdentifier);
+      });
+    }
+    return accounts;
+  }
+
+  /**
+   * Generate transaction explorer URL from the explorerUrl template of a network profile
+   * The template may use {blockIndex} and {transactionHash}.
+   * @param {string|number|bigint} blockIndex - Transaction block index
+   * @param {string} network - Network profile name (default: the generator's network)
+   * @param {string} transactionHash - Ledger transaction hash, for templates that use it
+   * @returns {string|null} Transaction explorer URL, or null when the profile has no explorer
+   *   or the template needs a hash that is not known
+   */
+  generateTransactionUrl(blockIndex, network = this.network, transactionHash = null) {
+    const { explorerUrl } = network === this.network ? this.networkProfile : resolveNetwork(network);
+    if (!explorerUrl || (explorerUrl.includes('{transactionHash}') && !transactionHash)) {
+      return null;
+    }
+    return explorerUrl
+      .replace('{blockIndex}', String(blockIndex))
+      .replace('{transactionHash}', transactionHash ?? '');
+  }
+}
+
+// CLI interface when run directly
+if (process.argv[1]?.endsWith('transaction-generator.js') || 
+    new URL(import.meta.url).pathname === process.argv[1]) {
+
+  const { Command, CommanderError } = await import('commander');
+  const { readFileSync, writeFileSync } = await import('fs');
+  const { createApiServer } = await import('./lib/api-server.js');
+
+  // Exit codes are part of the CLI contract for scripts and cron jobs
+  const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    USAGE: 2,
+    NETWORK: 3,
+    TRANSFER_FAILED: 4
+  };
+
+  function cliError(message, exitCode) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+  }
+
+  /**
+   * Print a command result either as JSON or as "Label: value" lines
+   * @param {Object} options - Global CLI options
+   * @param {Object} result - Result object (values must be JSON-serializable)
+   * @param {Array<[string, string]>} lines - Human readable label/value pairs
+   */
+  function output(options, result, lines) {
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      return;
+    }
+    for (const [label, value] of lines) {
+      process.stdout.write(`${label}: ${value}\n`);
+    }
+  }
+
+  /**
+   * Read the sender private key from --key-file or the ICP_PRIVATE_KEY environment variable
+   * The key may be a PEM file (e.g. from `dfx identity export`), "<curve>:<hex>" or plain hex.
+   * @param {string} [keyFile] - Path to a file containing the private key
+   * @param {string} [curve] - Curve of plain hex keys (--curve)
+   * @returns {string} Private key as "0x<hex>" (secp256k1) or "<curve>:<hex>"
+   */
+  function readPrivateKey(keyFile, curve) {
+    let privateKey;
+    if (keyFile) {
+      try {
+        privateKey = readFileSync(keyFile, 'utf8');
+      } catch (error) {
+        throw cliError(`Cannot read key file ${keyFile}: ${error.message}`, EXIT_CODES.USAGE);
+      }
+    } else if (process.env.ICP_PRIVATE_KEY) {
+      privateKey = process.env.ICP_PRIVATE_KEY;
+    } else {
+      throw cliError('A private key is required: pass --wallet <name> or --key-file <path>, or set ICP_PRIVATE_KEY', EXIT_CODES.USAGE);
+    }
+    return formatPrivateKey(validate(() => parsePrivateKey(privateKey, curve)));
+  }
+
+  /**
+   * Read a BIP39 mnemonic from --mnemonic-file, $ICP_MNEMONIC or a hidden prompt
+   * @param {Object} options - Command options
+   * @returns {Promise<string>} Normalized mnemonic
+   */
+  async function readMnemonic(options) {
+    let mnemonic;
+    if (options.mnemonicFile) {
+      try {
+        mnemonic = readFileSync(options.mnemonicFile, 'utf8');
+      } catch (error) {
+        throw cliError(`Cannot read mnemonic file ${options.mnemonicFile}: ${error.message}`, EXIT_CODES.USAGE);
+      }
+    } else if (process.env.ICP_MNEMONIC) {
+      mnemonic = process.env.ICP_MNEMONIC;
+    } else {
+      mnemonic = await promptForPassword('Mnemonic: ');
+    }
+    return validate(() => normalizeMnemonic(mnemonic));
+  }
+
+  /**
+   * Parse a non-negative integer option
+   * @param {string} value - Option value
+   * @param {string} flag - Option name for the error message
+   * @returns {number} Parsed value
+   */
+  function integerOption(value, flag) {
+    const n = Number(value);
+    if (!/^\d+$/.test(String(value)) || !Number.isSafeInteger(n)) {
+      throw cliError(`Invalid ${flag}: ${value}`, EXIT_CODES.USAGE);
+    }
+    return n;
+  }
+
+  /**
+   * Ask for a wallet passphrase: $ICP_WALLET_PASSPHRASE, or a hidden prompt on the terminal
+   * @param {string} name - Wallet name
+   * @returns {Promise<string>} Passphrase
+   */
+  async function walletPassphrase(name) {
+    if (process.env.ICP_WALLET_PASSPHRASE) {
+      return process.env.ICP_WALLET_PASSPHRASE;
+    }
+    return await promptForPassword(`Passphrase for wallet "${name}": `);
+  }
+
+  /**
+   * Resolve the signing key from --wallet, --key-file or ICP_PRIVATE_KEY
+   * @param {ICPTransactionGenerator} generator - Generator whose keystore holds the wallet
+   * @param {Object} options - Command options
+   * @returns {Promise<string>} Private key hex
+   */
+  async function signingKey(generator, options) {
+    if (!options.wallet) {
+      const privateKey = readPrivateKey(options.keyFile, options.curve);
+      validate(() => generator.createIdentityFromPrivateKey(privateKey));
+      return privateKey;
+    }
+
+    validate(() => generator.keystore.get(options.wallet));
+    try {
+      return generator.unlockWallet(options.wallet, await walletPassphrase(options.wallet));
+    } catch (error) {
+      throw cliError(error.message, error.exitCode ?? EXIT_CODES.USAGE);
+    }
+  }
+
+  /**
+   * Principal of --wallet (no passphrase needed), --key-file or ICP_PRIVATE_KEY
+   * @param {ICPTransactionGenerator} generator - Generator whose keystore holds the wallet
+   * @param {Object} options - Command options
+   * @returns {string} Principal text
+   */
+  function ownPrincipal(generator, options) {
+    if (options.wallet) {
+      return validate(() => generator.keystore.get(options.wallet)).principal;
+    }
+    return validate(() => generator.createIdentityFromPrivateKey(readPrivateKey(options.keyFile, options.curve))).getPrincipal().toString();
+  }
+
+  /**
+   * Run a library call that only validates input, mapping its errors to the usage exit code
+   * @param {Function} fn - Validation function
+   * @returns {*} Return value of fn
+   */
+  function validate(fn) {
+    try {
+      return fn();
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.USAGE);
+    }
+  }
+
+  /**
+   * Create a generator for --network, --config and --log-level
+   * @param {Object} options - Global CLI options
+   * @param {Object} output - Optional machineOutput: whether stdout holds JSON or CSV (default: --json)
+   * @returns {ICPTransactionGenerator} Generator
+   */
+  function createGenerator(options, { machineOutput = Boolean(options.json) } = {}) {
+    return validate(() => new ICPTransactionGenerator(options.network, {
+      configFile: options.config,
+      policyFile: options.policy ?? process.env.ICP_POLICY_FILE,
+      addressBookFile: defaultAddressBookPath(),
+      topUpStateFile: defaultTopUpStateFile(),
+      // Machine-readable output owns stdout, so log lines go to stderr
+      logger: createConsoleLogger(options.logLevel ?? 'info', { stderr: machineOutput })
+    }));
+  }
+
+  /**
+   * Receiver of a transfer result, with its contact name when it has one
+   * @param {Object} result - Transfer result, plan or signed transfer
+   * @returns {string} Receiver text
+   */
+  function receiverText(result) {
+    return result.receiverLabel ? `${result.receiverLabel} (${result.receiverAccount})` : result.receiverAccount;
+  }
+
+  /**
+   * Confirm a transfer the spending policy wants confirmed: --confirm, or the amount typed again
+   * @param {ICPTransactionGenerator} generator - Generator with the spending policy
+   * @param {string} amount - Amount argument
+   * @param {Object} options - Command options
+   * @returns {Promise<boolean>} True once confirmed (or when no confirmation is needed)
+   */
+  async function confirmTransfer(generator, amount, options) {
+    const amountE8s = validate(() => generator.icpToE8s(amount));
+    if (options.confirm || options.dryRun || !generator.policy?.requiresConfirmation(amountE8s)) {
+      return true;
+    }
+    if (!process.stdin.isTTY) {
+      throw cliError(`${formatIcp(amountE8s)} ICP is above the confirmation threshold of the spending policy: pass --confirm`, EXIT_CODES.USAGE);
+    }
+
+    const rl = createInterface({ input: process.stdin, output: process.stderr });
+    try {
+      const answer = await rl.question(`${formatIcp(amountE8s)} ICP is above the confirmation threshold. Type the amount again to confirm: `);
+      let confirmed;
+      try {
+        confirmed = generator.icpToE8s(answer.trim()) === amountE8s;
+      } catch {
+        confirmed = false;
+      }
+      if (!confirmed) {
+        throw cliError('Amount not confirmed; nothing was sent', EXIT_CODES.USAGE);
+      }
+      return true;
+    } finally {
+      rl.close();
+    }
+  }
+
+  async function connect(generator) {
+    try {
+      await generator.init();
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.NETWORK);
+    }
+  }
+
+  async function sendCommand(options) {
+    if (options.ledger && options.dryRun) {
+      throw cliError('--dry-run is only supported for ICP ledger transfers', EXIT_CODES.USAGE);
+    }
+    if (options.ledger) {
+      return icrcSendCommand(options);
+    }
+
+    const generator = createGenerator(options);
+    validate(() => generator.parseReceiverAddress(options.to, options.toSubaccount));
+    validate(() => parseSubaccount(options.fromSubaccount));
+    validate(() => generator.icpToE8s(options.amount));
+    const createdAt = options.createdAt && !/^\d+$/.test(options.createdAt) ? new Date(options.createdAt) : options.createdAt;
+    validate(() => generator.resolveCreatedAt(createdAt));
+    validate(() => generator.resolveMemo(options.memo));
+    const retries = options.retries === undefined ? undefined : Number(options.retries);
+    if (retries !== undefined && (!Number.isInteger(retries) || retries < 0)) {
+      throw cliError(`Invalid --retries: ${options.retries}`, EXIT_CODES.USAGE);
+    }
+    const confirmed = await confirmTransfer(generator, options.amount, options);
+    const privateKey = await signingKey(generator, options);
+
+    await connect(generator);
+
+    let result;
+    try {
+      result = await generator.sendTransaction(privateKey, options.to, options.amount, options.memo ?? null, {
+        fromSubaccount: options.fromSubaccount,
+        toSubaccount: options.toSubaccount,
+        createdAt,
+        retries,
+        dryRun: options.dryRun,
+        verify: options.verify,
+        confirmed
+      });
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.TRANSFER_FAILED);
+    }
+
+    if (result.dryRun) {
+      output(options, result, [
+        ['Status', 'DRY RUN (not submitted)'],
+        ['From', result.senderAccount],
+        ['To', `${receiverText(result)} (${result.receiverAccountIdentifier})`],
+        ['Amount', `${result.amount} ICP (${result.amountE8s} e8s)`],
+        ['Fee', `${result.fee} e8s (from the ledger)`],
+        ['Total', `${result.total} ICP`],
+        ['Balance', `${formatIcp(result.balanceE8s)} ICP, ${formatIcp(result.balanceAfterE8s)} ICP after the transfer`],
+        ['Memo', result.memo],
+        ['Created At', `${result.createdAt} ns`],
+        ['Transfer Args', JSON.stringify(result.transferArgs)],
+        ['Network', result.network]
+      ]);
+      return;
+    }
+
+    output(options, result, [
+      ['Status', result.verified ? 'SUCCESS (verified on the ledger)' : 'SUCCESS (not verified)'],
+      ['Block Index', result.blockIndex],
+      ...(result.transactionHash ? [['Transaction Hash', result.transactionHash]] : []),
+      ['Transaction URL', result.transactionUrl],
+      ['From', result.senderAccount],
+      ['To', receiverText(result)],
+      ['Amount', `${result.amount} ICP`],
+      ['Fee', `${result.fee} e8s`],
+      ['Memo', result.memo],
+      ['Created At', `${result.createdAt} ns${result.duplicate ? ' (already recorded, not sent again)' : ''}`],
+      ['Network', result.network],
+      ['Time', result.timestamp]
+    ]);
+  }
+
+  async function signCommand(options) {
+    const generator = createGenerator(options);
+    const expiresAt = options.expiresAt ? new Date(options.expiresAt) : undefined;
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw cliError(`Invalid --expires-at date: ${options.expiresAt}`, EXIT_CODES.USAGE);
+    }
+    validate(() => generator.parseReceiverAddress(options.to, options.toSubaccount));
+    validate(() => generator.icpToE8s(options.amount));
+    validate(() => generator.resolveMemo(options.memo));
+    const confirmed = await confirmTransfer(generator, options.amount, options);
+    const privateKey = await signingKey(generator, options);
+
+    // No init(): signing never touches the network
+    let signed;
+    try {
+      signed = await generator.signTransferOffline(privateKey, options.to, options.amount, options.memo ?? null, {
+        fromSubaccount: options.fromSubaccount,
+        toSubaccount: options.toSubaccount,
+        expiresAt,
+        confirmed,
+        save: transfer => {
+          try {
+            writeFileSync(options.out, `${JSON.stringify(transfer, null, 2)}\n`, { flag: 'wx' });
+          } catch (error) {
+            throw cliError(`Cannot write signed transfer ${options.out}: ${error.message}`, EXIT_CODES.ERROR);
+          }
+        }
+      });
+    } catch (error) {
+      throw error.policy ? cliError(error.message, EXIT_CODES.TRANSFER_FAILED) : error;
+    }
+
+    const validFrom = new Date(new Date(signed.ingressExpiry).getTime() - MAX_INGRESS_EXPIRY_MS);
+    output(options, { ...signed, file: options.out }, [
+      ['Signed Transfer', options.out],
+      ['Request ID', signed.requestId],
+      ['From', signed.senderAccount],
+      ['To', receiverText(signed)],
+      ['Amount', `${signed.amount} ICP`],
+      ['Memo', signed.memo],
+      ['Broadcast Between', `${validFrom.toISOString()} and ${signed.ingressExpiry}`]
+    ]);
+  }
+
+  async function broadcastCommand(file, options) {
+    let signed;
+    try {
+      signed = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw cliError(`Cannot read signed transfer ${file}: ${error.message}`, EXIT_CODES.USAGE);
+    }
+
+    const generator = createGenerator({ ...options, network: signed.network ?? options.network });
+    await connect(generator);
+
+    let result;
+    try {
+      result = await generator.broadcastSignedTransfer(signed, { verify: options.verify });
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.TRANSFER_FAILED);
+    }
+
+    output(options, result, [
+      ['Status', result.verified ? 'SUCCESS (verified on the ledger)' : 'SUCCESS (not verified)'],
+      ['Block Index', result.blockIndex],
+      ...(result.transactionHash ? [['Transaction Hash', result.transactionHash]] : []),
+      ['Transaction URL', result.transactionUrl],
+      ['Request ID', result.requestId],
+      ['From', result.senderAccount],
+      ['To', receiverText(result)],
+      ['Amount', `${result.amount} ICP`],
+      ['Network', result.network],
+      ['Time', result.timestamp]
+    ]);
+  }
+
+  async function batchCommand(file, options) {
+    const generator = createGenerator(options);
+    const rows = validate(() => loadBatchFile(file));
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw cliError(`Invalid --concurrency: ${options.concurrency}`, EXIT_CODES.USAGE);
+    }
+    const privateKey = await signingKey(generator, options);
+
+    await connect(generator);
+
+    let report;
+    try {
+      report = await generator.sendBatch(privateKey, rows, {
+        stateFile: options.state ?? `${file}.state.json`,
+        concurrency,
+        fromSubaccount: options.fromSubaccount,
+        confirmed: options.confirm,
+        onProgress: row => console.error(`Row ${row.row}: ${row.status}${row.blockIndex ? ` (block ${row.blockIndex})` : ''}${row.error ? ` - ${row.error}` : ''}`)
+      });
+    } catch (error) {
+      // Validation and balance problems are raised before anything is sent
+      throw cliError(error.message, error.message.startsWith('Batch validation failed') ? EXIT_CODES.USAGE
+        : error.policy ? EXIT_CODES.TRANSFER_FAILED : EXIT_CODES.ERROR);
+    }
+
+    output(options, report, [
+      ['Rows', report.total],
+      ['Sent', report.sent],
+      ['Failed', report.failed],
+      ['Uncertain', report.uncertain],
+      ['Total Sent', `${formatIcp(report.sentE8s)} ICP`],
+      ['State File', report.stateFile],
+      ...report.results
+        .filter(result => result.status !== 'sent')
+        .map(result => [`Row ${result.row} (${result.status})`, `${result.receiver}: ${result.error ?? 'not sent'}`])
+    ]);
+
+    if (report.sent !== report.total) {
+      process.exitCode = EXIT_CODES.TRANSFER_FAILED;
+    }
+  }
+
+  /**
+   * Cycles in trillions, as dfx shows them
+   * @param {string} cycles - Cycles
+   * @returns {string} Text such as "1.5 T"
+   */
+  function formatCycles(cycles) {
+    return `${formatTokenAmount(BigInt(cycles), 12)} T`;
+  }
+
+  async function topUpCommand(canisterId, options) {
+    const generator = createGenerator(options);
+    try {
+      Principal.fromText(canisterId);
+    } catch {
+      throw cliError(`Invalid canister id: ${canisterId}`, EXIT_CODES.USAGE);
+    }
+
+    // --block only notifies the CMC about a transfer that was already made
+    if (options.block !== undefined) {
+      const blockIndex = integerOption(options.block, '--block');
+      await connect(generator);
+      let cycles;
+      try {
+        cycles = await generator.notifyTopUp(canisterId, BigInt(blockIndex));
+      } catch (error) {
+        throw cliError(error.message, error.notify ? EXIT_CODES.TRANSFER_FAILED : EXIT_CODES.NETWORK);
+      }
+      output(options, { canisterId, blockIndex: String(blockIndex), cycles: cycles.toString(), network: generator.network }, [
+        ['Canister', canisterId],
+        ['Block Index', blockIndex],
+        ['Cycles', formatCycles(cycles)],
+        ['Network', generator.network]
+      ]);
+      return;
+    }
+
+    if (!options.amount) {
+      throw cliError('Pass --amount <icp>, or --block <index> to notify the CMC about an earlier transfer', EXIT_CODES.USAGE);
+    }
+    validate(() => parseSubaccount(options.fromSubaccount));
+    validate(() => generator.icpToE8s(options.amount));
+    const confirmed = await confirmTransfer(generator, options.amount, options);
+    const privateKey = await signingKey(generator, options);
+
+    await connect(generator);
+
+    let result;
+    try {
+      result = await generator.topUpCanister(privateKey, canisterId, options.amount, {
+        fromSubaccount: options.fromSubaccount,
+        confirmed
+      });
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.TRANSFER_FAILED);
+    }
+
+    output(options, result, [
+      ['Status', result.resumed ? 'SUCCESS (finished an interrupted top-up)' : 'SUCCESS'],
+      ['Canister', result.canisterId],
+      ['Cycles', formatCycles(result.cycles)],
+      ['Amount', `${result.amount} ICP`],
+      ['Block Index', result.blockIndex],
+      ['Transaction URL', result.transactionUrl],
+      ['Network', result.network]
+    ]);
+  }
+
+  async function loadCommand(options) {
+    const generator = createGenerator(options);
+    if (!generator.networkProfile.fetchRootKey) {
+      throw cliError(`Load generation only runs against a local network, not ${generator.network}`, EXIT_CODES.USAGE);
+    }
+    const durationSeconds = options.duration === undefined ? undefined : Number(options.duration);
+    if (durationSeconds !== undefined && !(durationSeconds > 0)) {
+      throw cliError(`Invalid --duration: ${options.duration}`, EXIT_CODES.USAGE);
+    }
+    const rate = Number(options.rate);
+    if (!(rate > 0)) {
+      throw cliError(`Invalid --rate: ${options.rate}`, EXIT_CODES.USAGE);
+    }
+    const settings = {
+      accounts: integerOption(options.accounts, '--accounts'),
+      concurrency: integerOption(options.concurrency, '--concurrency'),
+      transfers: options.transfers === undefined ? undefined : integerOption(options.transfers, '--transfers'),
+      durationSeconds,
+      rate,
+      fundAmount: options.fundAmount,
+      minAmount: options.minAmount,
+      maxAmount: options.maxAmount,
+      curve: options.keyCurve
+    };
+    for (const flag of ['fundAmount', 'minAmount', 'maxAmount']) {
+      validate(() => generator.icpToE8s(settings[flag]));
+    }
+    validate(() => generator.generateKeyPair(settings.curve));
+    const privateKey = await signingKey(generator, options);
+
+    await connect(generator);
+
+    let lastProgress = 0;
+    let report;
+    try {
+      report = await generator.generateLoad(privateKey, {
+        ...settings,
+        onProgress: progress => {
+          // At most one progress line per second
+          if (Date.now() - lastProgress >= 1000) {
+            lastProgress = Date.now();
+            console.error(`Sent ${progress.succeeded}, failed ${progress.failed}`);
+          }
+        }
+      });
+    } catch (error) {
+      throw cliError(error.message, error.refused ? EXIT_CODES.USAGE : EXIT_CODES.ERROR);
+    }
+
+    const latency = report.latencyMs;
+    output(options, report, [
+      ['Network', report.network],
+      ['Accounts', `${report.accounts.length}, funded with ${formatIcp(report.fundedE8s)} ICP each`],
+      ['Transfers', `${report.succeeded} succeeded, ${report.failed} failed`],
+      ['Duration', `${(report.durationMs / 1000).toFixed(1)} s`],
+      ['Throughput', `${report.throughput} transfers/s (target ${report.targetRate}/s, concurrency ${report.concurrency})`],
+      ...(latency ? [['Latency', `p50 ${latency.p50} ms, p90 ${latency.p90} ms, p95 ${latency.p95} ms, p99 ${latency.p99} ms, max ${latency.max} ms`]] : []),
+      ...Object.entries(report.errors).map(([variant, count]) => [`Errors (${variant})`, count]),
+      ...(report.stoppedEarly ? [['Stopped Early', report.stoppedEarly]] : [])
+    ]);
+
+    if (report.failed > 0) {
+      process.exitCode = EXIT_CODES.TRANSFER_FAILED;
+    }
+  }
+
+  /**
+   * Parse a duration: seconds, or a number with an s, m, h, d or y (365.25 days) suffix
+   * @param {string} value - Duration such as "86400", "6m" or "1y"
+   * @param {string} flag - Option name for the error message
+   * @returns {number} Seconds
+   */
+  function durationOption(value, flag) {
+    const units = { s: 1, m: 60, h: 3600, d: 86_400, y: 31_557_600 };
+    const match = /^(\d+(?:\.\d+)?)([smhdy]?)$/.exec(String(value).trim());
+    const seconds = match ? Math.round(Number(match[1]) * units[match[2] || 's']) : NaN;
+    if (!(seconds > 0)) {
+      throw cliError(`Invalid ${flag}: ${value}`, EXIT_CODES.USAGE);
+    }
+    return seconds;
+  }
+
+  /**
+   * Parse a neuron id or staking nonce (u64)
+   * @param {string} value - Decimal integer
+   * @param {string} name - Name for the error message
+   * @returns {bigint} Parsed value
+   */
+  function u64Option(value, name) {
+    if (!/^\d+$/.test(String(value)) || BigInt(value) >= 2n ** 64n) {
+      throw cliError(`Invalid ${name}: ${value}`, EXIT_CODES.USAGE);
+    }
+    return BigInt(value);
+  }
+
+  /**
+   * Print a neuron from describeNeuron()
+   * @param {Object} options - Global CLI options
+   * @param {Object} neuron - Neuron
+   * @param {Array} extra - Extra [label, value] lines printed first
+   */
+  function outputNeuron(options, neuron, extra = []) {
+    output(options, neuron, [
+      ...extra,
+      ['Neuron', neuron.id],
+      ['State', neuron.state],
+      ['Stake', `${neuron.stake} ICP`],
+      ['Dissolve Delay', `${neuron.dissolveDelaySeconds} s (${(neuron.dissolveDelaySeconds / 31_557_600).toFixed(2)} years)`],
+      ...(neuron.dissolvesAt ? [['Dissolves At', neuron.dissolvesAt]] : []),
+      ['Account Identifier', neuron.accountIdentifier],
+      ['Controller', neuron.controller]
+    ]);
+  }
+
+  /**
+   * Run a neuron operation with the common CLI key handling and error mapping
+   * @param {Object} options - Global CLI options
+   * @param {Function} operation - Receives (generator, privateKey) and returns the result
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async function runNeuronOperation(options, operation) {
+    const generator = createGenerator(options);
+    const privateKey = await signingKey(generator, options);
+
+    await connect(generator);
+
+    try {
+      return await operation(generator, privateKey);
+    } catch (error) {
+      throw cliError(error.message, error.governanceErrorType !== undefined ? EXIT_CODES.ERROR : EXIT_CODES.TRANSFER_FAILED);
+    }
+  }
+
+  async function neuronStakeCommand(options) {
+    const generator = createGenerator(options);
+    validate(() => generator.icpToE8s(options.amount));
+    validate(() => parseSubaccount(options.fromSubaccount));
+    const dissolveDelaySeconds = options.dissolveDelay === undefined
+      ? undefined
+      : durationOption(options.dissolveDelay, '--dissolve-delay');
+    if (dissolveDelaySeconds !== undefined) {
+      validate(() => generator.checkDissolveDelay(dissolveDelaySeconds));
+    }
+    const nonce = options.nonce === undefined ? undefined : u64Option(options.nonce, '--nonce');
+    const confirmed = await confirmTransfer(generator, options.amount, options);
+
+    const result = await runNeuronOperation(options, (connected, privateKey) =>
+      connected.stakeNeuron(privateKey, options.amount, {
+        nonce,
+        dissolveDelaySeconds,
+        fromSubaccount: options.fromSubaccount,
+        confirmed
+      })
+    );
+    output(options, result, [
+      ['Status', 'SUCCESS'],
+      ['Neuron', result.neuronId],
+      ['Stake', `${result.amount} ICP`],
+      ['Dissolve Delay', `${result.dissolveDelaySeconds} s`],
+      ['Nonce', result.nonce],
+      ['Block Index', result.blockIndex],
+      ['Account Identifier', result.accountIdentifier],
+      ['Controller', result.controller],
+      ['Transaction URL', result.transactionUrl],
+      ['Network', result.network]
+    ]);
+  }
+
+  async function neuronClaimCommand(options) {
+    const nonce = u64Option(options.nonce, '--nonce');
+    const neuron = await runNeuronOperation(options, (generator, privateKey) => generator.claimNeuron(privateKey, nonce));
+    outputNeuron(options, neuron, [['Status', 'CLAIMED']]);
+  }
+
+  async function neuronTopUpCommand(neuronId, options) {
+    const id = u64Option(neuronId, 'neuron id');
+    const generator = createGenerator(options);
+    validate(() => generator.icpToE8s(options.amount));
+    validate(() => parseSubaccount(options.fromSubaccount));
+    const confirmed = await confirmTransfer(generator, options.amount, options);
+
+    const result = await runNeuronOperation(options, (connected, privateKey) =>
+      connected.topUpNeuron(privateKey, id, options.amount, { fromSubaccount: options.fromSubaccount, confirmed })
+    );
+    if (options.json) {
+      output(options, result, []);
+      return;
+    }
+    outputNeuron(options, result.neuron, [
+      ['Status', 'SUCCESS'],
+      ['Added', `${result.amount} ICP`],
+      ['Block Index', result.blockIndex]
+    ]);
+  }
+
+  async function neuronDissolveDelayCommand(neuronId, options) {
+    const id = u64Option(neuronId, 'neuron id');
+    const seconds = durationOption(options.add, '--add');
+    validate(() => createGenerator(options).checkDissolveDelay(seconds));
+    const neuron = await runNeuronOperation(options, (generator, privateKey) =>
+      generator.increaseDissolveDelay(privateKey, id, seconds)
+    );
+    outputNeuron(options, neuron);
+  }
+
+  async function neuronDissolvingCommand(neuronId, dissolving, options) {
+    const id = u64Option(neuronId, 'neuron id');
+    const neuron = await runNeuronOperation(options, (generator, privateKey) =>
+      generator.setNeuronDissolving(privateKey, id, dissolving)
+    );
+    outputNeuron(options, neuron);
+  }
+
+  async function neuronListCommand(options) {
+    const neurons = await runNeuronOperation(options, (generator, privateKey) => generator.listNeurons(privateKey));
+
+    if (options.json) {
+      output(options, { neurons }, []);
+      return;
+    }
+    if (neurons.length === 0) {
+      process.stdout.write('No neurons\n');
+    }
+    for (const neuron of neurons) {
+      process.stdout.write(`${neuron.id}\t${neuron.state}\t${neuron.stake} ICP\t${neuron.dissolveDelaySeconds} s\t${neuron.accountIdentifier}\n`);
+    }
+  }
+
+  async function historyCommand(account, options) {
+    const format = options.json ? 'json' : options.format;
+    if (!['table', 'csv', 'json'].includes(format)) {
+      throw cliError(`Invalid --format: ${options.format} (expected table, csv or json)`, EXIT_CODES.USAGE);
+    }
+    const generator = createGenerator(options, { machineOutput: format !== 'table' });
+    const owner = account ??
+      ownPrincipal(generator, options);
+    const range = {
+      subaccount: options.subaccount,
+      fromBlock: options.fromBlock === undefined ? undefined : integerOption(options.fromBlock, '--from-block'),
+      toBlock: options.toBlock === undefined ? undefined : integerOption(options.toBlock, '--to-block'),
+      maxBlocks: integerOption(options.blocks, '--blocks')
+    };
+    if (!generator.keystore.has(owner)) {
+      validate(() => generator.parseReceiverAddress(owner, options.subaccount));
+    }
+    await connect(generator);
+    let history;
+    try {
+      history = await generator.getTransactionHistory(owner, range);
+    } catch (error) {
+      throw cliError(`Failed to read history: ${error.message}`, error.message.startsWith('Invalid block range') ? EXIT_CODES.USAGE : EXIT_CODES.NETWORK);
+    }
+
+    let text;
+    if (format === 'csv') {
+      text = generator.historyToCsv(history.entries);
+    } else if (format === 'json') {
+      text = `${JSON.stringify({ ...history, network: generator.network }, null, 2)}\n`;
+    } else {
+      text = history.entries.map(entry => [
+        entry.blockIndex,
+        entry.timestamp,
+        entry.type,
+        entry.direction,
+        `${entry.direction === 'out' ? '-' : ''}${entry.amount} ICP`,
+        entry.counterparty ?? '',
+        `memo ${entry.memo}`
+      ].join('\t')).join('\n');
+      text += `${text ? '\n' : ''}${history.entries.length} entries in blocks ${history.fromBlock}-${history.toBlock} (chain length ${history.chainLength})\n`;
+    }
+
+    if (options.out) {
+      try {
+        writeFileSync(options.out, text);
+      } catch (error) {
+        throw cliError(`Cannot write ${options.out}: ${error.message}`, EXIT_CODES.ERROR);
+      }
+      console.error(`Wrote ${history.entries.length} entries to ${options.out}`);
+      return;
+    }
+    process.stdout.write(text);
+  }
+
+  async function blockCommand(index, options) {
+    const generator = createGenerator(options);
+    const blockIndex = integerOption(index, 'block index');
+    await connect(generator);
+    let found;
+    try {
+      found = await generator.getBlock(blockIndex, { attempts: 1 });
+    } catch (error) {
+      throw cliError(`Failed to read block: ${error.message}`, EXIT_CODES.NETWORK);
+    }
+
+    const { transaction, timestamp } = found.block;
+    const [operation] = transaction.operation;
+    const [type] = operation ? Object.keys(operation) : ['none'];
+    const details = operation?.[type] ?? {};
+    const amount = details.amount ?? details.allowance;
+    const result = {
+      blockIndex: found.blockIndex,
+      transactionHash: found.transactionHash,
+      blockHash: found.blockHash,
+      transactionUrl: generator.generateTransactionUrl(found.blockIndex, generator.network, found.transactionHash),
+      timestamp: new Date(Number(timestamp.timestamp_nanos / 1_000_000n)).toISOString(),
+      type: type.toLowerCase(),
+      from: details.from ? bytesToHex(details.from) : null,
+      to: details.to ? bytesToHex(details.to) : type === 'Approve' ? bytesToHex(details.spender) : null,
+      amountE8s: amount ? amount.e8s.toString() : null,
+      feeE8s: details.fee ? details.fee.e8s.toString() : null,
+      memo: transaction.memo.toString(),
+      createdAt: transaction.created_at_time.timestamp_nanos.toString(),
+      network: generator.network
+    };
+
+    output(options, result, [
+      ['Block Index', result.blockIndex],
+      ['Transaction Hash', result.transactionHash],
+      ['Block Hash', result.blockHash],
+      ['Transaction URL', result.transactionUrl],
+      ['Time', result.timestamp],
+      ['Type', result.type],
+      ['From', result.from],
+      ['To', result.to],
+      ['Amount', result.amountE8s === null ? null : `${formatIcp(result.amountE8s)} ICP`],
+      ['Fee', result.feeE8s === null ? null : `${result.feeE8s} e8s`],
+      ['Memo', result.memo],
+      ['Created At', `${result.createdAt} ns`],
+      ['Network', result.network]
+    ].filter(([, value]) => value !== null));
+  }
+
+  async function watchCommand(accounts, options) {
+    const generator = createGenerator(options);
+    const intervalSeconds = integerOption(options.interval, '--interval');
+    if (intervalSeconds < 1) {
+      throw cliError(`Invalid --interval: ${options.interval}`, EXIT_CODES.USAGE);
+    }
+    for (const account of accounts) {
+      if (!generator.keystore.has(account)) {
+        validate(() => generator.parseReceiverAddress(account, options.subaccount));
+      }
+    }
+    const webhookUrl = options.webhook ?? process.env.ICP_WEBHOOK_URL;
+    if (webhookUrl && !URL.canParse(webhookUrl)) {
+      throw cliError(`Invalid webhook URL: ${webhookUrl}`, EXIT_CODES.USAGE);
+    }
+    await connect(generator);
+    const watcher = generator.watchAccounts(accounts, {
+      subaccount: options.subaccount,
+      checkpointFile: options.checkpoint,
+      fromBlock: options.fromBlock === undefined ? undefined : integerOption(options.fromBlock, '--from-block'),
+      pollIntervalMs: intervalSeconds * 1000,
+      webhookUrl,
+      webhookSecret: process.env.ICP_WEBHOOK_SECRET
+    });
+
+    const print = event => {
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify(event)}\n`);
+        return;
+      }
+      process.stdout.write(`${[
+        event.blockIndex,
+        event.timestamp,
+        event.type,
+        event.account,
+        `${event.type === 'outgoing' ? '-' : '+'}${event.amount} ICP`,
+        event.counterparty ?? '',
+        `memo ${event.memo}`
+      ].join('\t')}\n`);
+    };
+    watcher.on('incoming', print);
+    watcher.on('outgoing', print);
+
+    if (options.once) {
+      try {
+        await watcher.poll();
+      } catch (error) {
+        throw cliError(`Watch failed: ${error.message}`, EXIT_CODES.NETWORK);
+      }
+      return;
+    }
+
+    watcher.on('error', error => console.error(`Watch poll failed, retrying: ${error.message}`));
+    process.once('SIGINT', () => watcher.stop());
+    process.once('SIGTERM', () => watcher.stop());
+    await watcher.start();
+  }
+
+  async function policyCommand(account, options) {
+    const generator = createGenerator(options);
+    const policy = generator.policy;
+    if (!policy) {
+      throw cliError('No spending policy: pass --policy <path> or set ICP_POLICY_FILE', EXIT_CODES.USAGE);
+    }
+
+    const senders = account
+      ? [validate(() => generator.resolveAccountIdentifier(account, options.subaccount))]
+      : policy.senders();
+    const rules = policy.describe();
+    const usage = senders.map(sender => ({ account: sender, ...policy.usage(sender) }));
+    const limit = value => value === null ? 'none' : `${value} ICP`;
+
+    output(options, { ...rules, usage }, [
+      ['Max Per Transfer', limit(rules.maxPerTransfer)],
+      ['Daily Limit', limit(rules.dailyLimit)],
+      ['Confirm Above', limit(rules.confirmAbove)],
+      ['Allow', rules.allow ? rules.allow.join(', ') || 'nobody' : 'any address'],
+      ['Deny', rules.deny.join(', ') || 'none'],
+      ['Spend Ledger', rules.spendLedger ?? 'none (usage is not persisted)'],
+      ...usage.map(entry => [
+        `Sent by ${entry.account}`,
+        `${formatIcp(entry.spentE8s)} ICP in the last 24 hours` +
+          (entry.remainingE8s === null ? '' : `, ${formatIcp(entry.remainingE8s)} ICP left today`)
+      ])
+    ]);
+  }
+
+  async function serveCommand(options) {
+    const generator = createGenerator(options);
+    const port = integerOption(options.port, '--port');
+    const apiKeys = (process.env.ICP_API_KEYS ?? '').split(',').map(key => key.trim()).filter(Boolean);
+    if (apiKeys.length === 0) {
+      throw cliError('Set ICP_API_KEYS to one or more comma-separated API keys', EXIT_CODES.USAGE);
+    }
+
+    // Unlock the wallets once, so their keys stay in memory and passphrases are not needed per request
+    for (const name of options.wallets ?? []) {
+      validate(() => generator.keystore.get(name));
+      try {
+        generator.unlockWallet(name, await walletPassphrase(name));
+      } catch (error) {
+        throw cliError(error.message, EXIT_CODES.USAGE);
+      }
+    }
+
+    await connect(generator);
+    let server;
+    try {
+      server = createApiServer(generator, {
+        apiKeys,
+        wallets: options.wallets,
+        walletPassphrase: process.env.ICP_WALLET_PASSPHRASE,
+        idempotencyFile: options.idempotencyFile
+      });
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    await new Promise((resolve, reject) => {
+      server.once('error', error => reject(cliError(`Cannot listen on ${options.host}:${port}: ${error.message}`, EXIT_CODES.ERROR)));
+      server.listen(port, options.host, resolve);
+    });
+    console.error(`API listening on http://${options.host}:${server.address().port} (network ${generator.network})`);
+
+    await new Promise(resolve => {
+      const shutdown = () => server.close(resolve);
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    });
+  }
+
+  /**
+   * Print the result of an ICRC operation
+   * @param {Object} options - Global CLI options
+   * @param {Object} result - Result returned by the generator
+   */
+  function outputIcrcResult(options, result) {
+    output(options, result, [
+      ['Status', 'SUCCESS'],
+      ['Operation', result.transferType],
+      ['Block Index', result.blockIndex],
+      ['Ledger', `${result.ledgerCanisterId} (${result.symbol})`],
+      ['From', result.senderAccount],
+      ...(result.spenderAccount ? [['Spender', result.spenderAccount]] : []),
+      ...(result.receiverAccount ? [['To', result.receiverAccount]] : []),
+      ['Amount', `${result.amount} ${result.symbol}`],
+      ['Fee', `${result.fee} ${result.symbol}`],
+      ['Network', result.network],
+      ['Time', result.timestamp]
+    ]);
+  }
+
+  /**
+   * Run an ICRC ledger operation with the common CLI validation and error mapping
+   * @param {Object} options - Global CLI options
+   * @param {Function} operation - Receives (generator, privateKey) and returns the result
+   */
+  async function runIcrcOperation(options, operation) {
+    const generator = createGenerator(options);
+    const privateKey = await signingKey(generator, options);
+
+    await connect(generator);
+
+    let result;
+    try {
+      result = await operation(generator, privateKey);
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.TRANSFER_FAILED);
+    }
+    outputIcrcResult(options, result);
+  }
+
+  async function icrcSendCommand(options) {
+    validate(() => createGenerator(options).parseIcrcAccount(options.to, options.toSubaccount));
+    await runIcrcOperation(options, (generator, privateKey) =>
+      generator.sendIcrcTransaction(privateKey, options.ledger, options.to, options.amount, options.memo ?? null, {
+        fromSubaccount: options.fromSubaccount,
+        toSubaccount: options.toSubaccount
+      })
+    );
+  }
+
+  async function approveCommand(options) {
+    const expiresAt = options.expiresAt ? new Date(options.expiresAt) : undefined;
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw cliError(`Invalid --expires-at date: ${options.expiresAt}`, EXIT_CODES.USAGE);
+    }
+    validate(() => createGenerator(options).parseIcrcAccount(options.spender));
+    await runIcrcOperation(options, (generator, privateKey) =>
+      generator.approveIcrcSpender(privateKey, options.ledger, options.spender, options.amount, {
+        expectedAllowance: options.expectedAllowance,
+        expiresAt,
+        memo: options.memo,
+        fromSubaccount: options.fromSubaccount
+      })
+    );
+  }
+
+  async function transferFromCommand(options) {
+    const generator = createGenerator(options);
+    validate(() => generator.parseIcrcAccount(options.from));
+    validate(() => generator.parseIcrcAccount(options.to));
+    await runIcrcOperation(options, (connected, privateKey) =>
+      connected.transferFromIcrc(privateKey, options.ledger, options.from, options.to, options.amount, options.memo ?? null, {
+        spenderSubaccount: options.spenderSubaccount
+      })
+    );
+  }
+
+  async function tokenInfoCommand(ledger, options) {
+    const generator = createGenerator(options);
+    await connect(generator);
+
+    let token;
+    try {
+      token = await generator.getIcrcTokenInfo(ledger);
+    } catch (error) {
+      throw cliError(`Failed to fetch token metadata: ${error.message}`, EXIT_CODES.NETWORK);
+    }
+
+    output(options, { ...token, fee: token.fee.toString() }, [
+      ['Ledger', token.canisterId],
+      ['Symbol', token.symbol],
+      ['Name', token.name],
+      ['Decimals', token.decimals],
+      ['Fee', `${formatTokenAmount(token.fee, token.decimals)} ${token.symbol} (${token.fee})`]
+    ]);
+  }
+
+  async function icrcBalanceCommand(account, options) {
+    const generator = createGenerator(options);
+    const owner = account ??
+      ownPrincipal(generator, options);
+    const ownerAccount = encodeIcrcAccount(validate(() => generator.parseIcrcAccount(owner, options.subaccount)));
+
+    await connect(generator);
+    let token;
+    let balance;
+    try {
+      token = await generator.getIcrcTokenInfo(options.ledger);
+      balance = await generator.getIcrcBalance(options.ledger, ownerAccount);
+    } catch (error) {
+      throw cliError(`Failed to fetch balance: ${error.message}`, EXIT_CODES.NETWORK);
+    }
+
+    const formatted = formatTokenAmount(balance, token.decimals);
+    output(options, {
+      owner: ownerAccount,
+      ledgerCanisterId: token.canisterId,
+      symbol: token.symbol,
+      balanceUnits: balance.toString(),
+      balance: formatted,
+      network: generator.network
+    }, [
+      ['Account', ownerAccount],
+      ['Ledger', `${token.canisterId} (${token.symbol})`],
+      ['Balance', `${formatted} ${token.symbol} (${balance})`],
+      ['Network', generator.network]
+    ]);
+  }
+
+  async function balanceCommand(accounts, options) {
+    if (accounts.length > 1) {
+      return balancesCommand(accounts, options);
+    }
+    const [account] = accounts;
+    if (options.ledger) {
+      return icrcBalanceCommand(account, options);
+    }
+
+    const generator = createGenerator(options);
+    const owner = account ??
+      ownPrincipal(generator, options);
+    const accountIdentifier = validate(() => generator.parseReceiverAddress(owner, options.subaccount)).accountIdentifier.toHex();
+
+    await connect(generator);
+    let balance;
+    try {
+      balance = await generator.getBalance(accountIdentifier);
+    } catch (error) {
+      throw cliError(`Failed to fetch balance: ${error.message}`, EXIT_CODES.NETWORK);
+    }
+
+    const icp = formatIcp(balance);
+    output(options, {
+      accountIdentifier,
+      balanceE8s: balance.toString(),
+      balance: icp,
+      network: generator.network
+    }, [
+      ['Account', accountIdentifier],
+      ['Balance', `${icp} ICP (${balance} e8s)`],
+      ['Network', generator.network]
+    ]);
+  }
+
+  async function balancesCommand(accounts, options) {
+    if (options.ledger || options.subaccount !== undefined) {
+      throw cliError('--ledger and --subaccount take a single account', EXIT_CODES.USAGE);
+    }
+    const generator = createGenerator(options);
+    const concurrency = integerOption(options.concurrency, '--concurrency');
+    if (concurrency < 1) {
+      throw cliError(`Invalid --concurrency: ${options.concurrency}`, EXIT_CODES.USAGE);
+    }
+    const accountIdentifiers = accounts.map(account => validate(() => generator.resolveAccountIdentifier(account)));
+
+    await connect(generator);
+    const balances = await generator.getBalances(accountIdentifiers, { concurrency });
+    const results = balances.map(({ balanceE8s, error }, i) => ({
+      account: accounts[i],
+      accountIdentifier: accountIdentifiers[i],
+      ...(error ? { error } : { balanceE8s: balanceE8s.toString(), balance: formatIcp(balanceE8s) })
+    }));
+
+    if (options.json) {
+      output(options, { balances: results, network: generator.network }, []);
+    } else {
+      for (const result of results) {
+        const balance = result.error ? `error: ${result.error}` : `${result.balance} ICP`;
+        process.stdout.write(`${result.account}\t${result.accountIdentifier}\t${balance}\n`);
+      }
+    }
+    if (results.some(result => result.error)) {
+      process.exitCode = EXIT_CODES.NETWORK;
+    }
+  }
+
+  async function keygenCommand(options) {
+    const generator = createGenerator(options);
+    const keyPair = validate(() => generator.generateKeyPair(options.curve));
+
+    if (options.out) {
+      try {
+        writeFileSync(options.out, `${keyPair.privateKey}\n`, { mode: 0o600, flag: 'wx' });
+      } catch (error) {
+        throw cliError(`Cannot write key file ${options.out}: ${error.message}`, EXIT_CODES.ERROR);
+      }
+    }
+
+    // Only print the private key when it was not written to a file
+    const result = options.out
+      ? { ...keyPair, privateKey: undefined, keyFile: options.out }
+      : keyPair;
+
+    output(options, result, [
+      ...(options.out ? [['Key File', options.out]] : [['Private Key', keyPair.privateKey]]),
+      ['Public Key', keyPair.publicKey],
+      ['Principal', keyPair.principal],
+      ['Account Identifier', keyPair.accountIdentifier],
+      ['Curve', keyPair.curve]
+    ]);
+  }
+
+  async function addressCommand(address, options) {
+    const generator = createGenerator(options);
+    const owner = address ??
+      ownPrincipal(generator, options);
+    const parsed = validate(() => generator.parseReceiverAddress(owner, options.subaccount));
+    const result = {
+      type: address ? parsed.type : 'identity',
+      principal: parsed.principal ? parsed.principal.toString() : null,
+      subaccount: parsed.subaccount ? bytesToHex(parsed.subaccount) : null,
+      icrc1Account: parsed.principal ? parsed.text : null,
+      accountIdentifier: parsed.accountIdentifier.toHex()
+    };
+
+    output(options, result, [
+      ['Type', result.type],
+      ['Principal', result.principal ?? '(unknown)'],
+      ...(result.subaccount ? [['Subaccount', result.subaccount]] : []),
+      ...(result.icrc1Account ? [['ICRC-1 Account', result.icrc1Account]] : []),
+      ['Account Identifier', result.accountIdentifier]
+    ]);
+  }
+
+  /**
+   * Read a passphrase from the terminal without echoing it
+   * The prompt goes to stderr so --json output on stdout stays clean.
+   * @param {string} question - Prompt text
+   * @returns {Promise<string>} Entered passphrase
+   */
+  async function promptForPassword(question) {
+    if (!process.stdin.isTTY) {
+      throw cliError('No terminal to prompt for a passphrase: set ICP_WALLET_PASSPHRASE', EXIT_CODES.USAGE);
+    }
+
+    process.stderr.write(question);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    
+    return new Promise((resolve) => {
+      let password = '';
+      process.stdin.on('data', function handler(data) {
+        // A chunk can hold several characters when text is pasted
+        for (const char of data.toString()) {
+          switch (char) {
+            case '\n':
+            case '\r':
+            case '\u0004':
+              process.stdin.setRawMode(false);
+              process.stdin.removeListener('data', handler);
+              process.stdin.pause();
+              process.stderr.write('\n');
+              resolve(password);
+              return;
+            case '\u0003':
+              process.stdin.setRawMode(false);
+              process.stderr.write('\n');
+              process.exit(130);
+              break;
+            case '\u007f':
+              if (password.length > 0) {
+                password = password.slice(0, -1);
+                process.stderr.write('\b \b');
+              }
+              break;
+            default:
+              password += char;
+              process.stderr.write('*');
+              break;
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Ask for a new wallet passphrase twice, unless ICP_WALLET_PASSPHRASE is set
+   * @param {string} name - Wallet name
+   * @returns {Promise<string>} Passphrase
    */
-  createIdentityFromPrivateKey(privateKeyHex) {
-    if (!privateKeyHex || typeof privateKeyHex !== 'string') {
-      throw new Error('Private key is required and must be a string');
+  async function newWalletPassphrase(name) {
+    if (process.env.ICP_WALLET_PASSPHRASE) {
+      return process.env.ICP_WALLET_PASSPHRASE;
     }
+    const passphrase = await promptForPassword(`New passphrase for wallet "${name}": `);
+    if (await promptForPassword('Repeat passphrase: ') !== passphrase) {
+      throw cliError('Passphrases do not match', EXIT_CODES.USAGE);
+    }
+    return passphrase;
+  }
 
-    const cleanHex = privateKeyHex.replace(/^0x/, '');
-    
-    if (cleanHex.length !== 64 || !/^[0-9a-fA-F]+$/.test(cleanHex)) {
-      throw new Error('Private key must be 64 hex characters (32 bytes)');
+  async function walletCreateCommand(name, options) {
+    const generator = createGenerator(options);
+    validate(() => generator.keystore.path(name));
+    if (generator.keystore.has(name)) {
+      throw cliError(`Wallet "${name}" already exists`, EXIT_CODES.USAGE);
     }
 
-    const privateKeyBytes = new Uint8Array(
-      cleanHex.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-    );
+    if (options.mnemonic) {
+      if (options.curve !== DEFAULT_CURVE) {
+        throw cliError('Mnemonic wallets use secp256k1 keys; --curve cannot be combined with --mnemonic', EXIT_CODES.USAGE);
+      }
+      const mnemonic = generator.generateMnemonic(validate(() => integerOption(options.words, '--words')));
+      const passphrase = await newWalletPassphrase(name);
+      const wallet = validate(() => generator.restoreWallet(name, mnemonic, passphrase, { password: process.env.ICP_BIP39_PASSPHRASE }));
+      outputWallet(options, { ...wallet, mnemonic }, generator.keystore.path(name));
+      if (!options.json) {
+        process.stdout.write('\nWrite the mnemonic down and keep it offline: it restores this wallet, and is not stored.\n');
+      }
+      return;
+    }
 
-    console.log('Creating secp256k1 identity from private key');
+    const passphrase = await newWalletPassphrase(name);
+    const wallet = validate(() => generator.createWallet(name, passphrase, options.curve));
+    outputWallet(options, wallet, generator.keystore.path(name));
+  }
 
-    try {
-      const identity = Secp256k1KeyIdentity.fromSecretKey(privateKeyBytes);
-      console.log('Successfully created secp256k1 identity');
-      return identity;
-    } catch (error) {
-      throw new Error(`Failed to create secp256k1 identity: ${error.message}`);
+  async function walletRestoreCommand(name, options) {
+    const generator = createGenerator(options);
+    validate(() => generator.keystore.path(name));
+    if (generator.keystore.has(name)) {
+      throw cliError(`Wallet "${name}" already exists`, EXIT_CODES.USAGE);
     }
+
+    const index = integerOption(options.index, '--index');
+    const mnemonic = await readMnemonic(options);
+    const passphrase = await newWalletPassphrase(name);
+    const wallet = validate(() => generator.restoreWallet(name, mnemonic, passphrase, {
+      index,
+      password: process.env.ICP_BIP39_PASSPHRASE
+    }));
+    outputWallet(options, wallet, generator.keystore.path(name));
   }
 
-  /**
-   * Validate and parse receiver address
-   * @param {string} receiverAddress - AccountIdentifier or Principal
-   * @returns {Object} Object with both Principal and AccountIdentifier for compatibility
-   */
-  parseReceiverAddress(receiverAddress) {
-    if (!receiverAddress || typeof receiverAddress !== 'string') {
-      throw new Error('Receiver address is required and must be a string');
-    }
+  async function mnemonicCommand(options) {
+    const generator = createGenerator(options);
+    const mnemonic = validate(() => generator.generateMnemonic(integerOption(options.words, '--words')));
+    const keyPair = generator.deriveKeyPair(mnemonic, 0, process.env.ICP_BIP39_PASSPHRASE);
 
-    const trimmedAddress = receiverAddress.trim();
+    output(options, {
+      mnemonic,
+      path: keyPair.path,
+      principal: keyPair.principal,
+      accountIdentifier: keyPair.accountIdentifier
+    }, [
+      ['Mnemonic', mnemonic],
+      ['Path', keyPair.path],
+      ['Principal', keyPair.principal],
+      ['Account Identifier', keyPair.accountIdentifier]
+    ]);
+  }
 
-    // Try Principal format first
+  async function accountsCommand(options) {
+    const generator = createGenerator(options);
+    const start = integerOption(options.start, '--start');
+    const count = integerOption(options.count, '--count');
+    if (count < 1 || count > 1000) {
+      throw cliError('--count must be between 1 and 1000', EXIT_CODES.USAGE);
+    }
+    validate(() => derivationPath(start + count - 1));
+    const mnemonic = await readMnemonic(options);
+
+    if (options.balances) {
+      await connect(generator);
+    }
+    let accounts;
     try {
-      const principal = Principal.fromText(trimmedAddress);
-      // Convert Principal to AccountIdentifier for legacy compatibility
-      const accountIdentifier = AccountIdentifier.fromPrincipal({
-        principal: principal,
-        subAccount: undefined
+      accounts = await generator.deriveAccounts(mnemonic, {
+        start,
+        count,
+        password: process.env.ICP_BIP39_PASSPHRASE,
+        balances: options.balances
       });
-      
-      return {
-        principal: principal,
-        accountIdentifier: accountIdentifier,
-        type: 'principal'
-      };
-    } catch (principalError) {
-      // Try AccountIdentifier format (64 hex characters)
-      if (trimmedAddress.length === 64 && /^[0-9a-fA-F]+$/.test(trimmedAddress)) {
-        try {
-          const accountIdentifier = AccountIdentifier.fromHex(trimmedAddress);
-          
-          return {
-            principal: null, // Cannot reliably convert AccountIdentifier back to Principal
-            accountIdentifier: accountIdentifier,
-            type: 'accountIdentifier'
-          };
-        } catch (accountError) {
-          throw new Error(`Invalid AccountIdentifier format: ${accountError.message}`);
-        }
-      }
-      
-      throw new Error(`Invalid receiver address format. Expected Principal (e.g., "rdmx6-jaaaa-aaaaa-aaadq-cai") or AccountIdentifier (64 hex characters). Error: ${principalError.message}`);
+    } catch (error) {
+      throw cliError(`Failed to fetch balances: ${error.message}`, EXIT_CODES.NETWORK);
     }
-  }
 
-  /**
-   * Convert ICP amount to e8s (smallest unit)
-   * @param {number|string} amount - Amount in ICP
-   * @returns {bigint} Amount in e8s
-   */
-  icpToE8s(amount) {
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum) || amountNum <= 0) {
-      throw new Error('Amount must be a positive number');
+    if (options.json) {
+      output(options, {
+        network: generator.network,
+        accounts: accounts.map(account => ({
+          ...account,
+          ...(options.balances ? { balanceE8s: account.balanceE8s.toString(), balance: formatIcp(account.balanceE8s) } : {})
+        }))
+      }, []);
+      return;
     }
-    
-    if (amountNum < 0.00000001) {
-      throw new Error('Amount too small (minimum: 0.00000001 ICP)');
+    for (const account of accounts) {
+      const balance = options.balances ? `\t${formatIcp(account.balanceE8s)} ICP` : '';
+      process.stdout.write(`${account.path}\t${account.principal}\t${account.accountIdentifier}${balance}\n`);
     }
-    
-    return BigInt(Math.floor(amountNum * 100_000_000));
   }
 
-  /**
-   * Get account balance
-   * @param {string} accountIdentifier - Account identifier hex string
-   * @returns {Promise<bigint>} Balance in e8s
-   */
-  async getBalance(accountIdentifier) {
-    if (!this.ledger) {
-      throw new Error('Ledger not initialized. Call init() first.');
+  async function walletImportCommand(name, options) {
+    const generator = createGenerator(options);
+    validate(() => generator.keystore.path(name));
+    if (generator.keystore.has(name)) {
+      throw cliError(`Wallet "${name}" already exists`, EXIT_CODES.USAGE);
+    }
+
+    let privateKey;
+    if (options.keyFile || process.env.ICP_PRIVATE_KEY) {
+      privateKey = readPrivateKey(options.keyFile, options.curve);
+    } else {
+      const typed = await promptForPassword('Private key (hex): ');
+      privateKey = formatPrivateKey(validate(() => parsePrivateKey(typed, options.curve)));
     }
+    validate(() => generator.createIdentityFromPrivateKey(privateKey));
 
-    const account = AccountIdentifier.fromHex(accountIdentifier);
-    return await this.ledger.accountBalance({ account });
+    const passphrase = await newWalletPassphrase(name);
+    const wallet = validate(() => generator.saveWallet(name, privateKey, passphrase));
+    outputWallet(options, wallet, generator.keystore.path(name));
   }
 
   /**
-   * Get account identifier from identity
-   * @param {Secp256k1KeyIdentity} identity - Secp256k1 identity object
-   * @returns {string} Account identifier hex string
+   * Print the metadata of a saved wallet
+   * @param {Object} options - Global CLI options
+   * @param {Object} wallet - Wallet metadata
+   * @param {string} file - Wallet file path
    */
-  getAccountIdentifier(identity) {
-    const principal = identity.getPrincipal();
-    const accountId = AccountIdentifier.fromPrincipal({
-      principal: principal,
-      subAccount: undefined
-    });
-    return accountId.toHex();
+  function outputWallet(options, wallet, file) {
+    output(options, { ...wallet, file }, [
+      ['Wallet', wallet.name],
+      ['Principal', wallet.principal],
+      ['Account Identifier', wallet.accountIdentifier],
+      ...(wallet.derivationPath ? [['Path', wallet.derivationPath]] : []),
+      ...(wallet.mnemonic ? [['Mnemonic', wallet.mnemonic]] : []),
+      ['File', file]
+    ]);
   }
 
-  /**
-   * Create and send ICP transaction using LedgerCanister
-   * @param {string} privateKeyHex - Sender's private key in hex
-   * @param {string} receiverAddress - Receiver's Principal or AccountIdentifier
-   * @param {number|string} amount - Amount to send in ICP
-   * @param {string|number} memo - Optional memo (default: current timestamp)
-   * @returns {Promise<Object>} Transaction result
-   */
-  async sendTransaction(privateKeyHex, receiverAddress, amount, memo = null) {
-    console.log('Starting ICP transaction using LedgerCanister...');
-    
-    // Create identity and get accounts
-    const senderIdentity = this.createIdentityFromPrivateKey(privateKeyHex);
-    const senderAccountId = this.getAccountIdentifier(senderIdentity);
-    const receiver = this.parseReceiverAddress(receiverAddress);
-    
-    console.log(`Sender: ${senderAccountId}`);
-    console.log(`Receiver: ${receiver.principal ? receiver.principal.toString() : receiver.accountIdentifier.toHex()}`);
-    console.log(`Receiver type: ${receiver.type}`);
-    
-    // Convert amount and validate
-    const amountE8s = this.icpToE8s(amount);
-    const transferFee = BigInt(10_000);
-    const totalRequired = amountE8s + transferFee;
-    
-    console.log(`Amount: ${amount} ICP, Fee: 0.0001 ICP, Total: ${(Number(totalRequired) / 100_000_000)} ICP`);
-    
-    // Check balance if ledger is available
-    if (this.ledger) {
-      try {
-        const senderBalance = await this.getBalance(senderAccountId);
-        if (senderBalance < totalRequired) {
-          throw new Error(
-            `Insufficient balance. Required: ${totalRequired} e8s, Available: ${senderBalance} e8s`
-          );
-        }
-        console.log(`Balance check passed. Available: ${senderBalance} e8s`);
-      } catch (error) {
-        console.warn('Could not check balance, proceeding with transaction:', error.message);
-      }
-    }
-    
-    // Create authenticated agent with sender identity
-    const agent = new HttpAgent({
-      host: this.network === 'mainnet' ? 'https://ic0.app' : 'http://127.0.0.1:4943',
-      identity: senderIdentity
-    });
-    
-    if (this.network === 'local') {
-      await agent.fetchRootKey();
+  async function walletListCommand(options) {
+    const generator = createGenerator(options);
+    const wallets = generator.keystore.list();
+
+    if (options.json) {
+      output(options, { keystore: generator.keystore.dir, wallets }, []);
+      return;
     }
-    
-    // Create authenticated ledger canister
-    const ledger = LedgerCanister.create({
-      agent,
-      canisterId: Principal.fromText('ryjl3-tyaaa-aaaaa-aaaba-cai') // ICP Ledger Canister ID
-    });
-    
-    // Prepare memo - handle empty strings and null values
-    let memoValue = BigInt(Date.now()); // Default to timestamp
-    
-    console.log('Processing memo input:', { memo, type: typeof memo, value: memo });
-    
-    try {
-      if (memo !== null && memo !== undefined && memo !== '') {
-        if (typeof memo === 'string') {
-          const trimmedMemo = memo.trim();
-          if (trimmedMemo !== '') {
-            const numericMemo = parseInt(trimmedMemo, 10);
-            if (!isNaN(numericMemo) && numericMemo >= 0) {
-              memoValue = BigInt(numericMemo);
-              console.log('Using custom memo:', memoValue.toString());
-            } else {
-              console.warn(`Invalid memo value "${memo}", using timestamp`);
-            }
-          }
-        } else if (typeof memo === 'number' && memo >= 0 && Number.isInteger(memo)) {
-          memoValue = BigInt(memo);
-          console.log('Using numeric memo:', memoValue.toString());
-        }
-      } else {
-        console.log('No memo provided, using timestamp:', memoValue.toString());
-      }
-    } catch (error) {
-      console.warn(`Error processing memo: ${error.message}, using timestamp`);
-      memoValue = BigInt(Date.now());
+    if (wallets.length === 0) {
+      process.stdout.write(`No wallets in ${generator.keystore.dir}\n`);
     }
-    
-    // Execute transfer using LedgerCanister
-    console.log('Executing transfer with LedgerCanister...');
-    
-    // Prepare transfer arguments using LedgerCanister's expected format
-    const transferArgs = {
-      to: receiver.accountIdentifier,
-      amount: Number(amountE8s),
-      fee: Number(transferFee),
-      memo: Number(memoValue),
-      from_subaccount: null,
-      created_at_time: null
-    };
-    
-    console.log('Transfer arguments prepared:');
-    console.log('- to (AccountIdentifier):', receiver.accountIdentifier.toHex());
-    console.log('- amount (e8s):', Number(amountE8s), typeof Number(amountE8s));
-    console.log('- fee (e8s):', Number(transferFee), typeof Number(transferFee));
-    console.log('- memo:', Number(memoValue), typeof Number(memoValue));
-    console.log('- from_subaccount:', transferArgs.from_subaccount);
-    console.log('- created_at_time:', transferArgs.created_at_time);
-    
-    try {
-      console.log('Calling ledger.transfer...');
-      const transferResult = await ledger.transfer(transferArgs);
-      
-      console.log('Transfer result received:', transferResult, typeof transferResult);
-      
-      // Handle different response formats
-      let blockIndex;
-      let isSuccess = false;
-      
-      if (typeof transferResult === 'number' || typeof transferResult === 'bigint') {
-        // Direct block index response (successful transfer)
-        blockIndex = transferResult;
-        isSuccess = true;
-        console.log(`Transfer successful! Block index: ${blockIndex}`);
-      } else if (transferResult && typeof transferResult === 'object') {
-        // Result object with Ok/Err variants
-        if ('Ok' in transferResult) {
-          blockIndex = transferResult.Ok;
-          isSuccess = true;
-          console.log(`Transfer successful! Block index: ${blockIndex}`);
-        } else if ('Err' in transferResult) {
-          const error = transferResult.Err;
-          let errorMessage = 'Transfer failed: ';
-          
-          if ('BadFee' in error) {
-            errorMessage += `Bad fee. Expected: ${error.BadFee.expected_fee}`;
-          } else if ('InsufficientFunds' in error) {
-            errorMessage += `Insufficient funds. Balance: ${error.InsufficientFunds.balance}`;
-          } else if ('TxTooOld' in error) {
-            errorMessage += 'Transaction too old';
-          } else if ('TxCreatedInFuture' in error) {
-            errorMessage += 'Transaction created in future';
-          } else if ('TxDuplicate' in error) {
-            errorMessage += `Duplicate transaction. Block: ${error.TxDuplicate.duplicate_of}`;
-          } else {
-            errorMessage += JSON.stringify(error);
-          }
-          
-          throw new Error(errorMessage);
-        } else {
-          throw new Error(`Unknown result format: ${JSON.stringify(transferResult)}`);
-        }
-      } else {
-        throw new Error(`Unexpected result type: ${typeof transferResult}, value: ${transferResult}`);
-      }
-      
-      if (isSuccess) {
-        const transactionHash = this.generateTransactionHash(
-          blockIndex,
-          senderAccountId,
-          receiver.principal ? receiver.principal.toString() : receiver.accountIdentifier.toHex(),
-          amountE8s.toString(),
-          Number(memoValue).toString()
-        );
-        
-        const transactionUrl = this.generateTransactionUrl(blockIndex, this.network);
-        
-        return {
-          success: true,
-          blockIndex: blockIndex.toString(),
-          transactionHash: transactionHash,
-          transactionUrl: transactionUrl,
-          senderAccount: senderAccountId,
-          receiverAccount: receiver.principal ? receiver.principal.toString() : receiver.accountIdentifier.toHex(),
-          receiverType: receiver.type,
-          amount: amount.toString(),
-          amountE8s: amountE8s.toString(),
-          fee: transferFee.toString(),
-          memo: Number(memoValue).toString(),
-          network: this.network,
-          timestamp: new Date().toISOString(),
-          transferType: 'LedgerCanister'
-        };
-      }
-    } catch (error) {
-      if (error.message && error.message.includes('Transfer failed')) {
-        throw error; // Re-throw our formatted error
-      } else {
-        throw new Error(`LedgerCanister transfer error: ${error.message}`);
-      }
+    for (const wallet of wallets) {
+      process.stdout.write(`${wallet.name}\t${wallet.principal}\t${wallet.accountIdentifier}\n`);
     }
   }
 
-  /**
-   * Generate a new secp256k1 key pair
-   * @returns {Object} Key pair with private and public keys
-   */
-  generateKeyPair() {
-    const identity = Secp256k1KeyIdentity.generate();
-    const keyPair = identity.getKeyPair();
-    
-    const privateKey = Array.from(keyPair.secretKey)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-    
-    let publicKey;
-    try {
-      // For secp256k1, get the public key from the identity
-      const pubKey = identity.getPublicKey();
-      publicKey = Array.from(pubKey.toDer())
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('');
-    } catch (error) {
-      console.warn('Could not extract public key:', error.message);
-      publicKey = '';
+  async function contactAddCommand(name, address, options) {
+    const generator = createGenerator(options);
+    const contact = validate(() => generator.addContact(name, address, {
+      subaccount: options.subaccount,
+      note: options.note,
+      overwrite: options.force
+    }));
+    output(options, contact, [
+      ['Contact', contact.name],
+      ['Address', contact.address],
+      ['Account Identifier', contact.accountIdentifier],
+      ...(contact.note ? [['Note', contact.note]] : []),
+      ['File', generator.addressBook.path]
+    ]);
+  }
+
+  async function contactListCommand(options) {
+    const generator = createGenerator(options);
+    const contacts = validate(() => generator.addressBook.list());
+
+    if (options.json) {
+      output(options, { addressBook: generator.addressBook.path, contacts }, []);
+      return;
+    }
+    if (contacts.length === 0) {
+      process.stdout.write(`No contacts in ${generator.addressBook.path}\n`);
+    }
+    for (const contact of contacts) {
+      process.stdout.write(`${contact.name}\t${contact.address}\t${contact.accountIdentifier}${contact.note ? `\t${contact.note}` : ''}\n`);
     }
-    
-    return {
-      privateKey: `0x${privateKey}`,
-      publicKey: `0x${publicKey}`,
-      principal: identity.getPrincipal().toString(),
-      accountIdentifier: this.getAccountIdentifier(identity),
-      curve: 'secp256k1'
-    };
   }
 
-  /**
-   * Generate transaction hash from block index and transaction details
-   * @param {string|number|bigint} blockIndex - Transaction block index
-   * @param {string} senderAccount - Sender account identifier
-   * @param {string} receiverAccount - Receiver account identifier
-   * @param {string} amountE8s - Amount in e8s
-   * @param {string} memo - Transaction memo
-   * @returns {string} Transaction hash
-   */
-  generateTransactionHash(blockIndex, senderAccount, receiverAccount, amountE8s, memo) {
-    // Create a deterministic hash based on transaction data
-    
-    const hashData = [
-      blockIndex.toString(),
-      senderAccount,
-      receiverAccount,
-      amountE8s.toString(),
-      memo.toString(),
-      'icp-ledger'
-    ].join(':');
-    
-    const hash = crypto.createHash('sha256').update(hashData).digest('hex');
-    return `0x${hash}`;
+  async function contactRemoveCommand(name, options) {
+    const generator = createGenerator(options);
+    const contact = validate(() => generator.addressBook.remove(name));
+    output(options, { name, address: contact.address, removed: true }, [
+      ['Removed Contact', name],
+      ['Address', contact.address]
+    ]);
   }
 
-  /**
-   * Generate transaction explorer URL
-   * @param {string|number|bigint} blockIndex - Transaction block index
-   * @param {string} network - Network (mainnet/local)
-   * @returns {string} Transaction explorer URL
-   */
-  generateTransactionUrl(blockIndex, network = 'mainnet') {
-    if (network === 'mainnet') {
-      // ICP Dashboard - most popular ICP explorer
-      return `https://dashboard.internetcomputer.org/transaction/${blockIndex}`;
-    } else {
-      // For local network, return a placeholder or local explorer if available
-      return `http://localhost:8080/transaction/${blockIndex}`;
+  async function networksCommand(options) {
+    const selected = createGenerator(options).network;
+    const networks = validate(() => listNetworks(options.config, selected));
+
+    if (options.json) {
+      output(options, { selected, networks }, []);
+      return;
+    }
+    for (const network of networks) {
+      const marker = network.name === selected ? '*' : ' ';
+      const details = network.error ?? `${network.host}\tledger ${network.ledgerCanisterId}${network.fetchRootKey ? '\tfetch root key' : ''}`;
+      process.stdout.write(`${marker} ${network.name}\t${details}\n`);
     }
   }
-}
 
-// CLI interface when run directly
-if (process.argv[1]?.endsWith('transaction-generator.js') || 
-    new URL(import.meta.url).pathname === process.argv[1]) {
-  
-  async function promptForPassword(question) {
-    const rl = createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-    
-    process.stdout.write(question);
-    process.stdin.setRawMode(true);
-    
-    return new Promise((resolve) => {
-      let password = '';
-      process.stdin.on('data', function handler(char) {
-        char = char.toString();
-        
-        switch (char) {
-          case '\n':
-          case '\r':
-          case '\u0004':
-            process.stdin.setRawMode(false);
-            process.stdin.removeListener('data', handler);
-            process.stdout.write('\n');
-            rl.close();
-            resolve(password);
-            break;
-          case '\u0003':
-            process.exit();
-            break;
-          case '\u007f':
-            if (password.length > 0) {
-              password = password.slice(0, -1);
-              process.stdout.write('\b \b');
-            }
-            break;
-          default:
-            password += char;
-            process.stdout.write('*');
-            break;
-        }
-      });
-    });
+  async function walletRemoveCommand(name, options) {
+    const generator = createGenerator(options);
+    const wallet = validate(() => generator.keystore.get(name));
+    generator.keystore.remove(name);
+    output(options, { name, principal: wallet.principal, removed: true }, [
+      ['Removed Wallet', name],
+      ['Principal', wallet.principal]
+    ]);
   }
-  
-  async function main() {
-    const rl = createInterface({
+
+  async function runInteractive(options) {
+    let rl = createInterface({
       input: process.stdin,
       output: process.stdout,
     });
@@ -491,24 +3652,25 @@ if (process.argv[1]?.endsWith('transaction-generator.js') ||
       console.log('ICP Transaction Generator');
       
       // Get network choice
-      const network = await rl.question('Network (local/mainnet) [mainnet]: ');
-      let selectedNetwork = network.trim() || 'mainnet';
+      const defaultNetwork = createGenerator(options).network;
+      const network = await rl.question(`Network (local/mainnet or a configured profile) [${defaultNetwork}]: `);
+      let selectedNetwork = network.trim() || defaultNetwork;
       
       // Initialize generator
-      const generator = new ICPTransactionGenerator(selectedNetwork);
+      let generator = createGenerator({ ...options, network: selectedNetwork });
       console.log(`\nInitializing ${selectedNetwork} network...`);
       
       try {
         await generator.init();
         console.log('Connected successfully!');
       } catch (error) {
-        if (selectedNetwork === 'local' && error.message.includes('Cannot connect to local IC environment')) {
+        if (generator.networkProfile.fetchRootKey && error.message.includes('Cannot connect to local IC environment')) {
           console.error(`\n${error.message}`);
           
           const switchToMainnet = await rl.question('\nWould you like to use mainnet instead? (y/n) [y]: ');
           if (switchToMainnet.toLowerCase().trim() === 'y' || switchToMainnet.toLowerCase().trim() === 'yes') {
             selectedNetwork = 'mainnet';
-            generator.network = 'mainnet';
+            generator = createGenerator({ ...options, network: 'mainnet' });
             console.log('\nSwitching to mainnet...');
             await generator.init();
             console.log('Connected to mainnet successfully!');
@@ -523,36 +3685,39 @@ if (process.argv[1]?.endsWith('transaction-generator.js') ||
       // Get transaction details
       console.log('\nEnter transaction details:');
       
-      const privateKey = await rl.question('Sender private key (hex): ');
-      if (!privateKey.trim()) {
+      const wallets = generator.keystore.list();
+      if (wallets.length > 0) {
+        console.log(`Saved wallets: ${wallets.map(wallet => wallet.name).join(', ')}`);
+      }
+      
+      const keyInput = (await rl.question('Sender wallet name or private key (hex): ')).trim();
+      if (!keyInput) {
         throw new Error('Private key is required');
       }
       
-      // Validate private key format
-      const cleanPrivateKey = privateKey.trim().replace(/^0x/, '');
-      if (cleanPrivateKey.length !== 64 || !/^[0-9a-fA-F]+$/.test(cleanPrivateKey)) {
-        throw new Error('Private key must be 64 hex characters (32 bytes).');
+      let privateKey = keyInput;
+      if (generator.keystore.has(keyInput)) {
+        // readline echoes input, so it is closed while the passphrase is typed
+        rl.close();
+        privateKey = generator.unlockWallet(keyInput, await walletPassphrase(keyInput));
+        rl = createInterface({ input: process.stdin, output: process.stdout });
+        console.log(`Unlocked wallet "${keyInput}"`);
       }
       
-      console.log('Using secp256k1 curve for all private keys');
+      // Validate private key format
+      const { curve } = parsePrivateKey(privateKey);
+      console.log(`Using ${curve} key (prefix the hex with "ed25519:" for Ed25519 keys)`);
       
       const receiverAddress = await rl.question('Receiver address: ');
       if (!receiverAddress.trim()) {
         throw new Error('Receiver address is required');
       }
       
-      // Validate receiver address format
-      const cleanReceiver = receiverAddress.trim();
-      try {
-        Principal.fromText(cleanReceiver);
-        console.log('Principal format detected');
-      } catch (error) {
-        if (cleanReceiver.length === 64 && /^[0-9a-fA-F]+$/.test(cleanReceiver)) {
-          console.log('AccountIdentifier format detected');
-        } else {
-          console.warn('Receiver address format may be invalid. Expected: Principal (e.g., "rdmx6-jaaaa-aaaaa-aaadq-cai") or AccountIdentifier (64 hex characters)');
-        }
-      }
+      // Validate receiver address, including the checksum of an AccountIdentifier
+      const receiver = generator.parseReceiverAddress(receiverAddress.trim());
+      console.log(receiver.label
+        ? `Contact "${receiver.label}": ${receiver.text}`
+        : `${receiver.type === 'accountIdentifier' ? 'AccountIdentifier' : 'Principal'} format detected`);
       
       const amount = await rl.question('Amount (ICP): ');
       if (!amount.trim()) {
@@ -560,21 +3725,25 @@ if (process.argv[1]?.endsWith('transaction-generator.js') ||
       }
       
       // Validate amount
-      const amountNum = parseFloat(amount.trim());
-      if (isNaN(amountNum) || amountNum <= 0) {
-        throw new Error('Amount must be a positive number');
-      }
-      if (amountNum < 0.00000001) {
-        throw new Error('Amount too small (minimum: 0.00000001 ICP)');
+      const amountE8s = generator.icpToE8s(amount.trim());
+      if (generator.policy?.requiresConfirmation(amountE8s)) {
+        const again = await rl.question(`${formatIcp(amountE8s)} ICP is above the confirmation threshold. Type the amount again to confirm: `);
+        if (again.trim() !== amount.trim()) {
+          throw new Error('Amount not confirmed; nothing was sent');
+        }
       }
       
-      const memo = await rl.question('Memo (optional): ');
-      
-      // Validate memo if provided
-      if (memo.trim() !== '') {
-        const memoNum = parseInt(memo.trim(), 10);
-        if (isNaN(memoNum) || memoNum < 0) {
-          console.warn('Memo should be a positive integer, using timestamp instead');
+      // An invalid memo is asked for again: it identifies the payment, so it is never replaced
+      let memo;
+      while (memo === undefined) {
+        const input = (await rl.question('Memo (optional): ')).trim();
+        try {
+          if (input !== '') {
+            generator.resolveMemo(input);
+          }
+          memo = input || null;
+        } catch (error) {
+          console.error(error.message);
         }
       }
       
@@ -585,18 +3754,20 @@ if (process.argv[1]?.endsWith('transaction-generator.js') ||
         privateKey.trim(),
         receiverAddress.trim(),
         amount.trim(),
-        memo.trim() || null
+        memo,
+        { confirmed: true }
       );
       
       // Show results
       console.log('\nTransaction Summary:');
       console.log(`Status: SUCCESS`);
       console.log(`Block Index: ${result.blockIndex}`);
+      console.log(`Transaction Hash: ${result.transactionHash}`);
       console.log(`Transaction URL: ${result.transactionUrl}`);
       console.log(`From: ${result.senderAccount}`);
-      console.log(`To: ${result.receiverAccount}`);
+      console.log(`To: ${receiverText(result)}`);
       console.log(`Amount: ${result.amount} ICP`);
-      console.log(`Fee: 0.0001 ICP`);
+      console.log(`Fee: ${formatIcp(result.fee)} ICP`);
       console.log(`Network: ${result.network}`);
       console.log(`Time: ${result.timestamp}`);
       
@@ -608,7 +3779,375 @@ if (process.argv[1]?.endsWith('transaction-generator.js') ||
     }
   }
   
-  main();
+
+  const program = new Command();
+
+  program
+    .name('transaction-generator')
+    .description('Generate and send ICP transactions')
+    .option('-n, --network <network>', 'network profile: mainnet, local or a name from the config file (default: $ICP_NETWORK or mainnet)')
+    .option('--config <path>', 'config file with network profiles (default: $ICP_CONFIG_FILE or ~/.icp-transaction-generator/config.json)')
+    .option('--policy <path>', 'spending policy file with transfer limits (default: $ICP_POLICY_FILE)')
+    .option('--curve <curve>', 'curve of plain hex private keys (secp256k1/ed25519); PEM keys carry their own', 'secp256k1')
+    .option('--json', 'print machine-readable JSON output', false)
+    .option('--log-level <level>', 'log output: debug, info, warn, error or silent', 'info')
+    .exitOverride();
+
+  program
+    .command('interactive', { isDefault: true })
+    .description('send a transaction using interactive prompts')
+    .action((options, command) => runInteractive(command.optsWithGlobals()));
+
+  program
+    .command('send')
+    .description('send ICP to a Principal or AccountIdentifier')
+    .requiredOption('--to <address>', 'receiver Principal or AccountIdentifier')
+    .requiredOption('--amount <icp>', 'amount to send in ICP (e.g. 1.5), or raw e8s with an e8s suffix (e.g. 150000000e8s)')
+    .option('--memo <memo>', 'transaction memo (numeric; ICRC ledgers also accept text or 0x-hex)')
+    .option('--from-subaccount <subaccount>', 'send from this subaccount (index or 64 hex characters)')
+    .option('--to-subaccount <subaccount>', 'send to this subaccount of the receiver Principal')
+    .option('--ledger <canister-id>', 'send with icrc1_transfer on this ICRC ledger instead of the ICP ledger')
+    .option('--created-at <time>', 'created_at_time (ISO date or nanoseconds); reuse it with the same memo to resend safely')
+    .option('--retries <n>', 'resend attempts after a network error (default: 3)')
+    .option('--dry-run', 'check the fee, balance, address and amount and print the transfer without submitting it')
+    .option('--no-verify', 'report success without reading the block back from the ledger')
+    .option('--confirm', 'confirm an amount above the confirmation threshold of the spending policy')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the sender private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => sendCommand(command.optsWithGlobals()));
+
+  program
+    .command('sign')
+    .description('build and sign an ICP transfer offline and write it to a file for broadcast')
+    .requiredOption('--to <address>', 'receiver Principal, ICRC-1 account or AccountIdentifier')
+    .requiredOption('--amount <icp>', 'amount to send in ICP (e.g. 1.5), or raw e8s with an e8s suffix (e.g. 150000000e8s)')
+    .requiredOption('--out <path>', 'file to write the signed transfer (JSON) to')
+    .option('--memo <memo>', 'numeric transaction memo')
+    .option('--from-subaccount <subaccount>', 'send from this subaccount (index or 64 hex characters)')
+    .option('--to-subaccount <subaccount>', 'send to this subaccount of the receiver Principal')
+    .option('--expires-at <date>', 'ISO ingress expiry; broadcast must happen in the 5 minutes before it (default: now + 5 minutes)')
+    .option('--confirm', 'confirm an amount above the confirmation threshold of the spending policy')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the sender private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => signCommand(command.optsWithGlobals()));
+
+  program
+    .command('broadcast')
+    .description('submit a transfer signed with "sign" and report its block index')
+    .argument('<file>', 'signed transfer file')
+    .option('--no-verify', 'report success without reading the block back from the ledger')
+    .action((file, options, command) => broadcastCommand(file, command.optsWithGlobals()));
+
+  program
+    .command('batch')
+    .description('send ICP to every row of a CSV (receiver,amount[,memo][,subaccount]) or JSON file')
+    .argument('<file>', 'batch file (.csv or .json)')
+    .option('--state <path>', 'progress file used to resume the batch (default: <file>.state.json)')
+    .option('--concurrency <n>', 'number of transfers submitted in parallel', '1')
+    .option('--from-subaccount <subaccount>', 'send from this subaccount (index or 64 hex characters)')
+    .option('--confirm', 'confirm rows above the confirmation threshold of the spending policy')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the sender private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((file, options, command) => batchCommand(file, command.optsWithGlobals()));
+
+  program
+    .command('top-up')
+    .description('convert ICP into cycles for a canister through the Cycles Minting Canister')
+    .argument('<canister-id>', 'canister to top up')
+    .option('--amount <icp>', 'amount of ICP to convert')
+    .option('--block <index>', 'only notify the CMC about an earlier top-up transfer in this block')
+    .option('--from-subaccount <subaccount>', 'send from this subaccount (index or 64 hex characters)')
+    .option('--confirm', 'confirm an amount above the confirmation threshold of the spending policy')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the sender private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((canisterId, options, command) => topUpCommand(canisterId, command.optsWithGlobals()));
+
+  program
+    .command('load')
+    .description('stress-test a local ledger: fund generated accounts and send randomized transfers among them')
+    .option('--accounts <n>', 'number of accounts to generate and fund', '10')
+    .option('--fund-amount <icp>', 'ICP sent to each generated account', '1')
+    .option('--min-amount <icp>', 'smallest random transfer amount', '0.0001')
+    .option('--max-amount <icp>', 'largest random transfer amount', '0.001')
+    .option('--rate <n>', 'target transfers per second', '10')
+    .option('--concurrency <n>', 'maximum transfers in flight', '4')
+    .option('--transfers <n>', 'number of transfers to send (default: 100, or until --duration ends)')
+    .option('--duration <seconds>', 'stop sending after this many seconds')
+    .option('--key-curve <curve>', 'curve of the generated keys (secp256k1/ed25519)', 'secp256k1')
+    .option('--wallet <name>', 'fund the accounts from this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the funder private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => loadCommand(command.optsWithGlobals()));
+
+  const neuron = program
+    .command('neuron')
+    .description('stake ICP in NNS neurons and manage them');
+
+  neuron
+    .command('stake')
+    .description('stake ICP into a new neuron controlled by the key, then claim it')
+    .requiredOption('--amount <icp>', 'stake in ICP (at least 1)')
+    .option('--dissolve-delay <duration>', 'dissolve delay to set after the claim, in seconds or with an s/m/h/d/y suffix')
+    .option('--nonce <n>', 'staking nonce (default: random); reuse it with `neuron claim` if the claim fails')
+    .option('--from-subaccount <subaccount>', 'send from this subaccount (index or 64 hex characters)')
+    .option('--confirm', 'confirm an amount above the confirmation threshold of the spending policy')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the controller private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => neuronStakeCommand(command.optsWithGlobals()));
+
+  neuron
+    .command('claim')
+    .description('claim a neuron whose stake was already sent')
+    .requiredOption('--nonce <n>', 'nonce (memo) of the staking transfer')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the controller private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => neuronClaimCommand(command.optsWithGlobals()));
+
+  neuron
+    .command('top-up')
+    .description('add ICP to the stake of an existing neuron')
+    .argument('<neuron-id>', 'neuron id')
+    .requiredOption('--amount <icp>', 'ICP to add')
+    .option('--from-subaccount <subaccount>', 'send from this subaccount (index or 64 hex characters)')
+    .option('--confirm', 'confirm an amount above the confirmation threshold of the spending policy')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the controller private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((neuronId, options, command) => neuronTopUpCommand(neuronId, command.optsWithGlobals()));
+
+  neuron
+    .command('dissolve-delay')
+    .description('increase the dissolve delay of a neuron (at most 8 years in total)')
+    .argument('<neuron-id>', 'neuron id')
+    .requiredOption('--add <duration>', 'delay to add, in seconds or with an s/m/h/d/y suffix')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the controller private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((neuronId, options, command) => neuronDissolveDelayCommand(neuronId, command.optsWithGlobals()));
+
+  neuron
+    .command('start-dissolving')
+    .description('start dissolving a neuron')
+    .argument('<neuron-id>', 'neuron id')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the controller private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((neuronId, options, command) => neuronDissolvingCommand(neuronId, true, command.optsWithGlobals()));
+
+  neuron
+    .command('stop-dissolving')
+    .description('stop dissolving a neuron')
+    .argument('<neuron-id>', 'neuron id')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the controller private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((neuronId, options, command) => neuronDissolvingCommand(neuronId, false, command.optsWithGlobals()));
+
+  neuron
+    .command('list')
+    .description('list the neurons the key controls or is a hotkey of')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the controller private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => neuronListCommand(command.optsWithGlobals()));
+
+  program
+    .command('approve')
+    .description('allow a spender to transfer tokens from your account (icrc2_approve)')
+    .requiredOption('--ledger <canister-id>', 'ICRC-2 ledger canister id')
+    .requiredOption('--spender <principal>', 'spender Principal')
+    .requiredOption('--amount <tokens>', 'allowance in whole tokens')
+    .option('--expected-allowance <tokens>', 'fail unless the current allowance equals this amount')
+    .option('--expires-at <date>', 'ISO date after which the approval expires')
+    .option('--from-subaccount <subaccount>', 'approve spending from this subaccount (index or 64 hex characters)')
+    .option('--memo <memo>', 'memo (number, text or 0x-hex)')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the owner private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => approveCommand(command.optsWithGlobals()));
+
+  program
+    .command('transfer-from')
+    .description('transfer tokens from an account that approved you (icrc2_transfer_from)')
+    .requiredOption('--ledger <canister-id>', 'ICRC-2 ledger canister id')
+    .requiredOption('--from <principal>', 'owner Principal that approved the spender')
+    .requiredOption('--to <principal>', 'receiver Principal')
+    .requiredOption('--amount <tokens>', 'amount in whole tokens')
+    .option('--spender-subaccount <subaccount>', 'subaccount of the spender the approval was granted to')
+    .option('--memo <memo>', 'memo (number, text or 0x-hex)')
+    .option('--wallet <name>', 'sign with this keystore wallet (prompts for its passphrase)')
+    .option('--key-file <path>', 'file containing the spender private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((options, command) => transferFromCommand(command.optsWithGlobals()));
+
+  program
+    .command('token-info')
+    .description('show symbol, decimals and fee of an ICRC ledger')
+    .argument('<ledger>', 'ledger canister id')
+    .action((ledger, options, command) => tokenInfoCommand(ledger, command.optsWithGlobals()));
+
+  program
+    .command('balance')
+    .description('show the balance of one or more accounts')
+    .argument('[accounts...]', 'Principals, AccountIdentifiers or contact names (defaults to the key file account)')
+    .option('--ledger <canister-id>', 'show the balance on this ICRC ledger (account must be a Principal)')
+    .option('--subaccount <subaccount>', 'subaccount of the Principal (index or 64 hex characters)')
+    .option('--wallet <name>', 'use this keystore wallet instead of a key file')
+    .option('--key-file <path>', 'file containing a private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .option('--concurrency <n>', 'balance queries in flight for several accounts', '8')
+    .action((accounts, options, command) => balanceCommand(accounts, command.optsWithGlobals()));
+
+  program
+    .command('history')
+    .description('list the ICP transfers, mints and burns of an account from the ledger blocks')
+    .argument('[account]', 'Principal, AccountIdentifier or wallet name (defaults to the key file account)')
+    .option('--subaccount <subaccount>', 'subaccount of the Principal (index or 64 hex characters)')
+    .option('--blocks <n>', 'number of latest blocks to scan when --from-block is not given', '10000')
+    .option('--from-block <index>', 'first block to scan')
+    .option('--to-block <index>', 'block after the last one to scan (default: chain length)')
+    .option('--format <format>', 'output format: table, csv or json', 'table')
+    .option('--out <path>', 'write the output to this file')
+    .option('--wallet <name>', 'use this keystore wallet instead of a key file')
+    .option('--key-file <path>', 'file containing a private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((account, options, command) => historyCommand(account, command.optsWithGlobals()));
+
+  program
+    .command('block')
+    .description('show an ICP ledger block with its transaction hash')
+    .argument('<index>', 'block index')
+    .action((index, options, command) => blockCommand(index, command.optsWithGlobals()));
+
+  program
+    .command('watch')
+    .description('follow new ledger blocks and report transfers from and to accounts until interrupted')
+    .argument('<accounts...>', 'Principals, AccountIdentifiers or wallet names')
+    .option('--subaccount <subaccount>', 'subaccount of the Principals (index or 64 hex characters)')
+    .option('--checkpoint <path>', 'file that records the next block, so a restart resumes without gaps or repeats')
+    .option('--from-block <index>', 'first block to read when there is no checkpoint (default: the next new block)')
+    .option('--interval <seconds>', 'seconds between polls', '5')
+    .option('--webhook <url>', 'POST each event as JSON to this URL; defaults to $ICP_WEBHOOK_URL ($ICP_WEBHOOK_SECRET signs it)')
+    .option('--once', 'read the new blocks once and exit')
+    .action((accounts, options, command) => watchCommand(accounts, command.optsWithGlobals()));
+
+  program
+    .command('policy')
+    .description('show the spending policy and what accounts sent in the last 24 hours')
+    .argument('[account]', 'Principal, AccountIdentifier or wallet name (default: every account in the spend ledger)')
+    .option('--subaccount <subaccount>', 'subaccount of the Principal (index or 64 hex characters)')
+    .action((account, options, command) => policyCommand(account, command.optsWithGlobals()));
+
+  program
+    .command('serve')
+    .description('run a JSON HTTP API for transfers, balances, keys and addresses (API keys from $ICP_API_KEYS)')
+    .option('--host <host>', 'address to listen on', '127.0.0.1')
+    .option('--port <port>', 'port to listen on', '8080')
+    .option('--wallets <names...>', 'wallets transfers may use, unlocked at startup (default: wallets created through the API)')
+    .option('--idempotency-file <path>', 'file that keeps idempotency records across restarts')
+    .action((options, command) => serveCommand(command.optsWithGlobals()));
+
+  const wallet = program
+    .command('wallet')
+    .description('manage named wallets in the encrypted keystore ($ICP_KEYSTORE_DIR)');
+
+  wallet
+    .command('create')
+    .description('generate a new key and save it under a name')
+    .argument('<name>', 'wallet name')
+    .option('--mnemonic', 'derive the key from a new BIP39 mnemonic and print the mnemonic for backup')
+    .option('--words <n>', 'number of mnemonic words (12, 15, 18, 21 or 24)', '24')
+    .action((name, options, command) => walletCreateCommand(name, command.optsWithGlobals()));
+
+  wallet
+    .command('restore')
+    .description("derive a key from a BIP39 mnemonic (m/44'/223'/0'/0/<index>) and save it under a name")
+    .argument('<name>', 'wallet name')
+    .option('--index <n>', 'address index', '0')
+    .option('--mnemonic-file <path>', 'file containing the mnemonic; defaults to $ICP_MNEMONIC or a hidden prompt')
+    .action((name, options, command) => walletRestoreCommand(name, command.optsWithGlobals()));
+
+  wallet
+    .command('import')
+    .description('save an existing private key under a name')
+    .argument('<name>', 'wallet name')
+    .option('--key-file <path>', 'file containing the private key (hex or PEM); defaults to $ICP_PRIVATE_KEY or a hidden prompt')
+    .action((name, options, command) => walletImportCommand(name, command.optsWithGlobals()));
+
+  wallet
+    .command('list')
+    .description('list saved wallets')
+    .action((options, command) => walletListCommand(command.optsWithGlobals()));
+
+  wallet
+    .command('remove')
+    .description('delete a saved wallet')
+    .argument('<name>', 'wallet name')
+    .action((name, options, command) => walletRemoveCommand(name, command.optsWithGlobals()));
+
+  const contact = program
+    .command('contact')
+    .description('manage labeled receiver addresses in the address book ($ICP_ADDRESS_BOOK)');
+
+  contact
+    .command('add')
+    .description('save a receiver address under a name, usable wherever an address is expected')
+    .argument('<name>', 'contact name')
+    .argument('<address>', 'Principal, ICRC-1 account or AccountIdentifier')
+    .option('--subaccount <subaccount>', 'subaccount of the Principal (index or 64 hex characters)')
+    .option('--note <text>', 'note shown in the contact list')
+    .option('--force', 'replace an existing contact with the same name')
+    .action((name, address, options, command) => contactAddCommand(name, address, command.optsWithGlobals()));
+
+  contact
+    .command('list')
+    .description('list saved contacts')
+    .action((options, command) => contactListCommand(command.optsWithGlobals()));
+
+  contact
+    .command('remove')
+    .description('delete a saved contact')
+    .argument('<name>', 'contact name')
+    .action((name, options, command) => contactRemoveCommand(name, command.optsWithGlobals()));
+
+  program
+    .command('keygen')
+    .description('generate a new key pair (see --curve)')
+    .option('--out <path>', 'write the private key to this file instead of printing it')
+    .action((options, command) => keygenCommand(command.optsWithGlobals()));
+
+  program
+    .command('networks')
+    .description('list the network profiles (built in and from the config file); * marks the selected one')
+    .action((options, command) => networksCommand(command.optsWithGlobals()));
+
+  program
+    .command('mnemonic')
+    .description('generate a new BIP39 mnemonic and show its first account')
+    .option('--words <n>', 'number of words (12, 15, 18, 21 or 24)', '24')
+    .action((options, command) => mnemonicCommand(command.optsWithGlobals()));
+
+  program
+    .command('accounts')
+    .description("list the accounts derived from a mnemonic (m/44'/223'/0'/0/<n>) with their balances")
+    .option('--count <n>', 'number of accounts', '5')
+    .option('--start <n>', 'first address index', '0')
+    .option('--no-balances', 'do not fetch balances (works offline)')
+    .option('--mnemonic-file <path>', 'file containing the mnemonic; defaults to $ICP_MNEMONIC or a hidden prompt')
+    .action((options, command) => accountsCommand(command.optsWithGlobals()));
+
+  program
+    .command('address')
+    .description('show the Principal and AccountIdentifier for an address or key file')
+    .argument('[address]', 'Principal, ICRC-1 account or AccountIdentifier to parse (defaults to the key file identity)')
+    .option('--subaccount <subaccount>', 'subaccount of the Principal (index or 64 hex characters)')
+    .option('--wallet <name>', 'use this keystore wallet instead of a key file')
+    .option('--key-file <path>', 'file containing a private key (hex or PEM); defaults to $ICP_PRIVATE_KEY')
+    .action((address, options, command) => addressCommand(address, command.optsWithGlobals()));
+
+  try {
+    await program.parseAsync(process.argv);
+  } catch (error) {
+    if (error instanceof CommanderError) {
+      process.exit(error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE);
+    }
+    if (program.opts().json) {
+      process.stdout.write(`${JSON.stringify({ success: false, error: error.message }, null, 2)}\n`);
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    process.exit(error.exitCode ?? EXIT_CODES.ERROR);
+  }
 }
 
 export default ICPTransactionGenerator;
\ No newline at end of file